@@ -0,0 +1,293 @@
+const { logEvidence } = require('../lib/evidence');
+const { managementApi, projectPath, cachedGet } = require('../lib/managementApi');
+
+const AUTH_CONFIG_PATH = '/config/auth';
+
+// Lowercase, uppercase and digits; each ":"-separated set must appear in a password
+const RECOMMENDED_REQUIRED_CHARACTERS = 'abcdefghijklmnopqrstuvwxyz:ABCDEFGHIJKLMNOPQRSTUVWXYZ:0123456789';
+
+const atLeast = (minimum) => (value) => typeof value === 'number' && value >= minimum;
+const atMost = (maximum) => (value) => typeof value === 'number' && value <= maximum;
+const is = (expected) => (value) => value === expected;
+
+// Every hardened setting: the value auth uses when the key is missing, the recommended value
+// the fix sets, and whether a value passes. Rate limits are per hour, except verify and
+// token_refresh which are per five minutes per IP address.
+const SETTINGS = [
+  {
+    key: 'password_min_length',
+    group: 'password',
+    label: 'Minimum password length',
+    default: 6,
+    recommended: 12,
+    passes: atLeast(12)
+  },
+  {
+    key: 'password_required_characters',
+    group: 'password',
+    label: 'Required password characters',
+    default: '',
+    recommended: RECOMMENDED_REQUIRED_CHARACTERS,
+    // Letters and digits is two sets; the recommended value and the one with symbols are three or more
+    passes: (value) => typeof value === 'string' && value.split(':').filter(Boolean).length >= 3
+  },
+  {
+    key: 'password_hibp_enabled',
+    group: 'password',
+    label: 'Leaked password protection',
+    default: false,
+    recommended: true,
+    passes: is(true)
+  },
+  {
+    key: 'mailer_autoconfirm',
+    group: 'email',
+    label: 'Sign in without confirming email',
+    default: false,
+    recommended: false,
+    passes: is(false)
+  },
+  {
+    key: 'jwt_exp',
+    group: 'session',
+    label: 'Access token lifetime (seconds)',
+    default: 3600,
+    recommended: 3600,
+    passes: atMost(3600)
+  },
+  {
+    key: 'refresh_token_rotation_enabled',
+    group: 'session',
+    label: 'Refresh token rotation',
+    default: true,
+    recommended: true,
+    passes: is(true)
+  },
+  {
+    key: 'security_refresh_token_reuse_interval',
+    group: 'session',
+    label: 'Refresh token reuse interval (seconds)',
+    default: 10,
+    recommended: 10,
+    passes: atMost(10)
+  },
+  {
+    key: 'rate_limit_email_sent',
+    group: 'rate_limits',
+    label: 'Emails sent per hour',
+    default: 30,
+    recommended: 30,
+    passes: atMost(30)
+  },
+  {
+    key: 'rate_limit_sms_sent',
+    group: 'rate_limits',
+    label: 'SMS messages sent per hour',
+    default: 30,
+    recommended: 30,
+    passes: atMost(30)
+  },
+  {
+    key: 'rate_limit_otp',
+    group: 'rate_limits',
+    label: 'OTP and magic link requests per hour',
+    default: 30,
+    recommended: 30,
+    passes: atMost(30)
+  },
+  {
+    key: 'rate_limit_verify',
+    group: 'rate_limits',
+    label: 'Verification requests per 5 minutes per IP',
+    default: 30,
+    recommended: 30,
+    passes: atMost(30)
+  },
+  {
+    key: 'rate_limit_token_refresh',
+    group: 'rate_limits',
+    label: 'Token refreshes per 5 minutes per IP',
+    default: 150,
+    recommended: 150,
+    passes: atMost(150)
+  },
+  {
+    key: 'rate_limit_anonymous_users',
+    group: 'rate_limits',
+    label: 'Anonymous sign-ins per hour per IP',
+    default: 30,
+    recommended: 30,
+    passes: atMost(30)
+  },
+  {
+    key: 'external_anonymous_users_enabled',
+    group: 'providers',
+    label: 'Anonymous sign-ins',
+    default: false,
+    recommended: false,
+    passes: is(false)
+  },
+  {
+    key: 'sms_autoconfirm',
+    group: 'providers',
+    label: 'Phone sign-ups without SMS confirmation',
+    default: false,
+    recommended: false,
+    // Only matters when phone sign-ups are possible
+    passes: (value, authConfig) => value === false || authConfig.external_phone_enabled !== true
+  }
+];
+
+// Side effects worth knowing before a setting is changed
+const FIX_WARNINGS = {
+  password_min_length: 'Password rules only apply to new passwords; existing users keep theirs until they change it',
+  password_required_characters: 'Password rules only apply to new passwords; existing users keep theirs until they change it',
+  password_hibp_enabled: "Leaked password protection isn't available on the free plan, where the whole update will be rejected",
+  mailer_autoconfirm: 'New users will have to confirm their email before signing in, which needs working email delivery (a custom SMTP server is recommended)',
+  jwt_exp: 'Access tokens already issued stay valid until they expire',
+  external_anonymous_users_enabled: 'Existing anonymous users keep their sessions, but no new anonymous sign-ins are possible'
+};
+
+// Evaluate every hardened setting in the auth config
+const evaluateAuthSettings = (authConfig) => SETTINGS.map(setting => {
+  const configured = setting.key in authConfig && authConfig[setting.key] !== null;
+  const value = configured ? authConfig[setting.key] : setting.default;
+  const pass = Boolean(setting.passes(value, authConfig));
+
+  return {
+    key: setting.key,
+    group: setting.group,
+    label: setting.label,
+    value,
+    configured,
+    recommended: setting.recommended,
+    status: pass ? 'pass' : 'fail'
+  };
+});
+
+module.exports = {
+  id: 'auth_hardening',
+  title: 'Auth Configuration Hardening',
+  severity: 'high',
+
+  run: async ({ projectRef, token, checkId: authCheckId, cache }) => {
+    // Get auth config, shared with the MFA check within a scan; it logs the full (redacted) payload as auth_config_retrieved
+    const response = await cachedGet(cache, token, projectPath(projectRef, AUTH_CONFIG_PATH));
+
+    const authConfig = response.data || {};
+    const settings = evaluateAuthSettings(authConfig);
+
+    // Log each hardened setting
+    for (const setting of settings) {
+      await logEvidence('auth_hardening_setting', setting.status === 'pass' ? 'info' : 'warning', {
+        projectRef,
+        authCheckId,
+        ...setting,
+        timestamp: new Date().toISOString()
+      }, projectRef);
+    }
+
+    const failing = settings.filter(setting => setting.status === 'fail');
+
+    // Log auth hardening evaluation
+    await logEvidence('auth_hardening_evaluated', failing.length > 0 ? 'warning' : 'info', {
+      projectRef,
+      authCheckId,
+      settingCount: settings.length,
+      failingSettings: failing.map(setting => setting.key),
+      timestamp: new Date().toISOString()
+    }, projectRef);
+
+    return {
+      settings,
+      summary: {
+        total: settings.length,
+        passing: settings.length - failing.length,
+        failing: failing.length
+      }
+    };
+  },
+
+  // options.authSettings limits the fix to those setting keys; every failing setting otherwise
+  plan: async ({ result, options = {} }) => {
+    const selected = Array.isArray(options.authSettings) ? options.authSettings : null;
+    const warnings = [];
+
+    const unknown = (selected || []).filter(key => !SETTINGS.some(setting => setting.key === key));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown auth setting(s): ${unknown.join(', ')}`);
+    }
+
+    // Selected settings that already pass are reported, not silently dropped
+    const failing = result.settings.filter(setting => setting.status === 'fail');
+    (selected || []).filter(key => !failing.some(setting => setting.key === key)).forEach(key => {
+      warnings.push(`${key} was selected but already passes, so it was skipped`);
+    });
+
+    const targets = failing.filter(setting => !selected || selected.includes(setting.key));
+    if (targets.length === 0) {
+      return { actions: [], warnings };
+    }
+
+    targets.forEach(setting => {
+      if (FIX_WARNINGS[setting.key]) warnings.push(FIX_WARNINGS[setting.key]);
+    });
+
+    return {
+      actions: [{
+        type: 'api',
+        method: 'PATCH',
+        path: AUTH_CONFIG_PATH,
+        description: `Set ${targets.map(setting => `${setting.key} to ${JSON.stringify(setting.recommended)}`).join(', ')}`,
+        payload: Object.fromEntries(targets.map(setting => [setting.key, setting.recommended]))
+      }],
+      warnings: [...new Set(warnings)]
+    };
+  },
+
+  fix: async ({ projectRef, token, fixAttemptId: authFixId, plan }) => {
+    const [{ path: configPath, payload: updatePayload }] = plan.actions;
+
+    // Log auth config update details
+    await logEvidence('auth_hardening_config_update', 'info', {
+      projectRef,
+      authFixId,
+      updatePayload,
+      timestamp: new Date().toISOString()
+    }, projectRef);
+
+    const response = await managementApi.patch(token, projectPath(projectRef, configPath), updatePayload);
+
+    return { success: true, response: response.data };
+  },
+
+  // Prior values of the settings the fix changes; missing keys are recorded as auth's default
+  snapshot: async ({ projectRef, token, plan }) => {
+    const [{ path: configPath, payload }] = plan.actions;
+    const response = await managementApi.get(token, projectPath(projectRef, configPath));
+    const config = response.data || {};
+
+    const values = {};
+    Object.keys(payload).forEach(key => {
+      values[key] = key in config && config[key] !== null ? config[key] : SETTINGS.find(setting => setting.key === key).default;
+    });
+
+    return { path: configPath, values };
+  },
+
+  rollback: async ({ projectRef, token, rollbackAttemptId, snapshot }) => {
+    const { path: configPath, values: restorePayload } = snapshot.state;
+
+    // Log auth config restore details
+    await logEvidence('auth_hardening_config_restore', 'info', {
+      projectRef,
+      rollbackAttemptId,
+      restorePayload,
+      timestamp: new Date().toISOString()
+    }, projectRef);
+
+    const response = await managementApi.patch(token, projectPath(projectRef, configPath), restorePayload);
+
+    return { success: true, restored: Object.keys(restorePayload), response: response.data };
+  }
+};
@@ -0,0 +1,232 @@
+const logger = require('../lib/logger');
+const { logEvidence } = require('../lib/evidence');
+const { createRequestCache } = require('../lib/managementApi');
+const {
+  getChecks,
+  fixOptionName,
+  needsFix,
+  runCheck,
+  planFix,
+  fixCheck,
+  snapshotCheck,
+  summarizeFixes
+} = require('./index');
+const { saveSnapshot } = require('../lib/snapshots');
+
+// Check, plan and (unless dryRun) apply every enabled fix for a project
+// options holds the fix toggles plus anything passed through to the checks.
+// Aborting signal stops the run between steps; what already ran is kept in the result.
+const runComplianceFix = async ({ projectRef, token, options = {}, dryRun = false, ip = null, signal = null }) => {
+  const fixableChecks = getChecks().filter(check => check.fix);
+  
+  // Every fix runs unless its option (fixMfa, fixRls, ...) is explicitly false
+  const fixOptions = {};
+  fixableChecks.forEach(check => {
+    fixOptions[fixOptionName(check)] = options[fixOptionName(check)] !== false;
+  });
+  const enabledChecks = fixableChecks.filter(check => fixOptions[fixOptionName(check)]);
+  
+  logger.log(`Starting compliance ${dryRun ? 'fix plan' : 'fixes'} for project: ${projectRef}`);
+  
+  // Log fix initiation
+  const fixId = await logEvidence('compliance_fix_initiated', 'info', {
+    projectRef,
+    fixOptions,
+    tables: Array.isArray(options.tables) ? options.tables : null,
+    buckets: Array.isArray(options.buckets) ? options.buckets : null,
+    authSettings: Array.isArray(options.authSettings) ? options.authSettings : null,
+    dryRun,
+    ip,
+    timestamp: new Date().toISOString()
+  }, projectRef);
+  
+  // Step 1: Check current compliance status
+  const statusCheckId = await logEvidence('compliance_status_check', 'info', {
+    projectRef,
+    parentFixId: fixId,
+    checks: enabledChecks.map(check => check.id),
+    timestamp: new Date().toISOString()
+  }, projectRef);
+  
+  // Endpoints several checks read are fetched once for the status check
+  const cache = createRequestCache();
+  const statusResults = await Promise.all(
+    enabledChecks.map(check => runCheck(check, { projectRef, token, parentCheckId: statusCheckId, options, cache }))
+  );
+  
+  const complianceStatus = {};
+  enabledChecks.forEach((check, index) => {
+    complianceStatus[check.id] = statusResults[index];
+  });
+  
+  // Log completed status check
+  await logEvidence('compliance_status_check_completed', 'info', {
+    projectRef,
+    statusCheckId,
+    status: Object.fromEntries(enabledChecks.map(check => [check.id, {
+      status: complianceStatus[check.id].status,
+      needsFix: needsFix(check, complianceStatus[check.id]),
+      error: complianceStatus[check.id].error
+    }])),
+    timestamp: new Date().toISOString()
+  }, projectRef);
+  
+  // Step 2: Plan fixes
+  const fixes = {};
+  fixableChecks.forEach(check => {
+    const status = complianceStatus[check.id];
+    fixes[check.id] = {
+      needed: Boolean(status) && needsFix(check, status),
+      applied: false,
+      success: false,
+      error: status?.status === 'error' ? status.error : null
+    };
+  });
+  
+  for (const check of fixableChecks) {
+    if (!fixes[check.id].needed) continue;
+    
+    const plan = await planFix(check, {
+      projectRef,
+      token,
+      fixId,
+      result: complianceStatus[check.id],
+      options
+    });
+    fixes[check.id].plan = plan;
+    if (plan?.error) fixes[check.id].error = plan.error;
+    
+    // The check still fails but nothing can be changed automatically; the warnings say what to do by hand
+    if (plan && !plan.error && plan.actions.length === 0) {
+      fixes[check.id].manual = true;
+      fixes[check.id].warnings = plan.warnings || [];
+    }
+  }
+  
+  // Log fix plan
+  await logEvidence('compliance_fix_plan', 'info', {
+    projectRef,
+    fixId,
+    fixes,
+    timestamp: new Date().toISOString()
+  }, projectRef);
+  
+  if (dryRun) {
+    const result = {
+      projectRef,
+      timestamp: new Date().toISOString(),
+      fixId,
+      dryRun: true,
+      summary: summarizeFixes(fixes, { dryRun }),
+      details: fixes
+    };
+    
+    // Log the plan as evidence of what would have changed
+    await logEvidence('compliance_fix_dry_run', 'info', {
+      projectRef,
+      fixId,
+      summary: result.summary,
+      plan: Object.fromEntries(Object.entries(fixes).map(([id, fix]) => [id, fix.plan || null])),
+      timestamp: new Date().toISOString()
+    }, projectRef);
+    
+    return result;
+  }
+  
+  // Pre-fix state of every check that gets applied, so the fix can be rolled back
+  const snapshot = { fixId, projectRef, createdAt: new Date().toISOString(), checks: {}, rollback: null };
+  
+  // Step 3: Apply fixes one check at a time, stopping between checks if cancelled
+  for (const check of fixableChecks) {
+    if (!fixes[check.id].needed || fixes[check.id].manual || fixes[check.id].plan?.error) continue;
+    
+    if (signal?.aborted) {
+      fixes[check.id].cancelled = true;
+      continue;
+    }
+    
+    // A fix whose starting point can't be recorded isn't applied
+    const captured = await snapshotCheck(check, {
+      projectRef,
+      token,
+      fixId,
+      result: complianceStatus[check.id],
+      plan: fixes[check.id].plan,
+      options
+    });
+    if (captured?.error) {
+      fixes[check.id].error = `Could not snapshot pre-fix state: ${captured.error}`;
+      continue;
+    }
+    if (captured) {
+      snapshot.checks[check.id] = { state: captured.state, capturedAt: new Date().toISOString(), outcome: null };
+      await saveSnapshot(snapshot);
+    }
+    
+    const outcome = await fixCheck(check, {
+      projectRef,
+      token,
+      fixId,
+      result: complianceStatus[check.id],
+      plan: fixes[check.id].plan,
+      options,
+      signal
+    });
+    fixes[check.id] = { ...fixes[check.id], ...outcome };
+    
+    if (captured) {
+      snapshot.checks[check.id].outcome = {
+        success: Boolean(outcome.success),
+        partial: Boolean(outcome.partial),
+        method: outcome.method || null
+      };
+      await saveSnapshot(snapshot);
+    }
+  }
+  
+  const snapshotChecks = Object.keys(snapshot.checks);
+  if (snapshotChecks.length > 0) {
+    // Log the snapshot the fix can be rolled back to
+    await logEvidence('fix_snapshot_recorded', 'info', {
+      projectRef,
+      fixId,
+      checks: snapshotChecks,
+      timestamp: new Date().toISOString()
+    }, projectRef);
+  }
+  
+  // Step 4: Prepare result
+  const cancelled = Boolean(signal?.aborted);
+  const result = {
+    projectRef,
+    timestamp: new Date().toISOString(),
+    fixId,
+    dryRun: false,
+    cancelled,
+    rollbackAvailable: snapshotChecks.length > 0,
+    summary: summarizeFixes(fixes),
+    details: fixes
+  };
+  
+  // Overall success status; checks left for manual action are reported, not counted as failures
+  const allSuccessful = Object.values(fixes).every(fix => !fix.needed || fix.manual || fix.success);
+  
+  // Log fix completion
+  await logEvidence(
+    cancelled ? 'compliance_fix_cancelled' : 'compliance_fix_completed',
+    allSuccessful ? 'success' : (cancelled ? 'warning' : 'partial_success'),
+    {
+      projectRef,
+      fixId,
+      summary: result.summary,
+      allSuccessful,
+      manualActionRequired: Object.keys(fixes).filter(id => fixes[id].manual),
+      timestamp: new Date().toISOString()
+    },
+    projectRef
+  );
+  
+  return result;
+};
+
+module.exports = { runComplianceFix };
@@ -0,0 +1,326 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../lib/logger');
+const { logEvidence } = require('../lib/evidence');
+const { apiErrorFields } = require('../lib/managementApi');
+const { SEVERITIES } = require('../lib/severity');
+
+const EMPTY_SUMMARY = { total: 0, passing: 0, failing: 0 };
+
+// Registered checks, kept in registration order
+const checks = new Map();
+
+// Register a compliance check
+// A check is { id, title, severity, run(context), fix?(context), needsFix?(result), plan?(context),
+// snapshot?(context), rollback?(context) }
+const registerCheck = (check) => {
+  if (!check || typeof check.id !== 'string' || !/^[a-z][a-z0-9_]*$/.test(check.id)) {
+    throw new Error('Compliance check must have a lowercase id');
+  }
+  if (typeof check.title !== 'string' || !check.title) {
+    throw new Error(`Compliance check "${check.id}" must have a title`);
+  }
+  if (!SEVERITIES.includes(check.severity)) {
+    throw new Error(`Compliance check "${check.id}" has invalid severity "${check.severity}"`);
+  }
+  if (typeof check.run !== 'function') {
+    throw new Error(`Compliance check "${check.id}" must define run(context)`);
+  }
+  if (check.fix !== undefined && typeof check.fix !== 'function') {
+    throw new Error(`Compliance check "${check.id}" fix must be a function`);
+  }
+  if (check.plan !== undefined && typeof check.plan !== 'function') {
+    throw new Error(`Compliance check "${check.id}" plan must be a function`);
+  }
+  ['snapshot', 'rollback'].forEach(hook => {
+    if (check[hook] !== undefined && typeof check[hook] !== 'function') {
+      throw new Error(`Compliance check "${check.id}" ${hook} must be a function`);
+    }
+  });
+  if (Boolean(check.snapshot) !== Boolean(check.rollback)) {
+    throw new Error(`Compliance check "${check.id}" must define both snapshot and rollback, or neither`);
+  }
+  if (checks.has(check.id)) {
+    throw new Error(`Compliance check "${check.id}" is already registered`);
+  }
+
+  checks.set(check.id, check);
+  logger.log(`Registered compliance check: ${check.id}`);
+  return check;
+};
+
+const getChecks = () => Array.from(checks.values());
+
+const getCheck = (id) => checks.get(id);
+
+// Load every .js module in a directory as one check or an array of checks
+const loadCustomChecks = (dir) => {
+  if (!dir) return [];
+
+  const checksDir = path.resolve(dir);
+  const loaded = [];
+
+  fs.readdirSync(checksDir)
+    .filter(file => file.endsWith('.js'))
+    .sort()
+    .forEach(file => {
+      const exported = require(path.join(checksDir, file));
+      const moduleChecks = Array.isArray(exported) ? exported : [exported];
+      moduleChecks.forEach(check => loaded.push(registerCheck(check)));
+    });
+
+  logger.log(`Loaded ${loaded.length} custom compliance check(s) from ${checksDir}`);
+  return loaded;
+};
+
+// Name of the boolean fix option for a check, e.g. fixMfa for "mfa"
+const fixOptionName = (check) =>
+  `fix${check.id.split('_').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('')}`;
+
+// Whether a check result calls for the check's fix to be applied
+const needsFix = (check, result) => {
+  if (!check.fix || result.status === 'error') return false;
+  return check.needsFix ? Boolean(check.needsFix(result)) : result.status === 'fail';
+};
+
+// Run a single check with started/completed/failed evidence around it
+const runCheck = async (check, { projectRef, token, parentCheckId, options = {}, cache }) => {
+  try {
+    // Log check start
+    const checkId = await logEvidence(`${check.id}_check_started`, 'info', {
+      projectRef,
+      parentCheckId,
+      timestamp: new Date().toISOString()
+    }, projectRef);
+
+    const result = await check.run({ projectRef, token, checkId, parentCheckId, options, cache });
+    const summary = result.summary || EMPTY_SUMMARY;
+    const status = result.status || (summary.failing === 0 ? 'pass' : 'fail');
+
+    // Log check completion
+    await logEvidence(`${check.id}_check_completed`, 'info', {
+      projectRef,
+      checkId,
+      status,
+      summary,
+      timestamp: new Date().toISOString()
+    }, projectRef);
+
+    return {
+      ...result,
+      title: check.title,
+      severity: check.severity,
+      status,
+      summary,
+      checkId
+    };
+  } catch (err) {
+    logger.error(`Error in ${check.id} check: ${err.message}`);
+
+    // Log check failure
+    await logEvidence(`${check.id}_check_failed`, 'error', {
+      projectRef,
+      parentCheckId,
+      ...apiErrorFields(err),
+      timestamp: new Date().toISOString()
+    }, projectRef);
+
+    return {
+      title: check.title,
+      severity: check.severity,
+      error: err.message,
+      status: 'error',
+      summary: EMPTY_SUMMARY,
+      checkId: null
+    };
+  }
+};
+
+// Describe what a check's fix would change without executing anything
+// Checks without plan() can still be fixed, but can't be previewed
+const planFix = async (check, { projectRef, token, fixId, result, options = {} }) => {
+  if (!check.plan) return null;
+
+  try {
+    return await check.plan({ projectRef, token, fixId, result, options });
+  } catch (error) {
+    logger.error(`Error planning ${check.id} fix: ${error.message}`);
+
+    // Log plan failure
+    await logEvidence(`${check.id}_fix_plan_failure`, 'error', {
+      projectRef,
+      parentFixId: fixId,
+      ...apiErrorFields(error),
+      timestamp: new Date().toISOString()
+    }, projectRef);
+
+    return { actions: [], error: error.message };
+  }
+};
+
+// Apply a single check's fix with attempt/success/failure evidence around it
+const fixCheck = async (check, { projectRef, token, fixId, result, plan, options = {}, signal = null }) => {
+  // Log fix attempt
+  const fixAttemptId = await logEvidence(`${check.id}_fix_attempt`, 'info', {
+    projectRef,
+    parentFixId: fixId,
+    timestamp: new Date().toISOString()
+  }, projectRef);
+
+  try {
+    const outcome = await check.fix({ projectRef, token, fixId, fixAttemptId, result, plan, options, signal });
+    const fix = { applied: true, success: false, error: null, ...outcome };
+
+    // Log fix outcome
+    await logEvidence(
+      fix.success ? `${check.id}_fix_success` : `${check.id}_fix_failure`,
+      fix.success ? 'success' : (fix.partial ? 'partial_success' : 'error'),
+      {
+        projectRef,
+        fixAttemptId,
+        outcome: fix,
+        timestamp: new Date().toISOString()
+      },
+      projectRef
+    );
+
+    return fix;
+  } catch (error) {
+    // Log fix failure
+    await logEvidence(`${check.id}_fix_failure`, 'error', {
+      projectRef,
+      fixAttemptId,
+      ...apiErrorFields(error),
+      timestamp: new Date().toISOString()
+    }, projectRef);
+
+    return { applied: true, success: false, error: error.message };
+  }
+};
+
+// Capture the state a check's fix is about to change, so rollback can restore it.
+// Returns null for checks without snapshot(), or { error } when the state couldn't be read.
+const snapshotCheck = async (check, { projectRef, token, fixId, result, plan, options = {} }) => {
+  if (!check.snapshot) return null;
+
+  try {
+    const state = await check.snapshot({ projectRef, token, fixId, result, plan, options });
+
+    // Log captured state
+    await logEvidence(`${check.id}_snapshot_captured`, 'info', {
+      projectRef,
+      parentFixId: fixId,
+      state,
+      timestamp: new Date().toISOString()
+    }, projectRef);
+
+    return { state };
+  } catch (error) {
+    logger.error(`Error capturing ${check.id} snapshot: ${error.message}`);
+
+    // Log snapshot failure
+    await logEvidence(`${check.id}_snapshot_failure`, 'error', {
+      projectRef,
+      parentFixId: fixId,
+      ...apiErrorFields(error),
+      timestamp: new Date().toISOString()
+    }, projectRef);
+
+    return { error: error.message };
+  }
+};
+
+// Restore a check's snapshot with attempt/success/failure evidence around it
+const rollbackCheck = async (check, { projectRef, token, rollbackId, snapshot }) => {
+  // Log rollback attempt
+  const rollbackAttemptId = await logEvidence(`${check.id}_rollback_attempt`, 'info', {
+    projectRef,
+    parentRollbackId: rollbackId,
+    fixId: snapshot.fixId,
+    state: snapshot.state,
+    timestamp: new Date().toISOString()
+  }, projectRef);
+
+  try {
+    const outcome = await check.rollback({ projectRef, token, rollbackAttemptId, snapshot });
+    const rollback = { success: true, error: null, ...outcome };
+
+    // Log rollback outcome
+    await logEvidence(
+      rollback.success ? `${check.id}_rollback_success` : `${check.id}_rollback_failure`,
+      rollback.success ? 'success' : 'error',
+      {
+        projectRef,
+        rollbackAttemptId,
+        outcome: rollback,
+        timestamp: new Date().toISOString()
+      },
+      projectRef
+    );
+
+    return rollback;
+  } catch (error) {
+    // Log rollback failure
+    await logEvidence(`${check.id}_rollback_failure`, 'error', {
+      projectRef,
+      rollbackAttemptId,
+      ...apiErrorFields(error),
+      timestamp: new Date().toISOString()
+    }, projectRef);
+
+    return { success: false, error: error.message };
+  }
+};
+
+// Per-check summaries plus the overall status for a set of check results
+const summarizeResults = (results) => {
+  const summary = {};
+  Object.entries(results).forEach(([id, result]) => {
+    summary[id] = result.summary || EMPTY_SUMMARY;
+  });
+  summary.overallStatus = Object.values(results).every(r => r.status === 'pass') ? 'pass' : 'fail';
+  return summary;
+};
+
+// Per-check outcome labels for a set of fixes
+const summarizeFixes = (fixes, { dryRun = false } = {}) => {
+  const summary = {};
+  Object.entries(fixes).forEach(([id, fix]) => {
+    summary[id] = !fix.needed ? 'no_action_needed' :
+      fix.manual ? 'manual_action_required' :
+      dryRun ? 'planned' :
+      fix.cancelled && !fix.applied ? 'cancelled' :
+      fix.success ? 'fixed' :
+      fix.partial ? 'partially_fixed' : 'failed';
+  });
+  return summary;
+};
+
+// Built-in checks
+[
+  require('./mfa'),
+  require('./rls'),
+  require('./pitr'),
+  require('./network'),
+  require('./ssl'),
+  require('./storage'),
+  require('./privileges'),
+  require('./auth')
+].forEach(registerCheck);
+
+module.exports = {
+  SEVERITIES,
+  registerCheck,
+  getChecks,
+  getCheck,
+  loadCustomChecks,
+  fixOptionName,
+  needsFix,
+  runCheck,
+  planFix,
+  fixCheck,
+  snapshotCheck,
+  rollbackCheck,
+  summarizeResults,
+  summarizeFixes
+};
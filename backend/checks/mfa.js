@@ -0,0 +1,406 @@
+const logger = require('../lib/logger');
+const { logEvidence } = require('../lib/evidence');
+const { executeQuery } = require('../lib/database');
+const { managementApi, projectPath, apiErrorFields, cachedGet } = require('../lib/managementApi');
+const { FACTOR_TYPES, getMfaPolicies, getDormantDays, evaluateMfaPolicies } = require('../lib/mfaPolicies');
+
+// Auth config keys that turn enrollment and verification on for each factor type
+const FACTOR_SETTINGS = {
+  totp: { enroll: 'mfa_totp_enroll_enabled', verify: 'mfa_totp_verify_enabled' },
+  phone: { enroll: 'mfa_phone_enroll_enabled', verify: 'mfa_phone_verify_enabled' },
+  webauthn: { enroll: 'mfa_web_authn_enroll_enabled', verify: 'mfa_web_authn_verify_enabled' }
+};
+
+const MAX_ENROLLED_FACTORS_KEY = 'mfa_max_enrolled_factors';
+
+// Auth's own default, used when the fix has to raise a limit of zero
+const DEFAULT_MAX_ENROLLED_FACTORS = 10;
+
+// Factor types the fix enables unless mfaFactorTypes says otherwise
+const DEFAULT_FIX_FACTOR_TYPES = ['totp'];
+
+const hasSmsProvider = (authConfig) => Boolean(authConfig.sms_provider) && authConfig.sms_provider !== 'NONE';
+
+// A factor type is usable only when users can both enroll and verify it.
+// Verify-only keeps existing factors working but blocks new enrollments;
+// enroll-only lets users add factors they can never use.
+const factorTypeStatus = (type, enroll, verify, authConfig) => {
+  if (enroll && verify) return type === 'phone' && !hasSmsProvider(authConfig) ? 'no_sms_provider' : 'enabled';
+  if (verify) return 'verify_only';
+  if (enroll) return 'enroll_only';
+  return 'disabled';
+};
+
+// Evaluate every MFA setting in the auth config; missing keys are treated as off
+const evaluateMfaSettings = (authConfig) => {
+  const factorTypes = FACTOR_TYPES.map(type => {
+    const keys = FACTOR_SETTINGS[type];
+    const enroll = authConfig[keys.enroll] === true;
+    const verify = authConfig[keys.verify] === true;
+
+    return { type, enroll, verify, status: factorTypeStatus(type, enroll, verify, authConfig) };
+  });
+
+  const maxEnrolledFactors = authConfig[MAX_ENROLLED_FACTORS_KEY] ?? null;
+
+  const settings = [
+    ...factorTypes.flatMap(({ type, enroll, verify }) => [
+      { key: FACTOR_SETTINGS[type].enroll, factorType: type, value: enroll, configured: FACTOR_SETTINGS[type].enroll in authConfig },
+      { key: FACTOR_SETTINGS[type].verify, factorType: type, value: verify, configured: FACTOR_SETTINGS[type].verify in authConfig }
+    ]),
+    { key: MAX_ENROLLED_FACTORS_KEY, factorType: null, value: maxEnrolledFactors, configured: MAX_ENROLLED_FACTORS_KEY in authConfig }
+  ];
+
+  const findings = [
+    ...factorTypes.filter(f => f.status === 'enroll_only').map(f => ({
+      type: 'factor_enroll_only',
+      severity: 'medium',
+      factorType: f.type,
+      message: `${f.type} factors can be enrolled but not verified, so enrolled factors can't be used`
+    })),
+    ...factorTypes.filter(f => f.status === 'verify_only').map(f => ({
+      type: 'factor_verify_only',
+      severity: 'low',
+      factorType: f.type,
+      message: `${f.type} factors can be verified but no new ones can be enrolled`
+    })),
+    ...factorTypes.filter(f => f.status === 'no_sms_provider').map(f => ({
+      type: 'phone_without_sms_provider',
+      severity: 'medium',
+      factorType: f.type,
+      message: 'Phone MFA is enabled but no SMS provider is configured to send codes'
+    })),
+    ...(maxEnrolledFactors !== null && maxEnrolledFactors < 1 ? [{
+      type: 'no_enrolled_factors_allowed',
+      severity: 'high',
+      factorType: null,
+      message: `${MAX_ENROLLED_FACTORS_KEY} is ${maxEnrolledFactors}, so no user can enroll a factor`
+    }] : [])
+  ];
+
+  return {
+    factorTypes,
+    settings,
+    maxEnrolledFactors,
+    findings,
+    // MFA is available when at least one factor type is usable and users may enroll
+    mfaEnabled: factorTypes.some(f => f.status === 'enabled') && (maxEnrolledFactors === null || maxEnrolledFactors >= 1)
+  };
+};
+
+// Accept factor types as an array or a comma-separated string
+const parseFactorTypes = (value) => {
+  const types = Array.isArray(value) ? value : String(value).split(',');
+  const list = [...new Set(types.map(type => String(type).trim()).filter(Boolean))];
+
+  const unknown = list.filter(type => !FACTOR_TYPES.includes(type));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown MFA factor type(s): ${unknown.join(', ')} (expected ${FACTOR_TYPES.join(', ')})`);
+  }
+  return list;
+};
+
+// JSON columns arrive parsed or as text depending on the driver
+const parseJson = (value, fallback) => {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+};
+
+// Roles a policy can match: the database role plus app_metadata.role / app_metadata.roles
+const userRoles = (user, appMetadata) => [...new Set([
+  user.role,
+  appMetadata.role,
+  ...(Array.isArray(appMetadata.roles) ? appMetadata.roles : [])
+].filter(role => typeof role === 'string' && role))];
+
+// No sign-in within the window; users who never signed in count from when they were created
+const isDormant = (lastSignInAt, createdAt, dormantDays) => {
+  const lastActive = Date.parse(lastSignInAt || createdAt);
+  return Number.isFinite(lastActive) && Date.now() - lastActive > dormantDays * 24 * 60 * 60 * 1000;
+};
+
+module.exports = {
+  id: 'mfa',
+  title: 'Multi-Factor Authentication (MFA)',
+  severity: 'high',
+
+  run: async ({ projectRef, token, checkId: mfaCheckId, options, cache }) => {
+    // Invalid policies fail the check rather than being silently ignored
+    const { policies, source: policySource } = getMfaPolicies({ options });
+    const dormantDays = getDormantDays({ options });
+
+    // Get auth config (shared with the auth hardening check within a scan)
+    const settingsResponse = await cachedGet(cache, token, projectPath(projectRef, '/config/auth'));
+
+    const authConfig = settingsResponse.data || {};
+    const mfaSettings = evaluateMfaSettings(authConfig);
+    const mfaEnabled = mfaSettings.mfaEnabled;
+
+    // Log auth config retrieved
+    await logEvidence('auth_config_retrieved', 'info', {
+      projectRef,
+      mfaCheckId,
+      config: {
+        ...authConfig,
+        // Mask any sensitive fields that might be present
+        sms_provider_auth_token: authConfig.sms_provider_auth_token ? '[REDACTED]' : undefined,
+        smtp_pass: authConfig.smtp_pass ? '[REDACTED]' : undefined,
+        secure_email_change_token: authConfig.secure_email_change_token ? '[REDACTED]' : undefined
+      },
+      mfaEnabled,
+      timestamp: new Date().toISOString()
+    }, projectRef);
+
+    // Log each MFA setting
+    for (const setting of mfaSettings.settings) {
+      await logEvidence('mfa_auth_setting', 'info', {
+        projectRef,
+        mfaCheckId,
+        ...setting,
+        timestamp: new Date().toISOString()
+      }, projectRef);
+    }
+
+    // Log factor type evaluation
+    await logEvidence('mfa_factor_types_evaluated', mfaSettings.findings.length > 0 ? 'warning' : 'info', {
+      projectRef,
+      mfaCheckId,
+      factorTypes: mfaSettings.factorTypes,
+      maxEnrolledFactors: mfaSettings.maxEnrolledFactors,
+      findings: mfaSettings.findings,
+      timestamp: new Date().toISOString()
+    }, projectRef);
+
+    // Get users with their factors using SQL query
+    const query = `
+      SELECT
+        u.id,
+        u.email,
+        u.role,
+        u.raw_app_meta_data AS app_metadata,
+        u.last_sign_in_at,
+        u.created_at,
+        COALESCE((
+          SELECT json_agg(json_build_object(
+            'id', f.id,
+            'type', f.factor_type,
+            'status', f.status,
+            'friendly_name', f.friendly_name,
+            'created_at', f.created_at
+          ) ORDER BY f.created_at)
+          FROM auth.mfa_factors f
+          WHERE f.user_id = u.id
+        ), '[]'::json) AS factors
+      FROM auth.users u
+      ORDER BY u.created_at;
+    `;
+
+    let users = [];
+    let policyResults = [];
+    let violations = [];
+    try {
+      const result = await executeQuery(projectRef, token, query, 'mfa_user_query');
+
+      users = result.map(user => {
+        const appMetadata = parseJson(user.app_metadata, {}) || {};
+        const factors = (parseJson(user.factors, []) || []).map(factor => ({
+          id: factor.id,
+          type: factor.type,
+          status: factor.status,
+          friendlyName: factor.friendly_name || null,
+          createdAt: factor.created_at || null
+        }));
+        const verifiedFactorTypes = [...new Set(factors.filter(f => f.status === 'verified').map(f => f.type))];
+
+        return {
+          id: user.id,
+          email: user.email,
+          role: user.role || null,
+          roles: userRoles(user, appMetadata),
+          appMetadata,
+          lastSignInAt: user.last_sign_in_at || null,
+          createdAt: user.created_at || null,
+          dormant: isDormant(user.last_sign_in_at, user.created_at, dormantDays),
+          factors,
+          verifiedFactorTypes,
+          // Only a verified factor counts; an unverified one is an abandoned enrollment
+          hasMFA: verifiedFactorTypes.length > 0,
+          hasUnverifiedFactor: factors.some(f => f.status !== 'verified'),
+          status: verifiedFactorTypes.length > 0 ? 'pass' : 'fail'
+        };
+      });
+
+      ({ policies: policyResults, violations } = evaluateMfaPolicies(policies, users));
+
+      // Log user MFA status
+      await logEvidence('user_mfa_status', 'info', {
+        projectRef,
+        mfaCheckId,
+        userCount: users.length,
+        usersWithMfa: users.filter(u => u.hasMFA).length,
+        usersWithoutMfa: users.filter(u => !u.hasMFA).length,
+        usersWithUnverifiedFactors: users.filter(u => u.hasUnverifiedFactor).length,
+        dormantUsers: users.filter(u => u.dormant).length,
+        dormantDays,
+        timestamp: new Date().toISOString()
+      }, projectRef);
+
+      // Log MFA policy evaluation
+      await logEvidence('mfa_policy_evaluation', violations.length > 0 ? 'warning' : 'info', {
+        projectRef,
+        mfaCheckId,
+        policySource,
+        policies: policyResults.map(p => ({ name: p.name, covered: p.covered, violations: p.violations })),
+        violations,
+        timestamp: new Date().toISOString()
+      }, projectRef);
+    } catch (userError) {
+      logger.warn(`Error fetching users with SQL: ${userError.message}`);
+
+      // Log MFA user query failure
+      await logEvidence('mfa_user_query_failure', 'warning', {
+        projectRef,
+        mfaCheckId,
+        ...apiErrorFields(userError),
+        timestamp: new Date().toISOString()
+      }, projectRef);
+    }
+
+    const failing = users.filter(u => u.status === 'fail').length;
+
+    // Policy violations are reported apart from the per-user counts but still fail the check
+    return {
+      status: failing > 0 || violations.length > 0 ? 'fail' : 'pass',
+      mfaEnabledGlobally: mfaEnabled,
+      factorTypes: mfaSettings.factorTypes,
+      settings: mfaSettings.settings,
+      maxEnrolledFactors: mfaSettings.maxEnrolledFactors,
+      smsProviderConfigured: hasSmsProvider(authConfig),
+      findings: mfaSettings.findings,
+      users,
+      dormantDays,
+      policySource,
+      policies: policyResults,
+      violations,
+      summary: {
+        total: users.length,
+        passing: users.filter(u => u.status === 'pass').length,
+        failing,
+        dormant: users.filter(u => u.dormant).length,
+        unverifiedFactors: users.filter(u => u.hasUnverifiedFactor).length,
+        policyViolations: violations.length
+      }
+    };
+  },
+
+  // Per-user enrollment can't be forced, only the project setting
+  // Enroll-only factor types are fixed too, since their factors can never be verified
+  needsFix: (result) => !result.mfaEnabledGlobally ||
+    (result.findings || []).some(f => f.type === 'factor_enroll_only'),
+
+  // options.mfaFactorTypes picks which factor types to turn on (default: totp)
+  plan: async ({ result, options = {} }) => {
+    const requested = options.mfaFactorTypes !== undefined
+      ? parseFactorTypes(options.mfaFactorTypes)
+      : DEFAULT_FIX_FACTOR_TYPES;
+    const factorTypes = result.factorTypes || [];
+    const warnings = [];
+
+    const enrollOnly = factorTypes.filter(f => f.status === 'enroll_only').map(f => f.type);
+    const types = [...new Set([...requested, ...enrollOnly])].filter(type => {
+      // Phone codes can't be sent without an SMS provider, so enabling it would only break sign-in
+      if (type === 'phone' && !result.smsProviderConfigured) {
+        warnings.push('Phone MFA was not enabled because no SMS provider is configured');
+        return false;
+      }
+      return true;
+    });
+
+    const payload = {};
+    const changedTypes = types.filter(type => {
+      const current = factorTypes.find(f => f.type === type) || { enroll: false, verify: false };
+      if (!current.enroll) payload[FACTOR_SETTINGS[type].enroll] = true;
+      if (!current.verify) payload[FACTOR_SETTINGS[type].verify] = true;
+      return !current.enroll || !current.verify;
+    });
+    const raiseMaxFactors = typeof result.maxEnrolledFactors === 'number' && result.maxEnrolledFactors < 1;
+    if (raiseMaxFactors) {
+      payload[MAX_ENROLLED_FACTORS_KEY] = DEFAULT_MAX_ENROLLED_FACTORS;
+    }
+
+    if (Object.keys(payload).length === 0) {
+      return { actions: [], warnings };
+    }
+
+    return {
+      actions: [{
+        type: 'api',
+        method: 'PATCH',
+        path: '/config/auth',
+        description: [
+          changedTypes.length > 0 && `Enable ${changedTypes.join(', ')} MFA enrollment and verification`,
+          raiseMaxFactors && `allow up to ${DEFAULT_MAX_ENROLLED_FACTORS} enrolled factors per user`
+        ].filter(Boolean).join(' and '),
+        payload
+      }],
+      warnings
+    };
+  },
+
+  fix: async ({ projectRef, token, fixAttemptId: mfaFixId, plan }) => {
+    const [{ path: configPath, payload: updatePayload }] = plan.actions;
+
+    // Log MFA config update details
+    await logEvidence('mfa_config_update', 'info', {
+      projectRef,
+      mfaFixId,
+      updatePayload,
+      timestamp: new Date().toISOString()
+    }, projectRef);
+
+    const response = await managementApi.patch(token, projectPath(projectRef, configPath), updatePayload);
+
+    return { success: true, response: response.data };
+  },
+
+  // Prior values of the auth settings the fix changes. A flag missing from the
+  // config is recorded as off, since that is how auth treats it.
+  snapshot: async ({ projectRef, token, plan }) => {
+    const [{ path: configPath, payload }] = plan.actions;
+    const response = await managementApi.get(token, projectPath(projectRef, configPath));
+    const config = response.data || {};
+
+    const values = {};
+    Object.keys(payload).forEach(key => {
+      values[key] = key in config ? config[key] : (typeof payload[key] === 'boolean' ? false : null);
+    });
+
+    return { path: configPath, values };
+  },
+
+  rollback: async ({ projectRef, token, rollbackAttemptId, snapshot }) => {
+    const { path: configPath, values } = snapshot.state;
+
+    // Settings that had no value before can't be unset, only left as they are
+    const restorePayload = Object.fromEntries(Object.entries(values).filter(([, value]) => value !== null));
+    const skipped = Object.keys(values).filter(key => values[key] === null);
+
+    // Log MFA config restore details
+    await logEvidence('mfa_config_restore', 'info', {
+      projectRef,
+      rollbackAttemptId,
+      restorePayload,
+      skipped,
+      timestamp: new Date().toISOString()
+    }, projectRef);
+
+    const response = await managementApi.patch(token, projectPath(projectRef, configPath), restorePayload);
+
+    return { success: true, restored: Object.keys(restorePayload), skipped, response: response.data };
+  }
+};
@@ -0,0 +1,206 @@
+const net = require('net');
+const { logEvidence } = require('../lib/evidence');
+const { managementApi, projectPath } = require('../lib/managementApi');
+
+// Ranges that let every address reach the database
+const OPEN_CIDRS = {
+  v4: '0.0.0.0/0',
+  v6: '::/0'
+};
+
+// Prefixes this short still cover a large part of the internet; reported, but not failed
+const BROAD_PREFIX = { v4: 8, v6: 32 };
+
+// Parse "address/prefix"; returns { cidr, version } or null if it isn't a valid CIDR
+const parseCidr = (value) => {
+  const [address, prefix, extra] = String(value).trim().split('/');
+  const version = net.isIPv4(address) ? 'v4' : net.isIPv6(address) ? 'v6' : null;
+  const bits = Number(prefix);
+  if (!version || extra !== undefined || !/^\d+$/.test(prefix || '') || bits > (version === 'v4' ? 32 : 128)) return null;
+  return { cidr: `${address}/${bits}`, version, bits };
+};
+
+// Accept CIDRs as an array or a comma-separated string, split by IP version
+const parseAllowedCidrs = (value) => {
+  const list = (Array.isArray(value) ? value : String(value).split(',')).map(cidr => String(cidr).trim()).filter(Boolean);
+  const parsed = list.map(cidr => ({ input: cidr, parsed: parseCidr(cidr) }));
+
+  const invalid = parsed.filter(entry => !entry.parsed).map(entry => entry.input);
+  if (invalid.length > 0) {
+    throw new Error(`Invalid CIDR(s): ${invalid.join(', ')}`);
+  }
+
+  const open = parsed.filter(entry => entry.parsed.bits === 0).map(entry => entry.input);
+  if (open.length > 0) {
+    throw new Error(`${open.join(', ')} would allow every address; list the ranges that need database access instead`);
+  }
+
+  return {
+    dbAllowedCidrs: parsed.filter(entry => entry.parsed.version === 'v4').map(entry => entry.parsed.cidr),
+    dbAllowedCidrsV6: parsed.filter(entry => entry.parsed.version === 'v6').map(entry => entry.parsed.cidr)
+  };
+};
+
+const describeCidrs = (cidrs, version) => {
+  const open = cidrs.includes(OPEN_CIDRS[version]);
+  const broad = cidrs.filter(cidr => {
+    const parsed = parseCidr(cidr);
+    return parsed && parsed.bits > 0 && parsed.bits < BROAD_PREFIX[version];
+  });
+
+  return {
+    id: `ipv${version.slice(1)}`,
+    label: `IPv${version.slice(1)}`,
+    openCidr: OPEN_CIDRS[version],
+    cidrs,
+    open,
+    broad,
+    status: open ? 'fail' : 'pass'
+  };
+};
+
+module.exports = {
+  id: 'network_restrictions',
+  title: 'Network Restrictions',
+  severity: 'high',
+
+  run: async ({ projectRef, token, checkId: networkCheckId }) => {
+    // Get network restrictions
+    const response = await managementApi.get(token, projectPath(projectRef, '/network-restrictions'));
+
+    const restrictions = response.data || {};
+    const config = restrictions.config || {};
+    const entitled = restrictions.entitlement !== 'disallowed';
+
+    // A missing list means nothing has been restricted, which is the open default
+    const ranges = [
+      describeCidrs(config.dbAllowedCidrs || [OPEN_CIDRS.v4], 'v4'),
+      describeCidrs(config.dbAllowedCidrsV6 || [OPEN_CIDRS.v6], 'v6')
+    ];
+
+    const findings = [
+      ...ranges.filter(range => range.open).map(range => ({
+        type: 'open_to_internet',
+        severity: 'high',
+        range: range.id,
+        message: `The database accepts ${range.label} connections from any address (${range.openCidr})`
+      })),
+      ...ranges.flatMap(range => range.broad.map(cidr => ({
+        type: 'broad_cidr',
+        severity: 'low',
+        range: range.id,
+        message: `${cidr} allows a very large address range`
+      }))),
+      ...(restrictions.status && restrictions.status !== 'applied' ? [{
+        type: 'restrictions_not_applied',
+        severity: 'medium',
+        range: null,
+        message: `Network restrictions are ${restrictions.status} but not yet applied`
+      }] : []),
+      ...(!entitled ? [{
+        type: 'not_entitled',
+        severity: 'medium',
+        range: null,
+        message: "The project's plan doesn't include network restrictions"
+      }] : [])
+    ];
+
+    // Log network restrictions retrieved
+    await logEvidence('network_restrictions_retrieved', findings.length > 0 ? 'warning' : 'info', {
+      projectRef,
+      networkCheckId,
+      entitlement: restrictions.entitlement || null,
+      restrictionStatus: restrictions.status || null,
+      config,
+      ranges,
+      findings,
+      timestamp: new Date().toISOString()
+    }, projectRef);
+
+    return {
+      entitled,
+      restrictionStatus: restrictions.status || null,
+      ranges,
+      findings,
+      summary: {
+        total: ranges.length,
+        passing: ranges.filter(range => range.status === 'pass').length,
+        failing: ranges.filter(range => range.status === 'fail').length
+      }
+    };
+  },
+
+  // options.allowedCidrs lists the ranges that keep database access (e.g. the office and CI runners).
+  // There is no safe default, so without it the fix only explains what to do.
+  plan: async ({ result, options = {} }) => {
+    if (!result.entitled) {
+      return { actions: [], warnings: ["Network restrictions aren't available on this project's plan"] };
+    }
+    if (options.allowedCidrs === undefined || options.allowedCidrs === '') {
+      return {
+        actions: [],
+        warnings: ['Restricting database access needs the ranges that should keep it; fix again with allowedCidrs set (e.g. "203.0.113.0/24, 2001:db8::/32")']
+      };
+    }
+
+    const payload = parseAllowedCidrs(options.allowedCidrs);
+    const allowed = [...payload.dbAllowedCidrs, ...payload.dbAllowedCidrsV6];
+
+    return {
+      actions: [{
+        type: 'api',
+        method: 'POST',
+        path: '/network-restrictions/apply',
+        description: `Only accept database connections from ${allowed.join(', ')}; every other address, including any IP version left empty, is blocked`,
+        payload
+      }],
+      warnings: [
+        ...(payload.dbAllowedCidrs.length === 0 ? ['No IPv4 ranges were given, so all IPv4 database connections will be refused'] : []),
+        ...(payload.dbAllowedCidrsV6.length === 0 ? ['No IPv6 ranges were given, so all IPv6 database connections will be refused'] : [])
+      ]
+    };
+  },
+
+  fix: async ({ projectRef, token, fixAttemptId: networkFixId, plan }) => {
+    const [{ path: applyPath, payload }] = plan.actions;
+
+    // Log network restrictions update
+    await logEvidence('network_restrictions_update', 'info', {
+      projectRef,
+      networkFixId,
+      payload,
+      timestamp: new Date().toISOString()
+    }, projectRef);
+
+    const response = await managementApi.post(token, projectPath(projectRef, applyPath), payload);
+
+    return { success: true, response: response.data };
+  },
+
+  // The allowed ranges before the fix
+  snapshot: async ({ projectRef, token }) => {
+    const response = await managementApi.get(token, projectPath(projectRef, '/network-restrictions'));
+    const config = response.data?.config || {};
+
+    return {
+      dbAllowedCidrs: config.dbAllowedCidrs || [OPEN_CIDRS.v4],
+      dbAllowedCidrsV6: config.dbAllowedCidrsV6 || [OPEN_CIDRS.v6]
+    };
+  },
+
+  rollback: async ({ projectRef, token, rollbackAttemptId, snapshot }) => {
+    const restorePayload = snapshot.state;
+
+    // Log network restrictions restore
+    await logEvidence('network_restrictions_restore', 'info', {
+      projectRef,
+      rollbackAttemptId,
+      restorePayload,
+      timestamp: new Date().toISOString()
+    }, projectRef);
+
+    const response = await managementApi.post(token, projectPath(projectRef, '/network-restrictions/apply'), restorePayload);
+
+    return { success: true, restored: Object.keys(restorePayload), response: response.data };
+  }
+};
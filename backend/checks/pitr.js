@@ -0,0 +1,409 @@
+const logger = require('../lib/logger');
+const { logEvidence } = require('../lib/evidence');
+const { quoteLiteral, executeQuery } = require('../lib/database');
+const { managementApi, projectPath, apiErrorFields } = require('../lib/managementApi');
+
+const PITR_DOCS_URL = 'https://supabase.com/docs/guides/platform/backups#point-in-time-recovery';
+
+// Replication slots created by earlier versions of the PITR fix. They never enabled PITR
+// and, once inactive, make Postgres keep WAL forever, so they are safe to drop.
+const LEGACY_SLOT_NAMES = ['pitr_slot'];
+
+// PITR add-on variants are named after their retention, e.g. pitr_7
+const PITR_VARIANT_PATTERN = /^pitr_(\d+)$/;
+
+// Plans that can't buy the PITR add-on
+const PLANS_WITHOUT_PITR = ['free'];
+
+// A project whose newest backup (or PITR restore point) is older than this fails
+const DEFAULT_BACKUP_MAX_AGE_HOURS = 48;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Backup age threshold: explicit option, then BACKUP_MAX_AGE_HOURS, then the default
+const getBackupMaxAgeHours = (options = {}) => {
+  const hours = Number(options.backupMaxAgeHours ?? process.env.BACKUP_MAX_AGE_HOURS ?? DEFAULT_BACKUP_MAX_AGE_HOURS);
+  return Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_BACKUP_MAX_AGE_HOURS;
+};
+
+const retentionDaysOf = (variantId) => Number(PITR_VARIANT_PATTERN.exec(variantId || '')?.[1]) || null;
+
+const ageHours = (timestamp) => timestamp ? Math.round((Date.now() - Date.parse(timestamp)) / HOUR_MS * 10) / 10 : null;
+
+const unixToIso = (seconds) => Number.isFinite(Number(seconds)) && seconds !== null ? new Date(Number(seconds) * 1000).toISOString() : null;
+
+// Recent backups plus the window PITR can restore to, from the backups endpoint
+const describeBackups = (backupsConfig) => {
+  const backups = (backupsConfig.backups || [])
+    .map(backup => ({
+      status: backup.status,
+      physical: Boolean(backup.is_physical_backup),
+      insertedAt: backup.inserted_at,
+      ageHours: ageHours(backup.inserted_at)
+    }))
+    .sort((a, b) => String(b.insertedAt).localeCompare(String(a.insertedAt)));
+
+  const physical = backupsConfig.physical_backup_data || {};
+  const earliest = unixToIso(physical.earliest_physical_backup_date_unix);
+  const latest = unixToIso(physical.latest_physical_backup_date_unix);
+  const window = earliest && latest ? {
+    earliest,
+    latest,
+    days: Math.round((Date.parse(latest) - Date.parse(earliest)) / (24 * HOUR_MS) * 10) / 10
+  } : null;
+
+  // With PITR the newest restore point counts as the latest backup
+  const latestCompleted = backups.find(backup => backup.status === 'COMPLETED')?.insertedAt || null;
+  const latestBackupAt = [latestCompleted, window?.latest].filter(Boolean).sort().pop() || null;
+
+  return { backups, window, latestBackupAt, latestBackupAgeHours: ageHours(latestBackupAt) };
+};
+
+// The selected PITR add-on and the variants that could be bought, or null if billing can't be read
+const getPitrAddon = async ({ projectRef, token, pitrCheckId }) => {
+  try {
+    const response = await managementApi.get(token, projectPath(projectRef, '/billing/addons'));
+    const selected = (response.data?.selected_addons || []).find(addon => addon.type === 'pitr');
+    const available = (response.data?.available_addons || []).find(addon => addon.type === 'pitr');
+
+    return {
+      variant: selected?.variant?.id || null,
+      retentionDays: retentionDaysOf(selected?.variant?.id),
+      availableVariants: (available?.variants || []).map(variant => variant.id)
+    };
+  } catch (error) {
+    logger.warn(`Could not read billing add-ons: ${error.message}`);
+
+    // Log add-on lookup failure
+    await logEvidence('pitr_addon_query_failure', 'warning', {
+      projectRef,
+      pitrCheckId,
+      ...apiErrorFields(error),
+      timestamp: new Date().toISOString()
+    }, projectRef);
+    return null;
+  }
+};
+
+// The organization's plan (free, pro, team, enterprise), or null if it can't be read
+const getOrganizationPlan = async ({ projectRef, token, pitrCheckId }) => {
+  try {
+    const project = await managementApi.get(token, projectPath(projectRef));
+    const organization = await managementApi.get(token, `/organizations/${encodeURIComponent(project.data.organization_id)}`);
+    return organization.data?.plan || null;
+  } catch (error) {
+    logger.warn(`Could not read organization plan: ${error.message}`);
+
+    // Log plan lookup failure
+    await logEvidence('pitr_plan_query_failure', 'warning', {
+      projectRef,
+      pitrCheckId,
+      ...apiErrorFields(error),
+      timestamp: new Date().toISOString()
+    }, projectRef);
+    return null;
+  }
+};
+
+// Slots left behind by earlier versions, with how much WAL each is holding back
+const getStraySlots = async ({ projectRef, token, pitrCheckId }) => {
+  const query = `
+    SELECT
+      slot_name,
+      slot_type,
+      active,
+      pg_wal_lsn_diff(pg_current_wal_lsn(), restart_lsn) AS retained_wal_bytes
+    FROM pg_catalog.pg_replication_slots
+    WHERE slot_name IN (${LEGACY_SLOT_NAMES.map(quoteLiteral).join(', ')});
+  `;
+
+  try {
+    const rows = await executeQuery(projectRef, token, query, 'pitr_stray_slots_query');
+    return rows.map(row => ({
+      name: row.slot_name,
+      type: row.slot_type,
+      active: Boolean(row.active),
+      retainedWalBytes: row.retained_wal_bytes === null ? null : Number(row.retained_wal_bytes)
+    }));
+  } catch (error) {
+    logger.warn(`Could not list replication slots: ${error.message}`);
+
+    // Log replication slot query failure
+    await logEvidence('pitr_stray_slots_query_failure', 'warning', {
+      projectRef,
+      pitrCheckId,
+      ...apiErrorFields(error),
+      timestamp: new Date().toISOString()
+    }, projectRef);
+    return null;
+  }
+};
+
+const formatBytes = (bytes) => {
+  if (bytes === null || bytes === undefined) return 'an unknown amount';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return `${Math.round(value * 10) / 10} ${units[unit]}`;
+};
+
+module.exports = {
+  id: 'pitr',
+  title: 'Point-in-Time Recovery (PITR)',
+  severity: 'medium',
+
+  run: async ({ projectRef, token, checkId: pitrCheckId, options }) => {
+    const backupMaxAgeHours = getBackupMaxAgeHours(options);
+
+    // Get backup configuration
+    const backupsResponse = await managementApi.get(token, projectPath(projectRef, '/database/backups'));
+
+    const backupsConfig = backupsResponse.data || {};
+    const pitrEnabled = backupsConfig.pitr_enabled === true;
+    const { backups, window, latestBackupAt, latestBackupAgeHours } = describeBackups(backupsConfig);
+
+    // Log PITR configuration retrieved
+    await logEvidence('pitr_config_retrieved', 'info', {
+      projectRef,
+      pitrCheckId,
+      config: backupsConfig,
+      pitrEnabled,
+      timestamp: new Date().toISOString()
+    }, projectRef);
+
+    const [addon, plan, straySlots] = await Promise.all([
+      getPitrAddon({ projectRef, token, pitrCheckId }),
+      getOrganizationPlan({ projectRef, token, pitrCheckId }),
+      getStraySlots({ projectRef, token, pitrCheckId })
+    ]);
+
+    const backupRecent = latestBackupAgeHours !== null && latestBackupAgeHours <= backupMaxAgeHours;
+
+    // Each part of the backup posture passes or fails on its own
+    const items = [
+      {
+        id: 'pitr_enabled',
+        status: pitrEnabled ? 'pass' : 'fail',
+        message: pitrEnabled
+          ? `PITR is enabled${addon?.retentionDays ? ` with ${addon.retentionDays}-day retention` : ''}`
+          : 'PITR is not enabled, so the project can only be restored to a daily backup'
+      },
+      {
+        id: 'recent_backup',
+        status: backupRecent ? 'pass' : 'fail',
+        message: latestBackupAt
+          ? `Latest backup is ${latestBackupAgeHours} hours old (limit ${backupMaxAgeHours})`
+          : 'No completed backup was found'
+      },
+      {
+        id: 'stray_replication_slots',
+        status: straySlots === null ? 'error' : straySlots.length > 0 ? 'fail' : 'pass',
+        message: straySlots === null
+          ? 'Replication slots could not be listed'
+          : straySlots.length > 0
+            ? `Stray replication slot(s) ${straySlots.map(slot => slot.name).join(', ')} left by an earlier PITR fix hold back ${formatBytes(straySlots.reduce((total, slot) => total + (slot.retainedWalBytes || 0), 0))} of WAL`
+            : 'No stray replication slots'
+      }
+    ];
+
+    // A part that couldn't be checked leaves the whole check in error rather than passing
+    const unchecked = items.filter(item => item.status === 'error');
+
+    // Log backup posture
+    await logEvidence('pitr_backup_posture', items.some(item => item.status !== 'pass') ? 'warning' : 'info', {
+      projectRef,
+      pitrCheckId,
+      pitrEnabled,
+      addon,
+      plan,
+      window,
+      latestBackupAt,
+      latestBackupAgeHours,
+      backupMaxAgeHours,
+      backupCount: backups.length,
+      straySlots,
+      items,
+      timestamp: new Date().toISOString()
+    }, projectRef);
+
+    return {
+      pitrEnabled,
+      backupsConfig,
+      backups: backups.slice(0, 10),
+      window,
+      latestBackupAt,
+      latestBackupAgeHours,
+      backupMaxAgeHours,
+      addon,
+      plan,
+      straySlots: straySlots || [],
+      items,
+      ...(unchecked.length > 0 ? { status: 'error', error: unchecked.map(item => item.message).join('; ') } : {}),
+      summary: {
+        total: items.length,
+        passing: items.filter(item => item.status === 'pass').length,
+        failing: items.filter(item => item.status === 'fail').length
+      }
+    };
+  },
+
+  // Every failing part counts; stale backups can only be planned as a warning for manual action
+  needsFix: (result) => (result.items || []).some(item => item.status === 'fail'),
+
+  // PITR is a billed add-on, so it is only enabled when options.pitrAddonVariant names the variant to buy
+  plan: async ({ result, options = {} }) => {
+    const actions = [];
+    const warnings = [];
+
+    (result.straySlots || []).forEach(slot => {
+      if (slot.active) {
+        warnings.push(`Replication slot ${slot.name} is in use by a connected client, so it was not dropped`);
+        return;
+      }
+      actions.push({
+        type: 'sql',
+        description: `Drop stray replication slot ${slot.name} left by an earlier PITR fix (retains ${formatBytes(slot.retainedWalBytes)} of WAL)`,
+        query: `SELECT pg_drop_replication_slot(${quoteLiteral(slot.name)});`,
+        slot: slot.name
+      });
+    });
+
+    // Backups are taken by the platform, so a stale one can only be looked into by hand
+    if ((result.items || []).some(item => item.id === 'recent_backup' && item.status === 'fail')) {
+      warnings.push(result.latestBackupAt
+        ? `The latest backup is ${result.latestBackupAgeHours} hours old (limit ${result.backupMaxAgeHours}); check the project's backups in the dashboard and contact support if they have stopped`
+        : "No completed backup was found; check the project's backups in the dashboard and contact support if none are being taken");
+    }
+
+    if (!result.pitrEnabled) {
+      const variant = options.pitrAddonVariant;
+      const available = result.addon?.availableVariants || [];
+
+      if (PLANS_WITHOUT_PITR.includes(result.plan)) {
+        warnings.push(`PITR needs a paid plan; this organization is on the ${result.plan} plan. Upgrade it before enabling PITR (${PITR_DOCS_URL})`);
+      } else if (!variant) {
+        warnings.push(`PITR is a billed add-on and is not enabled automatically. Fix again with pitrAddonVariant set to ${available.length > 0 ? available.join(', ') : 'a variant such as pitr_7'} to enable it (${PITR_DOCS_URL})`);
+      } else if (!PITR_VARIANT_PATTERN.test(variant) || (available.length > 0 && !available.includes(variant))) {
+        throw new Error(`Unknown PITR add-on variant "${variant}"${available.length > 0 ? ` (available: ${available.join(', ')})` : ''}`);
+      } else {
+        actions.push({
+          type: 'api',
+          method: 'PATCH',
+          path: '/billing/addons',
+          description: `Enable the PITR add-on with ${retentionDaysOf(variant)}-day retention (billed per hour; see ${PITR_DOCS_URL})`,
+          payload: { addon_type: 'pitr', addon_variant: variant }
+        });
+      }
+    }
+
+    return { actions, warnings };
+  },
+
+  fix: async ({ projectRef, token, fixAttemptId: pitrFixId, plan, signal }) => {
+    const results = [];
+
+    // Each action is independent, so one failing doesn't stop the others
+    for (const action of plan.actions) {
+      if (signal?.aborted) {
+        results.push({ description: action.description, success: false, cancelled: true, error: 'Cancelled before this action ran' });
+        continue;
+      }
+
+      // Log PITR action attempt
+      const actionId = await logEvidence('pitr_fix_action_attempt', 'info', {
+        projectRef,
+        pitrFixId,
+        description: action.description,
+        query: action.query,
+        path: action.path,
+        payload: action.payload,
+        timestamp: new Date().toISOString()
+      }, projectRef);
+
+      try {
+        if (action.type === 'sql') {
+          await executeQuery(projectRef, token, action.query, `pitr_drop_slot_${action.slot}`);
+        } else {
+          await managementApi.patch(token, projectPath(projectRef, action.path), action.payload);
+        }
+
+        // Log PITR action success
+        await logEvidence('pitr_fix_action_success', 'success', {
+          projectRef,
+          actionId,
+          description: action.description,
+          timestamp: new Date().toISOString()
+        }, projectRef);
+
+        results.push({ description: action.description, success: true });
+      } catch (error) {
+        // Log PITR action failure
+        await logEvidence('pitr_fix_action_failure', 'error', {
+          projectRef,
+          actionId,
+          description: action.description,
+          ...apiErrorFields(error),
+          timestamp: new Date().toISOString()
+        }, projectRef);
+
+        results.push({ description: action.description, success: false, error: error.message });
+      }
+    }
+
+    const success = results.every(result => result.success);
+
+    return {
+      success,
+      partial: !success && results.some(result => result.success),
+      actions: results,
+      cancelled: results.some(result => result.cancelled),
+      error: success ? null : results.find(result => !result.success).error
+    };
+  },
+
+  // The PITR add-on selected before the fix. Dropped stray slots are deliberately not restored.
+  snapshot: async ({ projectRef, token, plan }) => {
+    const addonAction = plan.actions.find(action => action.path === '/billing/addons');
+    const droppedSlots = plan.actions.filter(action => action.slot).map(action => action.slot);
+    if (!addonAction) return { addonVariant: null, appliedVariant: null, droppedSlots };
+
+    const response = await managementApi.get(token, projectPath(projectRef, '/billing/addons'));
+    const selected = (response.data?.selected_addons || []).find(addon => addon.type === 'pitr');
+
+    return {
+      addonVariant: selected?.variant?.id || null,
+      appliedVariant: addonAction.payload.addon_variant,
+      droppedSlots
+    };
+  },
+
+  rollback: async ({ projectRef, token, rollbackAttemptId, snapshot }) => {
+    const { addonVariant, appliedVariant, droppedSlots } = snapshot.state;
+    const notRestored = (droppedSlots || []).map(slot => `replication slot ${slot}`);
+
+    if (!appliedVariant || appliedVariant === addonVariant) {
+      return { success: true, restored: [], notRestored };
+    }
+
+    // Log PITR add-on restore
+    await logEvidence('pitr_addon_restore', 'info', {
+      projectRef,
+      rollbackAttemptId,
+      from: appliedVariant,
+      to: addonVariant,
+      timestamp: new Date().toISOString()
+    }, projectRef);
+
+    if (addonVariant) {
+      await managementApi.patch(token, projectPath(projectRef, '/billing/addons'), { addon_type: 'pitr', addon_variant: addonVariant });
+    } else {
+      await managementApi.delete(token, projectPath(projectRef, `/billing/addons/${encodeURIComponent(appliedVariant)}`));
+    }
+
+    return { success: true, restored: ['pitr_addon'], notRestored };
+  }
+};
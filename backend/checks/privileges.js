@@ -0,0 +1,279 @@
+const { logEvidence } = require('../lib/evidence');
+const { quoteLiteral, executeQuery } = require('../lib/database');
+const { getAuditedSchemas } = require('../lib/schemas');
+const { highestSeverity } = require('../lib/severity');
+
+// Roles clients use through the Data API
+const CLIENT_ROLES = ['anon', 'authenticated'];
+
+// Roles the platform manages that are expected to be superusers or bypass RLS
+const PLATFORM_ROLES = [
+  'postgres',
+  'supabase_admin',
+  'supabase_auth_admin',
+  'supabase_storage_admin',
+  'supabase_functions_admin',
+  'supabase_realtime_admin',
+  'supabase_replication_admin',
+  'supabase_read_only_user',
+  'supabase_etl_admin',
+  'service_role',
+  'dashboard_user',
+  'authenticator',
+  'pgbouncer'
+];
+
+const WRITE_PRIVILEGES = ['INSERT', 'UPDATE', 'DELETE'];
+
+// Privileges RLS doesn't govern: TRUNCATE empties a table regardless of policies,
+// REFERENCES and TRIGGER are never needed by API clients. Supabase grants all three to
+// anon and authenticated by default and the Data API can't issue TRUNCATE, so they're reported without failing.
+const NON_RLS_PRIVILEGES = {
+  TRUNCATE: 'low',
+  REFERENCES: 'low',
+  TRIGGER: 'low'
+};
+
+// Low severity findings are reported without failing the check
+const FAILING_SEVERITIES = ['critical', 'high', 'medium'];
+
+// Extra roles allowed to be privileged (e.g. a migration role): explicit option, then PRIVILEGED_ROLES.
+// Either may be an array or a comma-separated string.
+const getAllowedPrivilegedRoles = ({ options = {} } = {}) => {
+  const value = options.privilegedRoles ?? process.env.PRIVILEGED_ROLES ?? [];
+  const extra = (Array.isArray(value) ? value : String(value).split(',')).map(role => String(role).trim()).filter(Boolean);
+  return [...PLATFORM_ROLES, ...extra];
+};
+
+// Postgres arrays come back as JSON arrays or as '{a,b}' text depending on the driver
+const pgArray = (value) => Array.isArray(value)
+  ? value
+  : String(value || '').replace(/^{|}$/g, '').split(',').map(item => item.replace(/^"|"$/g, '')).filter(Boolean);
+
+const withStatus = (item, findings) => ({
+  ...item,
+  findings,
+  severity: highestSeverity(findings.map(finding => finding.severity)),
+  status: findings.some(finding => FAILING_SEVERITIES.includes(finding.severity)) ? 'fail' : 'pass'
+});
+
+// Findings for one relation's grants to anon and authenticated
+const grantFindings = (relation) => {
+  const findings = [];
+  const granted = Object.entries(relation.privileges).filter(([, privileges]) => privileges.length > 0);
+
+  // Without RLS every granted privilege applies to every row
+  if (['table', 'partitioned_table'].includes(relation.kind) && !relation.rlsEnabled && granted.length > 0) {
+    const writers = granted.filter(([, privileges]) => privileges.some(p => WRITE_PRIVILEGES.includes(p))).map(([role]) => role);
+    findings.push({
+      type: 'grant_without_rls',
+      severity: writers.length > 0 ? 'critical' : 'high',
+      message: writers.length > 0
+        ? `${writers.join(', ')} can write every row: the table is granted to clients without RLS`
+        : `${granted.map(([role]) => role).join(', ')} can read every row: the table is granted to clients without RLS`
+    });
+  }
+
+  Object.entries(NON_RLS_PRIVILEGES).forEach(([privilege, severity]) => {
+    const roles = granted.filter(([, privileges]) => privileges.includes(privilege)).map(([role]) => role);
+    if (roles.length === 0) return;
+
+    findings.push({
+      type: 'non_rls_privilege',
+      severity,
+      privilege,
+      message: `${privilege} is granted to ${roles.join(', ')}${privilege === 'TRUNCATE' ? ', which empties the table regardless of RLS' : ''}`
+    });
+  });
+
+  return findings;
+};
+
+// SECURITY DEFINER functions run as their owner, so they bypass RLS; without a pinned
+// search_path a caller can shadow the objects they reference
+const functionFindings = (fn) => {
+  if (fn.searchPath !== null) {
+    return fn.clientExecutable.length > 0 ? [{
+      type: 'client_callable_security_definer',
+      severity: 'low',
+      message: `${fn.clientExecutable.join(', ')} can call it and it bypasses RLS as ${fn.owner}`
+    }] : [];
+  }
+
+  return [{
+    type: 'unpinned_search_path',
+    severity: fn.clientExecutable.length > 0 ? 'high' : 'medium',
+    message: `SECURITY DEFINER without a pinned search_path${fn.clientExecutable.length > 0 ? `, callable by ${fn.clientExecutable.join(', ')}` : ''}`
+  }];
+};
+
+const roleFindings = (role, allowed) => {
+  if (allowed.includes(role.name)) return [];
+
+  const client = CLIENT_ROLES.includes(role.name);
+  const findings = [];
+
+  if (role.superuser) {
+    findings.push({ type: 'superuser', severity: 'critical', message: 'Role is a superuser' });
+  }
+  if (role.bypassRls) {
+    findings.push({ type: 'bypass_rls', severity: client ? 'critical' : 'high', message: 'Role has BYPASSRLS' });
+  }
+  if (role.privilegedMemberships.length > 0) {
+    findings.push({
+      type: 'privileged_membership',
+      severity: client ? 'critical' : 'high',
+      message: `Role inherits superuser or BYPASSRLS through ${role.privilegedMemberships.join(', ')}`
+    });
+  }
+
+  return findings;
+};
+
+module.exports = {
+  id: 'privileges',
+  title: 'Database Roles and Privileges',
+  severity: 'high',
+
+  run: async ({ projectRef, token, checkId: privilegesCheckId, options }) => {
+    const { schemas, source: schemaSource } = await getAuditedSchemas({ projectRef, token, options });
+    const schemaList = schemas.map(quoteLiteral).join(', ');
+    const clientRoleList = CLIENT_ROLES.map(quoteLiteral).join(', ');
+
+    // Direct grants to client roles on relations in exposed schemas
+    const grantsQuery = `
+      SELECT
+        g.table_schema,
+        g.table_name,
+        g.grantee,
+        c.relkind,
+        c.relrowsecurity AS rls_enabled,
+        array_agg(DISTINCT g.privilege_type) AS privileges
+      FROM information_schema.role_table_grants g
+      JOIN pg_catalog.pg_namespace n ON n.nspname = g.table_schema
+      JOIN pg_catalog.pg_class c ON c.relnamespace = n.oid AND c.relname = g.table_name
+      WHERE g.grantee IN (${clientRoleList})
+      AND g.table_schema IN (${schemaList})
+      GROUP BY g.table_schema, g.table_name, g.grantee, c.relkind, c.relrowsecurity
+      ORDER BY g.table_schema, g.table_name, g.grantee;
+    `;
+
+    const grantRows = await executeQuery(projectRef, token, grantsQuery, 'privileges_grants_query');
+
+    const relationsById = {};
+    grantRows.forEach(row => {
+      const id = `${row.table_schema}.${row.table_name}`;
+      relationsById[id] = relationsById[id] || {
+        id,
+        schema: row.table_schema,
+        name: row.table_name,
+        kind: { r: 'table', p: 'partitioned_table', v: 'view', m: 'materialized_view', f: 'foreign_table' }[row.relkind] || 'table',
+        rlsEnabled: Boolean(row.rls_enabled),
+        privileges: Object.fromEntries(CLIENT_ROLES.map(role => [role, []]))
+      };
+      relationsById[id].privileges[row.grantee] = pgArray(row.privileges).sort();
+    });
+    const grants = Object.values(relationsById).map(relation => withStatus(relation, grantFindings(relation)));
+
+    // SECURITY DEFINER functions in exposed schemas and whether they pin search_path
+    const functionsQuery = `
+      SELECT
+        n.nspname AS schemaname,
+        p.proname,
+        pg_catalog.pg_get_function_identity_arguments(p.oid) AS arguments,
+        pg_catalog.pg_get_userbyid(p.proowner) AS owner,
+        p.proconfig,
+        has_function_privilege('anon', p.oid, 'EXECUTE') AS anon_execute,
+        has_function_privilege('authenticated', p.oid, 'EXECUTE') AS authenticated_execute
+      FROM pg_catalog.pg_proc p
+      JOIN pg_catalog.pg_namespace n ON n.oid = p.pronamespace
+      WHERE p.prosecdef
+      AND n.nspname IN (${schemaList})
+      ORDER BY n.nspname, p.proname;
+    `;
+
+    const functions = (await executeQuery(projectRef, token, functionsQuery, 'privileges_functions_query')).map(row => {
+      const searchPath = pgArray(row.proconfig).find(setting => setting.startsWith('search_path='));
+      const fn = {
+        id: `${row.schemaname}.${row.proname}(${row.arguments || ''})`,
+        schema: row.schemaname,
+        name: row.proname,
+        owner: row.owner,
+        searchPath: searchPath !== undefined ? searchPath.slice('search_path='.length) : null,
+        clientExecutable: CLIENT_ROLES.filter(role => row[`${role}_execute`])
+      };
+      return withStatus(fn, functionFindings(fn));
+    });
+
+    // Roles that are, or inherit, superuser or BYPASSRLS
+    const rolesQuery = `
+      SELECT
+        r.rolname,
+        r.rolsuper,
+        r.rolbypassrls,
+        r.rolcanlogin,
+        ARRAY(
+          SELECT b.rolname FROM pg_catalog.pg_roles b
+          WHERE b.oid <> r.oid
+          AND (b.rolsuper OR b.rolbypassrls)
+          AND pg_has_role(r.oid, b.oid, 'MEMBER')
+          ORDER BY b.rolname
+        ) AS privileged_memberships
+      FROM pg_catalog.pg_roles r
+      WHERE r.rolname NOT LIKE 'pg\\_%'
+      ORDER BY r.rolname;
+    `;
+
+    const allowedRoles = getAllowedPrivilegedRoles({ options });
+    const roles = (await executeQuery(projectRef, token, rolesQuery, 'privileges_roles_query')).map(row => {
+      const role = {
+        name: row.rolname,
+        superuser: Boolean(row.rolsuper),
+        bypassRls: Boolean(row.rolbypassrls),
+        canLogin: Boolean(row.rolcanlogin),
+        platformRole: allowedRoles.includes(row.rolname),
+        privilegedMemberships: pgArray(row.privileged_memberships)
+      };
+      return withStatus(role, roleFindings(role, allowedRoles));
+    });
+
+    const findings = [
+      ...grants.flatMap(g => g.findings.map(finding => ({ ...finding, kind: 'grant', item: g.id }))),
+      ...functions.flatMap(f => f.findings.map(finding => ({ ...finding, kind: 'function', item: f.id }))),
+      ...roles.flatMap(r => r.findings.map(finding => ({ ...finding, kind: 'role', item: r.name })))
+    ];
+
+    // Log privilege audit
+    await logEvidence('privileges_audit', findings.some(f => FAILING_SEVERITIES.includes(f.severity)) ? 'warning' : 'info', {
+      projectRef,
+      privilegesCheckId,
+      schemas,
+      schemaSource,
+      relationCount: grants.length,
+      overPrivilegedRelations: grants.filter(g => g.status === 'fail').map(g => g.id),
+      securityDefinerFunctions: functions.map(f => f.id),
+      unpinnedFunctions: functions.filter(f => f.searchPath === null).map(f => f.id),
+      privilegedRoles: roles.filter(r => r.status === 'fail').map(r => r.name),
+      timestamp: new Date().toISOString()
+    }, projectRef);
+
+    const items = [...grants, ...functions, ...roles];
+
+    return {
+      schemas,
+      schemaSource,
+      grants,
+      functions,
+      roles,
+      findings,
+      summary: {
+        total: items.length,
+        passing: items.filter(item => item.status === 'pass').length,
+        failing: items.filter(item => item.status === 'fail').length,
+        overPrivilegedGrants: grants.filter(g => g.status === 'fail').length,
+        unpinnedFunctions: functions.filter(f => f.searchPath === null).length,
+        privilegedRoles: roles.filter(r => r.status === 'fail').length
+      }
+    };
+  }
+};
@@ -0,0 +1,545 @@
+const logger = require('../lib/logger');
+const { logEvidence } = require('../lib/evidence');
+const { quoteIdent, quoteLiteral, executeQuery } = require('../lib/database');
+const { apiErrorFields } = require('../lib/managementApi');
+const { getAuditedSchemas } = require('../lib/schemas');
+const {
+  getPolicies,
+  analyzePolicies,
+  getTableColumns,
+  findOwnerColumn,
+  generateOwnerPolicies
+} = require('../lib/policies');
+
+// Policy findings at these severities leave a table effectively unprotected
+const EXPOSING_SEVERITIES = ['critical', 'high'];
+
+// Why a table fails: no RLS, RLS without any policy (locks every client out), or an unsafe policy
+const tableReason = (table, policyFindings) => {
+  if (!table.rls_enabled) return 'no_rls';
+  if (!table.has_policies) return 'no_policies';
+  if (policyFindings.some(f => EXPOSING_SEVERITIES.includes(f.severity))) return 'unsafe_policy';
+  return null;
+};
+
+const REASON_STATUS = {
+  no_rls: 'fail',
+  no_policies: 'locked',
+  unsafe_policy: 'fail'
+};
+
+const RELATION_KINDS = {
+  r: 'table',
+  p: 'partitioned_table',
+  v: 'view',
+  m: 'materialized_view'
+};
+
+// Postgres arrays come back as JSON arrays or as '{a,b}' text depending on the driver
+const pgArray = (value) => Array.isArray(value)
+  ? value
+  : String(value || '').replace(/^{|}$/g, '').split(',').filter(Boolean);
+
+// Plan actions name relations as schema.name
+const splitRelationId = (id) => ({ schema: id.slice(0, id.indexOf('.')), name: id.slice(id.indexOf('.') + 1) });
+
+module.exports = {
+  id: 'rls',
+  title: 'Row-Level Security (RLS)',
+  severity: 'critical',
+
+  run: async ({ projectRef, token, checkId: rlsCheckId, options }) => {
+    const { schemas, source: schemaSource } = await getAuditedSchemas({ projectRef, token, options });
+    const schemaList = schemas.map(quoteLiteral).join(', ');
+
+    // Log audited schemas
+    await logEvidence('rls_schemas_resolved', 'info', {
+      projectRef,
+      rlsCheckId,
+      schemas,
+      schemaSource,
+      timestamp: new Date().toISOString()
+    }, projectRef);
+
+    // SQL query to check RLS status of regular and partitioned tables
+    const query = `
+      SELECT
+        n.nspname AS schemaname,
+        c.relname AS tablename,
+        c.relkind,
+        pg_get_userbyid(c.relowner) AS tableowner,
+        (SELECT EXISTS (
+          SELECT 1 FROM pg_policies
+          WHERE schemaname = n.nspname AND tablename = c.relname
+        )) AS has_policies,
+        c.relrowsecurity AS rls_enabled
+      FROM pg_catalog.pg_class c
+      JOIN pg_catalog.pg_namespace n ON n.oid = c.relnamespace
+      WHERE c.relkind IN ('r', 'p')
+      AND n.nspname IN (${schemaList})
+      AND c.relname NOT LIKE 'pg_%'
+      AND c.relname NOT LIKE 'sql_%'
+      ORDER BY n.nspname, c.relname;
+    `;
+
+    const tables = await executeQuery(projectRef, token, query, 'rls_tables_query');
+
+    // Views run with their owner's privileges unless security_invoker is set,
+    // and materialized views can't have RLS at all, so both can leak protected rows to clients
+    const viewQuery = `
+      SELECT
+        vn.nspname AS schemaname,
+        v.relname AS viewname,
+        v.relkind,
+        COALESCE((
+          SELECT option_value
+          FROM pg_catalog.pg_options_to_table(v.reloptions)
+          WHERE option_name = 'security_invoker'
+        ), 'false') IN ('true', 'on', '1') AS security_invoker,
+        has_table_privilege('anon', v.oid, 'SELECT')
+          OR has_table_privilege('authenticated', v.oid, 'SELECT') AS client_readable,
+        array_agg(DISTINCT tn.nspname || '.' || t.relname) AS protected_tables
+      FROM pg_catalog.pg_class v
+      JOIN pg_catalog.pg_namespace vn ON vn.oid = v.relnamespace
+      JOIN pg_catalog.pg_rewrite r ON r.ev_class = v.oid
+      JOIN pg_catalog.pg_depend d ON d.objid = r.oid
+        AND d.classid = 'pg_catalog.pg_rewrite'::regclass
+        AND d.refclassid = 'pg_catalog.pg_class'::regclass
+      JOIN pg_catalog.pg_class t ON t.oid = d.refobjid AND t.oid <> v.oid
+      JOIN pg_catalog.pg_namespace tn ON tn.oid = t.relnamespace
+      WHERE v.relkind IN ('v', 'm')
+      AND vn.nspname IN (${schemaList})
+      AND t.relrowsecurity
+      GROUP BY vn.nspname, v.relname, v.relkind, v.reloptions
+      ORDER BY vn.nspname, v.relname;
+    `;
+
+    const views = (await executeQuery(projectRef, token, viewQuery, 'rls_views_query')).map(view => {
+      const kind = RELATION_KINDS[view.relkind];
+      const exposesData = view.client_readable && (kind === 'materialized_view' || !view.security_invoker);
+
+      return {
+        id: `${view.schemaname}.${view.viewname}`,
+        name: view.viewname,
+        schema: view.schemaname,
+        kind,
+        securityInvoker: view.security_invoker,
+        clientReadable: view.client_readable,
+        protectedTables: pgArray(view.protected_tables),
+        reason: exposesData ? 'bypasses_rls' : null,
+        status: exposesData ? 'fail' : 'pass'
+      };
+    });
+
+    // Analyze every policy, not just whether one exists
+    let policyFindings = [];
+    try {
+      const policies = await getPolicies(projectRef, token, schemas);
+      policyFindings = analyzePolicies(policies);
+
+      // Log policy analysis
+      await logEvidence('rls_policy_analysis', policyFindings.length > 0 ? 'warning' : 'info', {
+        projectRef,
+        rlsCheckId,
+        policyCount: policies.length,
+        flaggedCount: policyFindings.length,
+        findings: policyFindings,
+        timestamp: new Date().toISOString()
+      }, projectRef);
+    } catch (policyError) {
+      logger.warn(`Error analyzing RLS policies: ${policyError.message}`);
+
+      // Log policy analysis failure
+      await logEvidence('rls_policy_analysis_failure', 'warning', {
+        projectRef,
+        rlsCheckId,
+        error: policyError.message,
+        timestamp: new Date().toISOString()
+      }, projectRef);
+    }
+
+    // Map results to a more friendly format
+    const publicTables = tables.map(table => {
+      const id = `${table.schemaname}.${table.tablename}`;
+      const tablePolicyFindings = policyFindings.filter(f => f.table === id);
+      const reason = tableReason(table, tablePolicyFindings);
+
+      return {
+        id,
+        name: table.tablename,
+        schema: table.schemaname,
+        kind: RELATION_KINDS[table.relkind] || 'table',
+        rlsEnabled: table.rls_enabled,
+        hasPolicies: table.has_policies,
+        flaggedPolicies: tablePolicyFindings.map(f => f.policy),
+        reason,
+        status: reason ? REASON_STATUS[reason] : 'pass'
+      };
+    });
+
+    // Tables with RLS but no policies are reported separately from missing RLS
+    const findings = [
+      ...publicTables
+        .filter(t => t.status === 'locked')
+        .map(t => ({
+          type: 'locked_table',
+          severity: 'medium',
+          table: t.id,
+          message: 'RLS is enabled but no policies exist, so all client access is denied'
+        })),
+      ...views
+        .filter(v => v.status === 'fail')
+        .map(v => ({
+          type: 'rls_bypass_view',
+          severity: 'high',
+          table: v.id,
+          message: v.kind === 'materialized_view'
+            ? `Materialized view stores rows from RLS-protected ${v.protectedTables.join(', ')} without RLS`
+            : `View reads RLS-protected ${v.protectedTables.join(', ')} with its owner's privileges (no security_invoker)`
+        })),
+      ...policyFindings
+    ];
+
+    // Log table RLS status
+    await logEvidence('table_rls_status', 'info', {
+      projectRef,
+      rlsCheckId,
+      tableCount: publicTables.length,
+      tablesWithRls: publicTables.filter(t => t.rlsEnabled).length,
+      tablesWithoutRls: publicTables.filter(t => !t.rlsEnabled).length,
+      tablesWithPolicies: publicTables.filter(t => t.hasPolicies).length,
+      tablesWithoutPolicies: publicTables.filter(t => !t.hasPolicies).length,
+      lockedTables: publicTables.filter(t => t.status === 'locked').map(t => t.id),
+      tablesWithUnsafePolicies: publicTables.filter(t => t.reason === 'unsafe_policy').map(t => t.id),
+      viewCount: views.length,
+      viewsBypassingRls: views.filter(v => v.status === 'fail').map(v => v.id),
+      timestamp: new Date().toISOString()
+    }, projectRef);
+
+    // Tables and views are counted together as protected relations
+    const relations = [...publicTables, ...views];
+
+    return {
+      schemas,
+      schemaSource,
+      tables: publicTables,
+      views,
+      findings,
+      summary: {
+        total: relations.length,
+        passing: relations.filter(r => r.status === 'pass').length,
+        failing: relations.filter(r => r.status === 'fail').length,
+        locked: publicTables.filter(t => t.status === 'locked').length,
+        flaggedPolicies: policyFindings.length,
+        viewsBypassingRls: views.filter(v => v.status === 'fail').length
+      }
+    };
+  },
+
+  // Locked tables can be fixed too, by adding starter policies
+  needsFix: (result) => [...result.tables, ...result.views].some(r => r.status !== 'pass'),
+
+  // options.tables limits the fix to those table and view ids; every failing relation otherwise
+  plan: async ({ projectRef, token, result, options = {} }) => {
+    const generatePolicies = options.generatePolicies !== false;
+    const selected = Array.isArray(options.tables) ? options.tables : null;
+    const isSelected = (relation) => !selected || selected.includes(relation.id);
+    const targets = result.tables.filter(t => t.status !== 'pass' && isSelected(t));
+
+    // Only tables without any policy get starter policies
+    const columnsByTable = generatePolicies
+      ? await getTableColumns(projectRef, token, targets.filter(t => !t.hasPolicies))
+      : {};
+
+    const actions = [];
+    const warnings = [];
+
+    // Selected ids that aren't failing relations of this project are reported, not silently dropped
+    const failingIds = [...result.tables, ...result.views].filter(r => r.status !== 'pass').map(r => r.id);
+    (selected || []).filter(id => !failingIds.includes(id)).forEach(id => {
+      warnings.push(`${id} was selected but is not a failing table or view, so it was skipped`);
+    });
+
+    targets.forEach(table => {
+      const statements = [];
+      let policies = [];
+
+      // Existing policies are never rewritten automatically
+      if (table.reason === 'unsafe_policy') {
+        warnings.push(`${table.id} has unsafe policies (${table.flaggedPolicies.join(', ')}) that must be reviewed and rewritten manually`);
+        return;
+      }
+
+      if (!table.rlsEnabled) {
+        // Use quoted identifiers to handle tables with special characters
+        statements.push(`ALTER TABLE ${quoteIdent(table.schema)}.${quoteIdent(table.name)} ENABLE ROW LEVEL SECURITY;`);
+      }
+
+      if (!table.hasPolicies) {
+        const ownerColumn = generatePolicies ? findOwnerColumn(columnsByTable[table.id]) : null;
+
+        if (ownerColumn) {
+          policies = generateOwnerPolicies(table, ownerColumn);
+          statements.push(...policies.map(policy => policy.sql));
+        } else {
+          warnings.push(`${table.id} has no policies and no owner column, so it will deny all client access until policies are written`);
+        }
+      }
+
+      if (statements.length === 0) return;
+
+      const steps = [
+        !table.rlsEnabled && 'enable row level security',
+        policies.length > 0 && `add owner-scoped policies on ${policies[0].ownerColumn}`
+      ].filter(Boolean);
+
+      actions.push({
+        type: 'sql',
+        table: table.id,
+        description: `${table.id}: ${steps.join(' and ')}`,
+        query: statements.join('\n'),
+        policies
+      });
+    });
+
+    result.views.filter(v => v.status === 'fail' && isSelected(v)).forEach(view => {
+      const viewName = `${quoteIdent(view.schema)}.${quoteIdent(view.name)}`;
+
+      actions.push(view.kind === 'materialized_view' ? {
+        type: 'sql',
+        table: view.id,
+        description: `${view.id}: revoke client access to the materialized view`,
+        query: `REVOKE SELECT ON ${viewName} FROM anon, authenticated;`,
+        policies: []
+      } : {
+        type: 'sql',
+        table: view.id,
+        description: `${view.id}: run the view with the caller's privileges so RLS applies`,
+        query: `ALTER VIEW ${viewName} SET (security_invoker = true);`,
+        policies: []
+      });
+    });
+
+    return { actions, warnings };
+  },
+
+  fix: async ({ projectRef, token, fixAttemptId: rlsFixId, plan, signal }) => {
+    const { actions } = plan;
+
+    try {
+      // Use a single SQL transaction for RLS and policies on all tables
+      const query = ['BEGIN;', ...actions.map(action => action.query), 'COMMIT;'].join('\n');
+
+      // Log RLS batch transaction
+      await logEvidence('rls_batch_transaction', 'info', {
+        projectRef,
+        rlsFixId,
+        tableCount: actions.length,
+        tables: actions.map(action => action.table),
+        query: query.length > 1000 ? `${query.substring(0, 1000)}...` : query,
+        timestamp: new Date().toISOString()
+      }, projectRef);
+
+      await executeQuery(projectRef, token, query, 'rls_batch_enable');
+
+      return {
+        success: true,
+        tableCount: actions.length,
+        policiesCreated: actions.reduce((count, action) => count + action.policies.length, 0),
+        tables: actions.map(action => ({ table: action.table, success: true }))
+      };
+    } catch (error) {
+      // Log RLS batch fix failure
+      await logEvidence('rls_batch_fix_failure', 'error', {
+        projectRef,
+        rlsFixId,
+        ...apiErrorFields(error),
+        timestamp: new Date().toISOString()
+      }, projectRef);
+    }
+
+    // Fall back to individual table fixes if batch fails
+    await logEvidence('rls_individual_fix_fallback', 'info', {
+      projectRef,
+      rlsFixId,
+      tableCount: actions.length,
+      timestamp: new Date().toISOString()
+    }, projectRef);
+
+    // One table at a time so a cancelled job stops between tables
+    const tables = [];
+    for (const { table, query: statements, policies } of actions) {
+      if (signal?.aborted) {
+        tables.push({ table, success: false, cancelled: true, error: 'Cancelled before this table was fixed' });
+        continue;
+      }
+
+      try {
+        // Keep each table's RLS change and its policies atomic
+        const query = policies.length > 0 ? `BEGIN;\n${statements}\nCOMMIT;` : statements;
+
+        // Log individual table fix attempt
+        const tableFixId = await logEvidence('rls_table_fix_attempt', 'info', {
+          projectRef,
+          rlsFixId,
+          table,
+          query,
+          timestamp: new Date().toISOString()
+        }, projectRef);
+
+        await executeQuery(projectRef, token, query, `rls_enable_${table.replace('.', '_')}`);
+
+        // Log individual table fix success
+        await logEvidence('rls_table_fix_success', 'success', {
+          projectRef,
+          tableFixId,
+          table,
+          timestamp: new Date().toISOString()
+        }, projectRef);
+
+        tables.push({ table, success: true, policiesCreated: policies.length });
+      } catch (tableError) {
+        // Log individual table fix failure
+        await logEvidence('rls_table_fix_failure', 'error', {
+          projectRef,
+          table,
+          ...apiErrorFields(tableError),
+          timestamp: new Date().toISOString()
+        }, projectRef);
+
+        tables.push({
+          table,
+          success: false,
+          error: tableError.message
+        });
+      }
+    }
+
+    const success = tables.every(t => t.success);
+    const cancelled = tables.some(t => t.cancelled);
+
+    // Log RLS individual fixes summary
+    await logEvidence('rls_individual_fixes_completed',
+      success ? 'success' : 'partial_success',
+      {
+        projectRef,
+        rlsFixId,
+        tableCount: tables.length,
+        successCount: tables.filter(t => t.success).length,
+        failureCount: tables.filter(t => !t.success && !t.cancelled).length,
+        cancelledCount: tables.filter(t => t.cancelled).length,
+        timestamp: new Date().toISOString()
+      },
+      projectRef
+    );
+
+    return {
+      success,
+      partial: !success && tables.some(t => t.success),
+      tableCount: tables.length,
+      policiesCreated: tables.reduce((count, t) => count + (t.policiesCreated || 0), 0),
+      tables,
+      cancelled,
+      error: success ? null : cancelled ? 'Cancelled before every table was fixed' : 'One or more tables could not be fixed'
+    };
+  },
+
+  // RLS flags, existing policies, view options and client grants of every relation the plan touches
+  snapshot: async ({ projectRef, token, plan }) => {
+    const relationIds = plan.actions.map(action => action.table);
+    const pairs = relationIds
+      .map(splitRelationId)
+      .map(({ schema, name }) => `(${quoteLiteral(schema)}, ${quoteLiteral(name)})`)
+      .join(', ');
+
+    const query = `
+      SELECT
+        n.nspname AS schemaname,
+        c.relname,
+        c.relkind,
+        c.relrowsecurity AS row_security,
+        COALESCE((
+          SELECT option_value
+          FROM pg_catalog.pg_options_to_table(c.reloptions)
+          WHERE option_name = 'security_invoker'
+        ), 'false') IN ('true', 'on', '1') AS security_invoker,
+        has_table_privilege('anon', c.oid, 'SELECT') AS anon_select,
+        has_table_privilege('authenticated', c.oid, 'SELECT') AS authenticated_select,
+        ARRAY(
+          SELECT policyname FROM pg_catalog.pg_policies
+          WHERE schemaname = n.nspname AND tablename = c.relname
+          ORDER BY policyname
+        ) AS policies
+      FROM pg_catalog.pg_class c
+      JOIN pg_catalog.pg_namespace n ON n.oid = c.relnamespace
+      WHERE (n.nspname, c.relname) IN (${pairs});
+    `;
+
+    const rows = await executeQuery(projectRef, token, query, 'rls_snapshot_query');
+
+    const relations = rows.map(row => {
+      const id = `${row.schemaname}.${row.relname}`;
+      const policies = pgArray(row.policies);
+      const planned = plan.actions.find(action => action.table === id)?.policies || [];
+
+      return {
+        id,
+        kind: RELATION_KINDS[row.relkind] || 'table',
+        rlsEnabled: row.row_security,
+        securityInvoker: row.security_invoker,
+        clientSelect: { anon: row.anon_select, authenticated: row.authenticated_select },
+        policies,
+        // Only policies the fix adds are dropped again; same-named ones that already existed stay
+        addedPolicies: planned.map(policy => policy.name).filter(name => !policies.includes(name))
+      };
+    });
+
+    return { relations };
+  },
+
+  rollback: async ({ projectRef, token, rollbackAttemptId, snapshot }) => {
+    const { relations } = snapshot.state;
+
+    // Every statement is idempotent, so relations the fix never reached are unaffected
+    const statements = relations.flatMap(relation => {
+      const { schema, name } = splitRelationId(relation.id);
+      const relationName = `${quoteIdent(schema)}.${quoteIdent(name)}`;
+
+      if (relation.kind === 'view') {
+        return relation.securityInvoker ? [] : [`ALTER VIEW ${relationName} SET (security_invoker = false);`];
+      }
+      if (relation.kind === 'materialized_view') {
+        return Object.keys(relation.clientSelect)
+          .filter(role => relation.clientSelect[role])
+          .map(role => `GRANT SELECT ON ${relationName} TO ${role};`);
+      }
+      return [
+        ...relation.addedPolicies.map(policy => `DROP POLICY IF EXISTS ${quoteIdent(policy)} ON ${relationName};`),
+        ...(relation.rlsEnabled ? [] : [`ALTER TABLE ${relationName} DISABLE ROW LEVEL SECURITY;`])
+      ];
+    });
+
+    if (statements.length === 0) {
+      return { success: true, relationCount: 0 };
+    }
+
+    const query = ['BEGIN;', ...statements, 'COMMIT;'].join('\n');
+
+    // Log RLS restore transaction
+    await logEvidence('rls_restore_transaction', 'info', {
+      projectRef,
+      rollbackAttemptId,
+      relations: relations.map(relation => relation.id),
+      query: query.length > 1000 ? `${query.substring(0, 1000)}...` : query,
+      timestamp: new Date().toISOString()
+    }, projectRef);
+
+    await executeQuery(projectRef, token, query, 'rls_batch_restore');
+
+    return {
+      success: true,
+      relationCount: relations.length,
+      policiesDropped: relations.reduce((count, relation) => count + relation.addedPolicies.length, 0)
+    };
+  }
+};
@@ -0,0 +1,74 @@
+const logger = require('../lib/logger');
+const { logEvidence } = require('../lib/evidence');
+const { saveSnapshot } = require('../lib/snapshots');
+const { getCheck, rollbackCheck } = require('./index');
+
+// Restore the pre-fix state recorded for a fix, newest change first.
+// checkIds limits the rollback to some of the snapshot's checks.
+const runRollback = async ({ projectRef, token, snapshot, checkIds = null, ip = null }) => {
+  const targets = Object.keys(snapshot.checks)
+    .filter(id => !checkIds || checkIds.includes(id))
+    .reverse();
+
+  logger.log(`Rolling back fix ${snapshot.fixId} for project: ${projectRef}`);
+
+  // Log rollback initiation
+  const rollbackId = await logEvidence('compliance_rollback_initiated', 'info', {
+    projectRef,
+    fixId: snapshot.fixId,
+    checks: targets,
+    ip,
+    timestamp: new Date().toISOString()
+  }, projectRef);
+
+  const results = {};
+  for (const id of targets) {
+    const check = getCheck(id);
+
+    // A check removed since the fix ran can't restore anything
+    if (!check?.rollback) {
+      results[id] = { success: false, error: `Check "${id}" can no longer be rolled back` };
+      continue;
+    }
+
+    results[id] = await rollbackCheck(check, {
+      projectRef,
+      token,
+      rollbackId,
+      snapshot: { fixId: snapshot.fixId, ...snapshot.checks[id] }
+    });
+  }
+
+  const allSuccessful = Object.values(results).every(result => result.success);
+  const status = allSuccessful ? 'rolled_back' : (Object.values(results).some(result => result.success) ? 'partially_rolled_back' : 'failed');
+
+  snapshot.rollback = {
+    rollbackId,
+    status,
+    checks: targets,
+    results,
+    completedAt: new Date().toISOString()
+  };
+  await saveSnapshot(snapshot);
+
+  // Log rollback completion
+  await logEvidence('compliance_rollback_completed', allSuccessful ? 'success' : 'partial_success', {
+    projectRef,
+    fixId: snapshot.fixId,
+    rollbackId,
+    status,
+    results,
+    timestamp: new Date().toISOString()
+  }, projectRef);
+
+  return {
+    projectRef,
+    fixId: snapshot.fixId,
+    rollbackId,
+    status,
+    results,
+    timestamp: new Date().toISOString()
+  };
+};
+
+module.exports = { runRollback };
@@ -0,0 +1,228 @@
+const logger = require('../lib/logger');
+const { logEvidence } = require('../lib/evidence');
+const { saveScan } = require('../lib/scans');
+const { managementApi, apiErrorFields, createRequestCache } = require('../lib/managementApi');
+const { mapWithConcurrency } = require('../lib/concurrency');
+const { getChecks, runCheck, summarizeResults } = require('./index');
+
+// Run every registered check against a project and record the result as a scan
+// trigger is 'manual' for API requests and 'schedule' for scheduled runs
+const runComplianceScan = async ({ projectRef, token, options = {}, trigger = 'manual', ip = null }) => {
+  const checks = getChecks();
+
+  logger.log(`Starting compliance check for project: ${projectRef} (${trigger})`);
+
+  // Log compliance check initiation
+  const checkId = await logEvidence('compliance_check_initiated', 'info', {
+    projectRef,
+    checks: checks.map(check => check.id),
+    options,
+    trigger,
+    ip,
+    timestamp: new Date().toISOString()
+  }, projectRef);
+
+  // Run registered checks in parallel for efficiency; endpoints several checks read are fetched once
+  const cache = createRequestCache();
+  const checkResults = await Promise.all(
+    checks.map(check => runCheck(check, { projectRef, token, parentCheckId: checkId, options, cache }))
+  );
+
+  const results = {};
+  checks.forEach((check, index) => {
+    results[check.id] = checkResults[index];
+  });
+
+  // Compile overall result
+  const result = {
+    projectRef,
+    timestamp: new Date().toISOString(),
+    checkId,
+    ...results,
+    checks: checks.map(check => ({
+      id: check.id,
+      title: check.title,
+      severity: check.severity,
+      status: results[check.id].status,
+      fixable: Boolean(check.fix)
+    })),
+    summary: summarizeResults(results)
+  };
+
+  // Log overall compliance check completion
+  await logEvidence('compliance_check_completed', 'success', {
+    projectRef,
+    checkId,
+    trigger,
+    summary: result.summary,
+    timestamp: new Date().toISOString()
+  }, projectRef);
+
+  // Record the result in the project's scan history
+  try {
+    const { scan, diff } = await saveScan(projectRef, result);
+    result.scanVersion = scan.version;
+
+    await logEvidence('compliance_scan_recorded', diff?.regressions.length ? 'warning' : 'info', {
+      projectRef,
+      checkId,
+      version: scan.version,
+      previousVersion: scan.previousVersion,
+      regressions: diff?.regressions || [],
+      improvements: diff?.improvements || [],
+      timestamp: new Date().toISOString()
+    }, projectRef);
+  } catch (scanError) {
+    logger.error(`Failed to record scan: ${scanError.message}`, scanError);
+
+    await logEvidence('compliance_scan_record_failure', 'error', {
+      projectRef,
+      checkId,
+      error: scanError.message,
+      timestamp: new Date().toISOString()
+    }, projectRef);
+  }
+
+  return result;
+};
+
+const DEFAULT_ORG_SCAN_CONCURRENCY = 3;
+const MAX_ORG_SCAN_CONCURRENCY = 10;
+
+// How many projects an organization scan checks at once: explicit value, then ORG_SCAN_CONCURRENCY
+const resolveOrgScanConcurrency = (value) => {
+  const requested = Number(value ?? process.env.ORG_SCAN_CONCURRENCY ?? DEFAULT_ORG_SCAN_CONCURRENCY);
+  if (!Number.isInteger(requested) || requested < 1) return DEFAULT_ORG_SCAN_CONCURRENCY;
+  return Math.min(requested, MAX_ORG_SCAN_CONCURRENCY);
+};
+
+// ACTIVE_HEALTHY, and ACTIVE_UNHEALTHY which can still be queried; paused or
+// provisioning projects can't
+const isActiveProject = (project) => String(project.status || '').startsWith('ACTIVE_');
+
+// Run the compliance scan across every active project the token can see
+// and aggregate the results into a projects x checks scorecard
+const runOrganizationScan = async ({ token, organizationId = null, concurrency, options = {}, trigger = 'manual', ip = null }) => {
+  const limit = resolveOrgScanConcurrency(concurrency);
+  const checks = getChecks();
+
+  const response = await managementApi.get(token, '/projects');
+  const projects = response.data.filter(project => !organizationId || project.organization_id === organizationId);
+  const activeProjects = projects.filter(isActiveProject);
+
+  // Log organization scan initiation
+  const orgScanId = await logEvidence('organization_scan_initiated', 'info', {
+    organizationId,
+    projectCount: projects.length,
+    activeProjectRefs: activeProjects.map(project => project.ref),
+    skippedProjectRefs: projects.filter(project => !isActiveProject(project)).map(project => project.ref),
+    concurrency: limit,
+    trigger,
+    ip,
+    timestamp: new Date().toISOString()
+  });
+
+  logger.log(`Starting organization scan of ${activeProjects.length} project(s), ${limit} at a time`);
+
+  const scanned = await mapWithConcurrency(activeProjects, limit, async (project) => {
+    try {
+      const result = await runComplianceScan({ projectRef: project.ref, token, options, trigger: 'organization', ip });
+      return { project, result };
+    } catch (error) {
+      logger.error(`Organization scan of ${project.ref} failed: ${error.message}`);
+
+      await logEvidence('organization_scan_project_failure', 'error', {
+        projectRef: project.ref,
+        orgScanId,
+        ...apiErrorFields(error),
+        timestamp: new Date().toISOString()
+      }, project.ref);
+
+      return { project, error: error.message };
+    }
+  });
+  const scannedByRef = new Map(scanned.map(entry => [entry.project.ref, entry]));
+
+  // One row per project; inactive projects are listed as skipped
+  const rows = projects.map(project => {
+    const base = {
+      projectRef: project.ref,
+      name: project.name,
+      organizationId: project.organization_id,
+      region: project.region,
+      projectStatus: project.status
+    };
+
+    if (!isActiveProject(project)) {
+      return { ...base, status: 'skipped', reason: 'Project is not active', overallStatus: null, checks: {} };
+    }
+
+    const { result, error } = scannedByRef.get(project.ref);
+    if (error) {
+      return { ...base, status: 'error', error, overallStatus: null, checks: {} };
+    }
+
+    const cells = {};
+    result.checks.forEach(check => {
+      cells[check.id] = { status: check.status, summary: result.summary[check.id] };
+    });
+
+    return {
+      ...base,
+      status: 'scanned',
+      checkId: result.checkId,
+      scanVersion: result.scanVersion,
+      overallStatus: result.summary.overallStatus,
+      checks: cells
+    };
+  });
+
+  const scannedRows = rows.filter(row => row.status === 'scanned');
+  const cellCount = scannedRows.length * checks.length;
+  const passingCells = scannedRows.reduce(
+    (count, row) => count + Object.values(row.checks).filter(cell => cell.status === 'pass').length, 0
+  );
+
+  const scorecard = {
+    orgScanId,
+    organizationId,
+    timestamp: new Date().toISOString(),
+    concurrency: limit,
+    checks: checks.map(check => {
+      const statuses = scannedRows.map(row => row.checks[check.id]?.status);
+      return {
+        id: check.id,
+        title: check.title,
+        severity: check.severity,
+        passing: statuses.filter(status => status === 'pass').length,
+        failing: statuses.filter(status => status === 'fail').length,
+        errors: statuses.filter(status => status === 'error').length
+      };
+    }),
+    projects: rows,
+    summary: {
+      projects: rows.length,
+      scanned: scannedRows.length,
+      skipped: rows.filter(row => row.status === 'skipped').length,
+      errors: rows.filter(row => row.status === 'error').length,
+      passing: scannedRows.filter(row => row.overallStatus === 'pass').length,
+      failing: scannedRows.filter(row => row.overallStatus !== 'pass').length,
+      // Share of project x check cells that pass
+      score: cellCount > 0 ? Math.round((passingCells / cellCount) * 100) : null
+    }
+  };
+
+  // Log organization scan completion
+  await logEvidence('organization_scan_completed', scorecard.summary.errors > 0 ? 'partial_success' : 'success', {
+    orgScanId,
+    organizationId,
+    summary: scorecard.summary,
+    checks: scorecard.checks,
+    failingProjectRefs: scannedRows.filter(row => row.overallStatus !== 'pass').map(row => row.projectRef),
+    timestamp: new Date().toISOString()
+  });
+
+  return scorecard;
+};
+
+module.exports = { runComplianceScan, runOrganizationScan };
@@ -0,0 +1,90 @@
+const { logEvidence } = require('../lib/evidence');
+const { managementApi, projectPath } = require('../lib/managementApi');
+
+const SSL_ENFORCEMENT_PATH = '/ssl-enforcement';
+
+module.exports = {
+  id: 'ssl_enforcement',
+  title: 'SSL Enforcement',
+  severity: 'high',
+
+  run: async ({ projectRef, token, checkId: sslCheckId }) => {
+    // Get SSL enforcement settings
+    const response = await managementApi.get(token, projectPath(projectRef, SSL_ENFORCEMENT_PATH));
+
+    const settings = response.data || {};
+    const sslEnforced = settings.currentConfig?.database === true;
+
+    // Log SSL enforcement retrieved
+    await logEvidence('ssl_enforcement_retrieved', sslEnforced ? 'info' : 'warning', {
+      projectRef,
+      sslCheckId,
+      settings,
+      sslEnforced,
+      timestamp: new Date().toISOString()
+    }, projectRef);
+
+    return {
+      sslEnforced,
+      appliedSuccessfully: settings.appliedSuccessfully ?? null,
+      summary: {
+        total: 1,
+        passing: sslEnforced ? 1 : 0,
+        failing: sslEnforced ? 0 : 1
+      }
+    };
+  },
+
+  plan: async () => ({
+    actions: [{
+      type: 'api',
+      method: 'PUT',
+      path: SSL_ENFORCEMENT_PATH,
+      description: 'Require SSL for every database connection (clients connecting without SSL will be refused)',
+      payload: { requestedConfig: { database: true } }
+    }]
+  }),
+
+  fix: async ({ projectRef, token, fixAttemptId: sslFixId, plan }) => {
+    const [{ path: sslPath, payload }] = plan.actions;
+
+    // Log SSL enforcement update
+    await logEvidence('ssl_enforcement_update', 'info', {
+      projectRef,
+      sslFixId,
+      payload,
+      timestamp: new Date().toISOString()
+    }, projectRef);
+
+    const response = await managementApi.put(token, projectPath(projectRef, sslPath), payload);
+
+    // The API accepts the request even when the database couldn't be reconfigured
+    if (response.data?.appliedSuccessfully === false) {
+      return { success: false, response: response.data, error: 'SSL enforcement was saved but could not be applied to the database' };
+    }
+
+    return { success: true, response: response.data };
+  },
+
+  // Whether SSL was enforced before the fix
+  snapshot: async ({ projectRef, token }) => {
+    const response = await managementApi.get(token, projectPath(projectRef, SSL_ENFORCEMENT_PATH));
+    return { database: response.data?.currentConfig?.database === true };
+  },
+
+  rollback: async ({ projectRef, token, rollbackAttemptId, snapshot }) => {
+    const restorePayload = { requestedConfig: { database: snapshot.state.database } };
+
+    // Log SSL enforcement restore
+    await logEvidence('ssl_enforcement_restore', 'info', {
+      projectRef,
+      rollbackAttemptId,
+      restorePayload,
+      timestamp: new Date().toISOString()
+    }, projectRef);
+
+    const response = await managementApi.put(token, projectPath(projectRef, SSL_ENFORCEMENT_PATH), restorePayload);
+
+    return { success: response.data?.appliedSuccessfully !== false, restored: ['database'], response: response.data };
+  }
+};
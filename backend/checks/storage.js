@@ -0,0 +1,339 @@
+const logger = require('../lib/logger');
+const { logEvidence } = require('../lib/evidence');
+const { quoteLiteral, executeQuery } = require('../lib/database');
+const { apiErrorFields } = require('../lib/managementApi');
+const { ANONYMOUS_ROLES, getPolicies, parseRoles } = require('../lib/policies');
+const { highestSeverity } = require('../lib/severity');
+
+// Used when the fix adds a size limit without storageFileSizeLimit; matches the platform's default upload limit
+const DEFAULT_FILE_SIZE_LIMIT = 50 * 1024 * 1024;
+
+// Commands that let a client upload or delete objects
+const ANONYMOUS_WRITE_COMMANDS = {
+  INSERT: 'anon_upload',
+  DELETE: 'anon_delete'
+};
+
+const FINDING_SEVERITIES = {
+  public_bucket: 'high',
+  no_file_size_limit: 'medium',
+  no_mime_type_limit: 'medium',
+  anon_upload: 'critical',
+  anon_delete: 'critical'
+};
+
+// Postgres arrays come back as JSON arrays or as '{a,b}' text depending on the driver
+const pgArray = (value) => value === null || value === undefined
+  ? null
+  : Array.isArray(value) ? value : String(value).replace(/^{|}$/g, '').split(',').filter(Boolean);
+
+// Buckets a storage.objects policy is limited to, from bucket_id = '...' in its expressions.
+// An empty list means the policy applies to every bucket.
+const policyBuckets = (policy) => {
+  const expressions = [policy.qual, policy.with_check].filter(Boolean).join(' ');
+  return Array.from(expressions.matchAll(/bucket_id\s*=\s*'((?:[^']|'')*)'/gi)).map(m => m[1].replace(/''/g, "'"));
+};
+
+// Policies that check auth.uid() or the authenticated role can't be used without signing in
+const requiresSignIn = (policy) => {
+  const expressions = [policy.qual, policy.with_check].filter(Boolean).join(' ');
+  return /auth\.uid\(\)/i.test(expressions) || /auth\.role\(\)\s*=\s*'authenticated'/i.test(expressions);
+};
+
+// Upload or delete access a storage.objects policy gives anonymous clients, or null
+const anonymousWrites = (policy) => {
+  const roles = parseRoles(policy.roles);
+  const command = String(policy.cmd || 'ALL').toUpperCase();
+  const permissive = String(policy.permissive || 'PERMISSIVE').toUpperCase() === 'PERMISSIVE';
+
+  if (!permissive || !roles.some(role => ANONYMOUS_ROLES.includes(role)) || requiresSignIn(policy)) return null;
+
+  const types = command === 'ALL'
+    ? Object.values(ANONYMOUS_WRITE_COMMANDS)
+    : [ANONYMOUS_WRITE_COMMANDS[command]].filter(Boolean);
+  if (types.length === 0) return null;
+
+  return { policy: policy.policyname, command, roles, buckets: policyBuckets(policy), types };
+};
+
+// Accept MIME types as an array or a comma-separated string
+const parseMimeTypes = (value) => {
+  const types = (Array.isArray(value) ? value : String(value).split(',')).map(type => String(type).trim()).filter(Boolean);
+  const invalid = types.filter(type => !/^[\w.+-]+\/(\*|[\w.+-]+)$/.test(type));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid MIME type(s): ${invalid.join(', ')}`);
+  }
+  return types;
+};
+
+const parseFileSizeLimit = (value) => {
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit <= 0) {
+    throw new Error('storageFileSizeLimit must be a positive number of bytes');
+  }
+  return limit;
+};
+
+const sqlTextArray = (values) => `ARRAY[${values.map(quoteLiteral).join(', ')}]::text[]`;
+
+const bucketsQuery = (bucketIds = null) => `
+  SELECT
+    id,
+    name,
+    public,
+    file_size_limit,
+    allowed_mime_types
+  FROM storage.buckets
+  ${bucketIds ? `WHERE id IN (${bucketIds.map(quoteLiteral).join(', ')})` : ''}
+  ORDER BY name;
+`;
+
+module.exports = {
+  id: 'storage',
+  title: 'Storage Buckets',
+  severity: 'high',
+
+  run: async ({ projectRef, token, checkId: storageCheckId }) => {
+    const rows = await executeQuery(projectRef, token, bucketsQuery(), 'storage_buckets_query');
+
+    // Policies on storage.objects decide who can upload and delete files
+    let writePolicies = [];
+    try {
+      const policies = (await getPolicies(projectRef, token, ['storage'])).filter(policy => policy.tablename === 'objects');
+      writePolicies = policies.map(anonymousWrites).filter(Boolean);
+
+      // Log storage policy analysis
+      await logEvidence('storage_policy_analysis', writePolicies.length > 0 ? 'warning' : 'info', {
+        projectRef,
+        storageCheckId,
+        policyCount: policies.length,
+        anonymousWritePolicies: writePolicies,
+        timestamp: new Date().toISOString()
+      }, projectRef);
+    } catch (policyError) {
+      logger.warn(`Error analyzing storage policies: ${policyError.message}`);
+
+      // Log storage policy analysis failure
+      await logEvidence('storage_policy_analysis_failure', 'warning', {
+        projectRef,
+        storageCheckId,
+        error: policyError.message,
+        timestamp: new Date().toISOString()
+      }, projectRef);
+    }
+
+    const buckets = rows.map(row => {
+      const allowedMimeTypes = pgArray(row.allowed_mime_types);
+      const findings = [];
+
+      if (row.public) {
+        findings.push({ type: 'public_bucket', message: 'Anyone with a file URL can download files without signing in' });
+      }
+      if (row.file_size_limit === null || row.file_size_limit === undefined) {
+        findings.push({ type: 'no_file_size_limit', message: 'No file size limit beyond the project-wide upload limit' });
+      }
+      if (!allowedMimeTypes || allowedMimeTypes.length === 0) {
+        findings.push({ type: 'no_mime_type_limit', message: 'Any file type can be uploaded' });
+      }
+
+      writePolicies
+        .filter(policy => policy.buckets.length === 0 || policy.buckets.includes(row.id))
+        .forEach(policy => policy.types.forEach(type => findings.push({
+          type,
+          policy: policy.policy,
+          message: `Policy "${policy.policy}" lets ${policy.roles.filter(role => ANONYMOUS_ROLES.includes(role)).join(', ')} ${type === 'anon_upload' ? 'upload' : 'delete'} files${policy.buckets.length === 0 ? ' in every bucket' : ''}`
+        })));
+
+      const bucketFindings = findings.map(finding => ({ ...finding, severity: FINDING_SEVERITIES[finding.type] }));
+
+      return {
+        id: row.id,
+        name: row.name,
+        public: Boolean(row.public),
+        fileSizeLimit: row.file_size_limit ?? null,
+        allowedMimeTypes,
+        findings: bucketFindings,
+        severity: highestSeverity(bucketFindings.map(finding => finding.severity)),
+        status: bucketFindings.length > 0 ? 'fail' : 'pass'
+      };
+    });
+
+    // Log bucket audit
+    await logEvidence('storage_bucket_status', buckets.some(b => b.status === 'fail') ? 'warning' : 'info', {
+      projectRef,
+      storageCheckId,
+      bucketCount: buckets.length,
+      publicBuckets: buckets.filter(b => b.public).map(b => b.id),
+      bucketsWithoutSizeLimit: buckets.filter(b => b.fileSizeLimit === null).map(b => b.id),
+      bucketsWithoutMimeTypes: buckets.filter(b => !b.allowedMimeTypes || b.allowedMimeTypes.length === 0).map(b => b.id),
+      anonymousWritePolicies: writePolicies.map(policy => policy.policy),
+      timestamp: new Date().toISOString()
+    }, projectRef);
+
+    return {
+      buckets,
+      anonymousWritePolicies: writePolicies,
+      summary: {
+        total: buckets.length,
+        passing: buckets.filter(b => b.status === 'pass').length,
+        failing: buckets.filter(b => b.status === 'fail').length,
+        publicBuckets: buckets.filter(b => b.public).length,
+        anonymousWritePolicies: writePolicies.length
+      }
+    };
+  },
+
+  // options.buckets limits the fix to those bucket ids; every failing bucket otherwise.
+  // options.storageFileSizeLimit (bytes) and options.storageAllowedMimeTypes set the limits to add;
+  // there is no safe default list of file types, so MIME limits are only added when it is given.
+  plan: async ({ result, options = {} }) => {
+    const selected = Array.isArray(options.buckets) ? options.buckets : null;
+    const fileSizeLimit = options.storageFileSizeLimit !== undefined
+      ? parseFileSizeLimit(options.storageFileSizeLimit)
+      : DEFAULT_FILE_SIZE_LIMIT;
+    const mimeTypes = options.storageAllowedMimeTypes !== undefined && options.storageAllowedMimeTypes !== ''
+      ? parseMimeTypes(options.storageAllowedMimeTypes)
+      : null;
+
+    const actions = [];
+    const warnings = [];
+
+    // Selected ids that aren't failing buckets of this project are reported, not silently dropped
+    const failingIds = result.buckets.filter(b => b.status !== 'pass').map(b => b.id);
+    (selected || []).filter(id => !failingIds.includes(id)).forEach(id => {
+      warnings.push(`${id} was selected but is not a failing bucket, so it was skipped`);
+    });
+
+    result.buckets
+      .filter(bucket => bucket.status !== 'pass' && (!selected || selected.includes(bucket.id)))
+      .forEach(bucket => {
+        const types = bucket.findings.map(finding => finding.type);
+        const assignments = [];
+        const steps = [];
+
+        if (types.includes('public_bucket')) {
+          assignments.push('public = false');
+          steps.push('make private');
+        }
+        if (types.includes('no_file_size_limit')) {
+          assignments.push(`file_size_limit = ${fileSizeLimit}`);
+          steps.push(`limit files to ${fileSizeLimit} bytes`);
+        }
+        if (types.includes('no_mime_type_limit')) {
+          if (mimeTypes) {
+            assignments.push(`allowed_mime_types = ${sqlTextArray(mimeTypes)}`);
+            steps.push(`only accept ${mimeTypes.join(', ')}`);
+          } else {
+            warnings.push(`${bucket.id} accepts any file type; fix again with storageAllowedMimeTypes set (e.g. "image/png, image/jpeg") to limit it`);
+          }
+        }
+
+        // Existing policies are never rewritten automatically
+        bucket.findings.filter(finding => finding.policy).forEach(finding => {
+          warnings.push(`${bucket.id}: ${finding.message}; the policy must be reviewed and rewritten manually`);
+        });
+
+        if (assignments.length === 0) return;
+
+        actions.push({
+          type: 'sql',
+          bucket: bucket.id,
+          description: `${bucket.id}: ${steps.join(', ')}`,
+          query: `UPDATE storage.buckets SET ${assignments.join(', ')} WHERE id = ${quoteLiteral(bucket.id)};`
+        });
+      });
+
+    return { actions, warnings: [...new Set(warnings)] };
+  },
+
+  fix: async ({ projectRef, token, fixAttemptId: storageFixId, plan, signal }) => {
+    // One bucket at a time so a cancelled job stops between buckets
+    const buckets = [];
+    for (const { bucket, query } of plan.actions) {
+      if (signal?.aborted) {
+        buckets.push({ bucket, success: false, cancelled: true, error: 'Cancelled before this bucket was fixed' });
+        continue;
+      }
+
+      try {
+        // Log bucket fix attempt
+        await logEvidence('storage_bucket_fix_attempt', 'info', {
+          projectRef,
+          storageFixId,
+          bucket,
+          query,
+          timestamp: new Date().toISOString()
+        }, projectRef);
+
+        await executeQuery(projectRef, token, query, 'storage_bucket_update');
+
+        buckets.push({ bucket, success: true });
+      } catch (error) {
+        // Log bucket fix failure
+        await logEvidence('storage_bucket_fix_failure', 'error', {
+          projectRef,
+          storageFixId,
+          bucket,
+          ...apiErrorFields(error),
+          timestamp: new Date().toISOString()
+        }, projectRef);
+
+        buckets.push({ bucket, success: false, error: error.message });
+      }
+    }
+
+    const success = buckets.every(b => b.success);
+    const cancelled = buckets.some(b => b.cancelled);
+
+    return {
+      success,
+      partial: !success && buckets.some(b => b.success),
+      bucketCount: buckets.length,
+      buckets,
+      cancelled,
+      error: success ? null : cancelled ? 'Cancelled before every bucket was fixed' : 'One or more buckets could not be fixed'
+    };
+  },
+
+  // Visibility and limits of every bucket the plan touches
+  snapshot: async ({ projectRef, token, plan }) => {
+    const rows = await executeQuery(projectRef, token, bucketsQuery(plan.actions.map(action => action.bucket)), 'storage_snapshot_query');
+
+    return {
+      buckets: rows.map(row => ({
+        id: row.id,
+        public: Boolean(row.public),
+        fileSizeLimit: row.file_size_limit ?? null,
+        allowedMimeTypes: pgArray(row.allowed_mime_types)
+      }))
+    };
+  },
+
+  rollback: async ({ projectRef, token, rollbackAttemptId, snapshot }) => {
+    const { buckets } = snapshot.state;
+    if (buckets.length === 0) {
+      return { success: true, bucketCount: 0 };
+    }
+
+    const statements = buckets.map(bucket => `UPDATE storage.buckets SET ${[
+      `public = ${bucket.public}`,
+      `file_size_limit = ${bucket.fileSizeLimit === null ? 'NULL' : Number(bucket.fileSizeLimit)}`,
+      `allowed_mime_types = ${bucket.allowedMimeTypes ? sqlTextArray(bucket.allowedMimeTypes) : 'NULL'}`
+    ].join(', ')} WHERE id = ${quoteLiteral(bucket.id)};`);
+
+    const query = ['BEGIN;', ...statements, 'COMMIT;'].join('\n');
+
+    // Log storage restore transaction
+    await logEvidence('storage_restore_transaction', 'info', {
+      projectRef,
+      rollbackAttemptId,
+      buckets: buckets.map(bucket => bucket.id),
+      query: query.length > 1000 ? `${query.substring(0, 1000)}...` : query,
+      timestamp: new Date().toISOString()
+    }, projectRef);
+
+    await executeQuery(projectRef, token, query, 'storage_batch_restore');
+
+    return { success: true, bucketCount: buckets.length };
+  }
+};
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('./logger');
+
+// Server-side data (schedules, stored credentials)
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const CREDENTIALS_PATH = path.join(DATA_DIR, 'credentials.json');
+const KEY_PATH = path.join(DATA_DIR, '.credentials_key');
+
+let encryptionKey = null;
+
+// Read-modify-write updates are chained so concurrent saves and deletes never lose each other's changes
+let writeQueue = Promise.resolve();
+
+const enqueue = (task) => {
+  const run = writeQueue.then(task);
+  writeQueue = run.catch(() => {});
+  return run;
+};
+
+// Tokens are encrypted with CREDENTIALS_KEY, or a generated key file readable only by the server user
+const getEncryptionKey = async () => {
+  if (encryptionKey) return encryptionKey;
+
+  if (process.env.CREDENTIALS_KEY) {
+    encryptionKey = crypto.createHash('sha256').update(process.env.CREDENTIALS_KEY).digest();
+    return encryptionKey;
+  }
+
+  await fs.mkdir(DATA_DIR, { recursive: true });
+  try {
+    encryptionKey = Buffer.from(await fs.readFile(KEY_PATH, 'utf8'), 'base64');
+  } catch {
+    logger.warn(`CREDENTIALS_KEY is not set, generating a local key at ${KEY_PATH}`);
+    encryptionKey = crypto.randomBytes(32);
+    await fs.writeFile(KEY_PATH, encryptionKey.toString('base64'), { mode: 0o600 });
+  }
+  return encryptionKey;
+};
+
+const encrypt = async (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', await getEncryptionKey(), iv);
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+};
+
+const decrypt = async ({ iv, tag, data }) => {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', await getEncryptionKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+};
+
+const readStore = async () => {
+  try {
+    return JSON.parse(await fs.readFile(CREDENTIALS_PATH, 'utf8'));
+  } catch {
+    return {};
+  }
+};
+
+const writeStore = async (store) => {
+  await fs.mkdir(DATA_DIR, { recursive: true });
+  await fs.writeFile(CREDENTIALS_PATH, JSON.stringify(store, null, 2), { mode: 0o600 });
+};
+
+// Store the Management API token used for a project's unattended runs
+const saveCredential = (projectRef, token) => enqueue(async () => {
+  const store = await readStore();
+  store[projectRef] = {
+    ...(await encrypt(token)),
+    updatedAt: new Date().toISOString()
+  };
+  await writeStore(store);
+});
+
+// Get a stored token, or null if none is stored or it can't be decrypted
+const getCredential = async (projectRef) => {
+  const store = await readStore();
+  if (!store[projectRef]) return null;
+
+  try {
+    return await decrypt(store[projectRef]);
+  } catch (error) {
+    logger.error(`Failed to decrypt stored credential for ${projectRef}: ${error.message}`);
+    return null;
+  }
+};
+
+const deleteCredential = (projectRef) => enqueue(async () => {
+  const store = await readStore();
+  delete store[projectRef];
+  await writeStore(store);
+});
+
+module.exports = {
+  DATA_DIR,
+  saveCredential,
+  getCredential,
+  deleteCredential
+};
@@ -0,0 +1,130 @@
+// Minimal five-field cron support: minute hour day-of-month month day-of-week
+// Fields accept *, numbers, ranges (1-5), lists (1,15) and steps (*/10, 0-30/5).
+// Schedules are evaluated in UTC.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+// Give up looking for a matching time after this many years
+const MAX_SEARCH_YEARS = 5;
+
+const parseField = (value, { name, min, max }) => {
+  const values = new Set();
+
+  value.split(',').forEach(part => {
+    const [rangePart, stepPart] = part.split('/');
+    const step = stepPart === undefined ? 1 : Number(stepPart);
+    let start = min;
+    let end = max;
+
+    if (rangePart !== '*') {
+      const [from, to] = rangePart.split('-');
+      start = Number(from);
+      end = to === undefined ? (stepPart === undefined ? start : max) : Number(to);
+    }
+
+    if (![start, end, step].every(Number.isInteger) || step < 1 || start < min || end > max || start > end) {
+      throw new Error(`Invalid cron ${name} field "${value}"`);
+    }
+
+    for (let i = start; i <= end; i += step) {
+      values.add(i);
+    }
+  });
+
+  return values;
+};
+
+// Parse an expression, throwing on anything invalid
+const parseCron = (expression) => {
+  const normalized = ALIASES[String(expression).trim()] || String(expression).trim();
+  const parts = normalized.split(/\s+/);
+
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Invalid cron expression "${expression}": expected ${FIELDS.length} fields`);
+  }
+
+  const schedule = {};
+  FIELDS.forEach((field, index) => {
+    schedule[field.name] = parseField(parts[index], field);
+  });
+
+  // 7 is an alias for Sunday
+  if (schedule.dayOfWeek.has(7)) schedule.dayOfWeek.add(0);
+
+  // Standard cron: when both day fields are restricted, either one may match
+  schedule.dayOfMonthRestricted = parts[2] !== '*';
+  schedule.dayOfWeekRestricted = parts[4] !== '*';
+
+  return schedule;
+};
+
+const isValidCron = (expression) => {
+  try {
+    parseCron(expression);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const matchesDay = (schedule, date) => {
+  const dayOfMonth = schedule.dayOfMonth.has(date.getUTCDate());
+  const dayOfWeek = schedule.dayOfWeek.has(date.getUTCDay());
+
+  if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) return dayOfMonth || dayOfWeek;
+  return dayOfMonth && dayOfWeek;
+};
+
+// Next time strictly after `from` that matches the expression
+const nextRun = (expression, from = new Date()) => {
+  const schedule = parseCron(expression);
+  const date = new Date(from.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  const limit = new Date(from.getTime());
+  limit.setUTCFullYear(limit.getUTCFullYear() + MAX_SEARCH_YEARS);
+
+  while (date < limit) {
+    if (!schedule.month.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0);
+      continue;
+    }
+    if (!matchesDay(schedule, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0);
+      continue;
+    }
+    if (!schedule.hour.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0);
+      continue;
+    }
+    if (!schedule.minute.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1);
+      continue;
+    }
+    return date;
+  }
+
+  throw new Error(`Cron expression "${expression}" never matches`);
+};
+
+module.exports = {
+  parseCron,
+  isValidCron,
+  nextRun
+};
@@ -0,0 +1,62 @@
+const logger = require('./logger');
+const { logEvidence } = require('./evidence');
+const { managementApi, projectPath, apiErrorFields } = require('./managementApi');
+
+// Quote an identifier (schema, table, column, policy name) for SQL
+const quoteIdent = (name) => `"${String(name).replace(/"/g, '""')}"`;
+
+// Quote a string literal for SQL
+const quoteLiteral = (value) => `'${String(value).replace(/'/g, "''")}'`;
+
+// Execute SQL query with detailed logging
+const executeQuery = async (projectRef, token, query, queryName = 'unnamed_query') => {
+  try {
+    // Log query execution attempt
+    const queryLogId = await logEvidence('sql_query_attempt', 'info', {
+      projectRef,
+      queryName,
+      query: query.length > 1000 ? `${query.substring(0, 1000)}...` : query,
+      timestamp: new Date().toISOString()
+    }, projectRef);
+    
+    const response = await managementApi.post(token, projectPath(projectRef, '/database/query'), { query });
+    
+    // Handle different response formats
+    let results = [];
+    if (response.data && Array.isArray(response.data)) {
+      results = response.data.length > 0 && Array.isArray(response.data[0]) ? 
+                response.data[0] : 
+                response.data;
+    }
+    
+    // Log successful query
+    await logEvidence('sql_query_success', 'success', {
+      projectRef,
+      queryName,
+      query: query.length > 1000 ? `${query.substring(0, 1000)}...` : query,
+      resultCount: results.length,
+      queryLogId,
+      timestamp: new Date().toISOString()
+    }, projectRef);
+    
+    return results;
+  } catch (error) {
+    // Log query failure with detailed error
+    await logEvidence('sql_query_failure', 'error', {
+      projectRef,
+      queryName,
+      query: query.length > 1000 ? `${query.substring(0, 1000)}...` : query,
+      ...apiErrorFields(error),
+      timestamp: new Date().toISOString()
+    }, projectRef);
+    
+    logger.error(`SQL execution error for ${queryName}: ${error.message}`, error);
+    throw error;
+  }
+};
+
+module.exports = {
+  quoteIdent,
+  quoteLiteral,
+  executeQuery
+};
@@ -0,0 +1,15 @@
+// Parse an optional date bound; a bare YYYY-MM-DD `to` covers that whole day
+const parseDateBound = (value, { endOfDay = false } = {}) => {
+  if (!value) return null;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date "${value}"`);
+  }
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+};
+
+module.exports = { parseDateBound };
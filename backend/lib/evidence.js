@@ -0,0 +1,152 @@
+const fs = require('fs').promises;
+const logger = require('./logger');
+const { chainKeyFor, verifyChain } = require('./evidenceChain');
+const { verify } = require('./signing');
+const store = require('./evidenceStore');
+const { reportProgress } = require('./progress');
+
+// Setup evidence directory
+const { EVIDENCE_DIR } = store;
+
+// How often expired segments are pruned when EVIDENCE_RETENTION_DAYS is set
+const RETENTION_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+const retentionDays = () => Number(process.env.EVIDENCE_RETENTION_DAYS) || 0;
+
+// Prune segments older than the retention period and record that it happened
+const applyEvidenceRetention = async () => {
+  const pruned = await store.applyRetention(retentionDays());
+  
+  for (const result of pruned) {
+    logger.log(`Pruned ${result.entries} evidence entries from chain ${result.chain}`);
+    await logEvidence('evidence_retention_pruned', 'info', {
+      chain: result.chain,
+      retentionDays: retentionDays(),
+      segments: result.segments,
+      entries: result.entries,
+      prunedThrough: result.prunedThrough,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  return pruned;
+};
+
+// Ensure evidence directory exists, bring older evidence into the store and start retention
+const ensureEvidenceDir = async () => {
+  // Queued before anything else can append, so legacy chains are moved first
+  const migration = store.migrateLegacyEvidence();
+  
+  try {
+    await fs.mkdir(EVIDENCE_DIR, { recursive: true });
+    logger.log(`Evidence directory ensured at ${EVIDENCE_DIR}`);
+    
+    const migrated = await migration;
+    if (migrated) {
+      await logEvidence('evidence_store_migrated', 'info', {
+        ...migrated,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (retentionDays() > 0) {
+      await applyEvidenceRetention();
+      setInterval(() => {
+        applyEvidenceRetention().catch(error => logger.error(`Evidence retention failed: ${error.message}`, error));
+      }, RETENTION_INTERVAL_MS).unref();
+    }
+  } catch (error) {
+    logger.error(`Failed to prepare evidence store: ${error.message}`, error);
+  }
+};
+
+// Log evidence to the project's (or the global) append-only hash chain
+const logEvidence = async (action, status, details, projectRef = null) => {
+  const timestamp = new Date().toISOString();
+  
+  // Create structured log entry
+  const log = {
+    id: `${Date.now()}-${Math.floor(Math.random() * 10000)}`,
+    timestamp,
+    action,
+    status,
+    details,
+    projectRef
+  };
+  
+  // Log to console
+  logger.log(`Evidence logged: ${action} - ${status}`);
+  
+  // Save to the evidence store
+  try {
+    await store.append(chainKeyFor(projectRef), log);
+    return log.id;
+  } catch (error) {
+    logger.error(`Failed to save evidence log: ${error.message}`, error);
+    return null;
+  } finally {
+    // Stream the step to anyone following this operation's progress
+    reportProgress(log);
+  }
+};
+
+// Get project logs from the evidence store, newest first
+const getProjectLogsFromFiles = async (projectRef) => {
+  try {
+    const logs = await store.readEntries(chainKeyFor(projectRef));
+    return logs.reverse();
+  } catch (error) {
+    logger.error(`Failed to retrieve project logs from files: ${error.message}`, error);
+    return [];
+  }
+};
+
+// Walk a project's chain (or the global chain when projectRef is empty) and check its signed head
+const verifyEvidenceChain = async (projectRef = null) => {
+  const chainKey = chainKeyFor(projectRef);
+  
+  // Read the head first; entries appended after it are still checked for linkage
+  const head = await store.getHead(chainKey);
+  const entries = await store.readEntries(chainKey);
+  
+  const afterHead = entries.filter(entry => head && entry.sequence > head.sequence);
+  
+  const report = {
+    chain: chainKey,
+    headSigned: false,
+    prunedThrough: head?.prunedThrough || null,
+    entriesAfterHead: afterHead.length,
+    ...verifyChain(entries.filter(entry => !afterHead.includes(entry)), {
+      head,
+      prunedThrough: head?.prunedThrough || null
+    })
+  };
+  
+  if (head) {
+    report.headSigned = Boolean(head.signature) &&
+      await verify(store.headSignaturePayload(chainKey, head), head.signature).catch(() => false);
+    
+    if (!report.headSigned && report.valid) {
+      report.valid = false;
+      report.firstBrokenLink = {
+        sequence: head.sequence,
+        id: null,
+        action: null,
+        timestamp: head.timestamp,
+        reason: 'invalid_head_signature',
+        message: 'The recorded chain head is not signed by this server'
+      };
+    }
+  }
+  
+  return report;
+};
+
+module.exports = {
+  EVIDENCE_DIR,
+  ensureEvidenceDir,
+  logEvidence,
+  getProjectLogsFromFiles,
+  verifyEvidenceChain,
+  applyEvidenceRetention
+};
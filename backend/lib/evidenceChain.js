@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+
+// previousHash of the first entry in every chain
+const GENESIS_HASH = '0'.repeat(64);
+
+// Entries without a projectRef are chained together under this key
+const GLOBAL_CHAIN = 'global';
+
+const chainKeyFor = (projectRef) => projectRef || GLOBAL_CHAIN;
+
+// JSON with sorted keys, so the hash doesn't depend on property order
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// Hash of everything in an entry except the hash itself.
+// The entry is round-tripped through JSON first so it hashes the same before and after it's stored.
+const hashEntry = (entry) => {
+  const { hash, ...content } = JSON.parse(JSON.stringify(entry));
+  return crypto.createHash('sha256').update(canonicalize(content)).digest('hex');
+};
+
+// Walk a chain in sequence order and report the first broken link.
+// Entries written before chaining was introduced have no sequence and are skipped.
+// prunedThrough is the last entry removed by retention; the chain resumes after it.
+const verifyChain = (entries, { head = null, prunedThrough = null } = {}) => {
+  const chained = entries
+    .filter(entry => Number.isInteger(entry.sequence))
+    .sort((a, b) => a.sequence - b.sequence);
+
+  const report = {
+    valid: true,
+    entries: chained.length,
+    unchainedEntries: entries.length - chained.length,
+    headSequence: head ? head.sequence : null,
+    lastVerifiedSequence: 0,
+    firstBrokenLink: null
+  };
+
+  const broken = (entry, sequence, reason, message) => {
+    report.valid = false;
+    report.firstBrokenLink = {
+      sequence,
+      id: entry?.id || null,
+      action: entry?.action || null,
+      timestamp: entry?.timestamp || null,
+      reason,
+      message
+    };
+    return report;
+  };
+
+  let previous = prunedThrough;
+  report.lastVerifiedSequence = prunedThrough ? prunedThrough.sequence : 0;
+  for (const entry of chained) {
+    const expectedSequence = previous ? previous.sequence + 1 : 1;
+
+    if (entry.sequence <= (previous?.sequence ?? 0)) {
+      return broken(entry, entry.sequence, 'duplicate_sequence', `More than one entry claims sequence ${entry.sequence}`);
+    }
+    if (entry.sequence !== expectedSequence) {
+      return broken(entry, expectedSequence, 'missing_entry', `Entry ${expectedSequence} is missing; the chain continues at ${entry.sequence}`);
+    }
+    if (entry.previousHash !== (previous ? previous.hash : GENESIS_HASH)) {
+      return broken(entry, entry.sequence, 'previous_hash_mismatch', `Entry ${entry.sequence} does not link to the hash of entry ${expectedSequence - 1}`);
+    }
+    if (entry.hash !== hashEntry(entry)) {
+      return broken(entry, entry.sequence, 'hash_mismatch', `Entry ${entry.sequence} was modified after it was recorded`);
+    }
+
+    previous = entry;
+    report.lastVerifiedSequence = entry.sequence;
+  }
+
+  // The recorded head catches entries removed from the end of the chain
+  if (head) {
+    const lastSequence = previous ? previous.sequence : 0;
+    if (head.sequence > lastSequence) {
+      return broken(null, lastSequence + 1, 'missing_entry', `Chain ends at ${lastSequence} but the recorded head is ${head.sequence}`);
+    }
+    if (head.sequence < lastSequence || (previous && head.hash !== previous.hash)) {
+      return broken(previous, lastSequence, 'head_mismatch', 'The last entry does not match the recorded chain head');
+    }
+  }
+
+  return report;
+};
+
+module.exports = {
+  GENESIS_HASH,
+  GLOBAL_CHAIN,
+  chainKeyFor,
+  hashEntry,
+  verifyChain
+};
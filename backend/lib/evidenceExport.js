@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const archiver = require('archiver');
+const { verifyEvidenceChain } = require('./evidence');
+const { chainKeyFor } = require('./evidenceChain');
+const { readRecords } = require('./evidenceStore');
+const { SIGNATURE_ALGORITHM, getPublicKey, sign } = require('./signing');
+
+const MANIFEST_VERSION = 1;
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// Stored evidence for a project within [from, to], oldest first, as one file per entry.
+// Each file holds the entry exactly as it was stored, so its hash can be checked against the chain.
+const getEvidenceFiles = async (projectRef, { from = null, to = null } = {}) => {
+  const records = await readRecords(chainKeyFor(projectRef), { from, to });
+
+  return records.map(({ entry, raw }) => ({
+    file: `${Number.isInteger(entry.sequence) ? String(entry.sequence).padStart(6, '0') : entry.id}_${entry.action}.json`,
+    content: Buffer.from(raw, 'utf8'),
+    log: entry
+  }));
+};
+
+const countBy = (items, key) => items.reduce((counts, item) => {
+  counts[item[key]] = (counts[item[key]] || 0) + 1;
+  return counts;
+}, {});
+
+// Human-readable report of what the evidence shows
+const buildSummaryReport = ({ projectRef, from, to, generatedAt, logs, fingerprint, chain }) => {
+  const lines = [
+    `# Compliance Evidence Report: ${projectRef}`,
+    '',
+    `- Period: ${from ? from.toISOString() : 'beginning of records'} to ${to ? to.toISOString() : generatedAt}`,
+    `- Generated: ${generatedAt}`,
+    `- Evidence entries: ${logs.length}`,
+    `- Signing key fingerprint (SHA-256): ${fingerprint}`,
+    `- Evidence hash chain: ${chain.valid ? `intact through entry ${chain.lastVerifiedSequence}` : `BROKEN at entry ${chain.firstBrokenLink.sequence} (${chain.firstBrokenLink.reason})`}`,
+    ''
+  ];
+
+  // Outcome of every compliance check in the period
+  const checks = logs.filter(log => log.action === 'compliance_check_completed');
+  lines.push('## Compliance Checks', '');
+  if (checks.length === 0) {
+    lines.push('No compliance checks were run in this period.', '');
+  } else {
+    lines.push('| Time | Check ID | Trigger | Overall status |', '| --- | --- | --- | --- |');
+    checks.forEach(log => {
+      lines.push(`| ${log.timestamp} | ${log.details?.checkId || log.id} | ${log.details?.trigger || 'manual'} | ${log.details?.summary?.overallStatus || 'unknown'} |`);
+    });
+    lines.push('');
+  }
+
+  // Remediation performed in the period
+  const fixes = logs.filter(log => log.action === 'compliance_fix_completed');
+  lines.push('## Remediation', '');
+  if (fixes.length === 0) {
+    lines.push('No fixes were applied in this period.', '');
+  } else {
+    lines.push('| Time | Fix ID | Status | Results |', '| --- | --- | --- | --- |');
+    fixes.forEach(log => {
+      const results = Object.entries(log.details?.summary || {})
+        .map(([check, outcome]) => `${check}: ${outcome}`)
+        .join(', ');
+      lines.push(`| ${log.timestamp} | ${log.details?.fixId || log.id} | ${log.status} | ${results} |`);
+    });
+    lines.push('');
+  }
+
+  // Anything that went wrong
+  const errors = logs.filter(log => log.status === 'error');
+  lines.push('## Errors', '');
+  if (errors.length === 0) {
+    lines.push('No errors were recorded in this period.', '');
+  } else {
+    errors.forEach(log => {
+      lines.push(`- ${log.timestamp} ${log.action}: ${log.details?.error || 'no details'}`);
+    });
+    lines.push('');
+  }
+
+  // Entry counts by action and status
+  lines.push('## Activity', '', '| Action | Entries |', '| --- | --- |');
+  Object.entries(countBy(logs, 'action'))
+    .sort(([a], [b]) => a.localeCompare(b))
+    .forEach(([action, count]) => lines.push(`| ${action} | ${count} |`));
+  lines.push('', '| Status | Entries |', '| --- | --- |');
+  Object.entries(countBy(logs, 'status'))
+    .forEach(([status, count]) => lines.push(`| ${status} | ${count} |`));
+  lines.push('');
+
+  lines.push(
+    '## Verifying This Package',
+    '',
+    '1. Check that the SHA-256 hash of every file listed in `manifest.json` matches the file in this archive.',
+    `2. Verify \`manifest.sig\` as a base64 ${SIGNATURE_ALGORITHM} signature over the exact bytes of \`manifest.json\`, using \`public_key.pem\`.`,
+    '3. Confirm the public key fingerprint against the one published by the compliance server at `/api/evidence/public-key`.',
+    ''
+  );
+
+  return lines.join('\n');
+};
+
+// Build a signed evidence package for a project and date range.
+// The archive holds the raw entries, a summary report, a manifest of SHA-256 hashes,
+// a detached signature over the manifest and the public key to check it with.
+const buildEvidencePackage = async ({ projectRef, from = null, to = null }) => {
+  const generatedAt = new Date().toISOString();
+  const evidenceFiles = await getEvidenceFiles(projectRef, { from, to });
+  const { publicKey, fingerprint } = await getPublicKey();
+  const { valid, lastVerifiedSequence, headSequence, firstBrokenLink } = await verifyEvidenceChain(projectRef);
+  const chain = { valid, lastVerifiedSequence, headSequence, firstBrokenLink };
+
+  const report = buildSummaryReport({
+    projectRef,
+    from,
+    to,
+    generatedAt,
+    logs: evidenceFiles.map(({ log }) => log),
+    fingerprint,
+    chain
+  });
+
+  const files = [
+    ...evidenceFiles.map(({ file, content }) => ({ name: `entries/${file}`, content })),
+    { name: 'summary.md', content: Buffer.from(report, 'utf8') }
+  ];
+
+  const manifest = {
+    manifestVersion: MANIFEST_VERSION,
+    projectRef,
+    from: from ? from.toISOString() : null,
+    to: to ? to.toISOString() : null,
+    generatedAt,
+    entryCount: evidenceFiles.length,
+    hashAlgorithm: 'sha256',
+    signatureAlgorithm: SIGNATURE_ALGORITHM,
+    publicKeyFingerprint: fingerprint,
+    chain,
+    files: files.map(({ name, content }) => ({ path: name, size: content.length, sha256: sha256(content) }))
+  };
+
+  const manifestContent = Buffer.from(JSON.stringify(manifest, null, 2), 'utf8');
+  const signature = await sign(manifestContent);
+
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  files.forEach(({ name, content }) => archive.append(content, { name, date: generatedAt }));
+  archive.append(manifestContent, { name: 'manifest.json', date: generatedAt });
+  archive.append(signature, { name: 'manifest.sig', date: generatedAt });
+  archive.append(publicKey, { name: 'public_key.pem', date: generatedAt });
+
+  return {
+    archive,
+    manifest,
+    manifestHash: sha256(manifestContent),
+    signature
+  };
+};
+
+module.exports = {
+  getEvidenceFiles,
+  buildEvidencePackage
+};
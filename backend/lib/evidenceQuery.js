@@ -0,0 +1,116 @@
+const { parseDateBound } = require('./dates');
+const { chainKeyFor } = require('./evidenceChain');
+const { listChains, listSegments, readSegmentEntries } = require('./evidenceStore');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// Accept a filter as a comma-separated string or repeated query parameters
+const parseList = (value) => {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return list.map(item => String(item).trim()).filter(Boolean);
+};
+
+// Cursors are the sort key of the last entry on the previous page
+const encodeCursor = (key) => Buffer.from(JSON.stringify(key)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const key = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!Array.isArray(key) || key.length !== 4) throw new Error();
+    return key;
+  } catch {
+    throw new Error('Invalid cursor');
+  }
+};
+
+// Newest first; entries in the same millisecond fall back to chain order
+const sortKey = (entry) => [entry.timestamp, chainKeyFor(entry.projectRef), entry.sequence ?? -1, entry.id];
+
+const compareKeys = (a, b) => {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] < b[i]) return 1;
+    if (a[i] > b[i]) return -1;
+  }
+  return 0;
+};
+
+// Validate query parameters for GET /api/evidence/logs, throwing on anything invalid
+const parseEvidenceQuery = (query = {}) => {
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new Error(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+
+  const filters = {
+    actions: parseList(query.action),
+    statuses: parseList(query.status),
+    from: parseDateBound(query.from),
+    to: parseDateBound(query.to, { endOfDay: true }),
+    search: String(query.search || query.q || '').trim().toLowerCase(),
+    cursor: query.cursor ? decodeCursor(query.cursor) : null,
+    limit
+  };
+
+  if (filters.from && filters.to && filters.from > filters.to) {
+    throw new Error('"from" must be before "to"');
+  }
+
+  return filters;
+};
+
+// Active segments (no lastTimestamp yet) first, then closed ones by their newest entry
+const compareSegments = (a, b) => {
+  if (a.lastTimestamp === b.lastTimestamp) return 0;
+  if (a.lastTimestamp === null) return -1;
+  if (b.lastTimestamp === null) return 1;
+  return a.lastTimestamp < b.lastTimestamp ? 1 : -1;
+};
+
+// One page of a project's (or every project's) evidence, newest first.
+// Segments are read newest first across the selected chains, stopping once a page (plus one
+// entry, to know there's more) is collected and every unread segment is older than it.
+const queryEvidenceLogs = async (projectRef, { actions = [], statuses = [], from = null, to = null, search = '', cursor = null, limit = DEFAULT_LIMIT }) => {
+  const chainKeys = projectRef ? [chainKeyFor(projectRef)] : await listChains();
+
+  // Segments whose oldest entry is newer than the cursor were covered by earlier pages
+  const segments = (await Promise.all(chainKeys.map(chainKey => listSegments(chainKey, { from, to }))))
+    .flat()
+    .filter(segment => !cursor || !segment.firstTimestamp || segment.firstTimestamp <= cursor[0])
+    .sort(compareSegments);
+
+  // Actions match exactly, or by prefix with a trailing * (e.g. rls_*)
+  const matchesAction = (action) => actions.some(pattern =>
+    pattern.endsWith('*') ? action.startsWith(pattern.slice(0, -1)) : action === pattern
+  );
+
+  let matching = [];
+  for (const segment of segments) {
+    if (matching.length > limit && segment.lastTimestamp && segment.lastTimestamp < matching[limit].key[0]) break;
+
+    const entries = await readSegmentEntries(segment.chainKey, segment.name, { from, to });
+    const found = entries
+      .filter(entry =>
+        (actions.length === 0 || matchesAction(entry.action)) &&
+        (statuses.length === 0 || statuses.includes(entry.status)) &&
+        (!search || JSON.stringify(entry).toLowerCase().includes(search))
+      )
+      .map(entry => ({ entry, key: sortKey(entry) }))
+      .filter(({ key }) => !cursor || compareKeys(key, cursor) > 0);
+
+    matching = [...matching, ...found].sort((a, b) => compareKeys(a.key, b.key)).slice(0, limit + 1);
+  }
+
+  const page = matching.slice(0, limit);
+  const hasMore = matching.length > limit;
+
+  return {
+    logs: page.map(({ entry }) => entry),
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1].key) : null
+  };
+};
+
+module.exports = {
+  parseEvidenceQuery,
+  queryEvidenceLogs
+};
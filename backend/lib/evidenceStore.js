@@ -0,0 +1,368 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('./logger');
+const { GENESIS_HASH, chainKeyFor, hashEntry } = require('./evidenceChain');
+const { sign } = require('./signing');
+
+// Append-only evidence storage.
+// Each chain (a project, or the global chain) has its own directory of JSONL segments
+// plus a signed head.json indexing them. All writes go through one queue, so this
+// process must be the only writer to the evidence directory.
+//
+//   evidence/chains/<chainKey>/segment_000001.jsonl
+//   evidence/chains/<chainKey>/head.json
+
+const EVIDENCE_DIR = path.join(__dirname, '..', 'evidence');
+const DEFAULT_SEGMENT_MAX_BYTES = 5 * 1024 * 1024;
+
+const segmentName = (index) => `segment_${String(index).padStart(6, '0')}.jsonl`;
+
+// Write queue and per-chain state (head.json contents, loaded on first use)
+let writeQueue = Promise.resolve();
+const chains = new Map();
+
+const chainsDir = path.join(EVIDENCE_DIR, 'chains');
+const chainDir = (chainKey) => path.join(chainsDir, chainKey);
+const headPath = (chainKey) => path.join(chainDir(chainKey), 'head.json');
+
+const segmentMaxBytes = () => Number(process.env.EVIDENCE_SEGMENT_MAX_BYTES) || DEFAULT_SEGMENT_MAX_BYTES;
+
+// Run a write after every write queued before it
+const enqueue = (task) => {
+  const run = writeQueue.then(task);
+  writeQueue = run.catch(() => {});
+  return run;
+};
+
+// Parse a segment, skipping a torn final line left by a crash mid-append
+const parseSegment = (content) => {
+  const records = [];
+  content.split('\n').forEach(line => {
+    if (!line.trim()) return;
+    try {
+      records.push({ entry: JSON.parse(line), raw: line });
+    } catch {
+      logger.warn('Skipping unreadable evidence line');
+    }
+  });
+  return records;
+};
+
+const readSegment = async (chainKey, name) => {
+  try {
+    return parseSegment(await fs.readFile(path.join(chainDir(chainKey), name), 'utf8'));
+  } catch {
+    return [];
+  }
+};
+
+// Index entry for a segment, built from its records
+const describeSegment = (name, records, bytes) => {
+  const chained = records.filter(({ entry }) => Number.isInteger(entry.sequence));
+  const last = chained[chained.length - 1]?.entry;
+  return {
+    name,
+    entries: records.length,
+    bytes,
+    firstSequence: chained[0]?.entry.sequence ?? null,
+    lastSequence: last?.sequence ?? null,
+    lastHash: last?.hash ?? null,
+    firstTimestamp: records[0]?.entry.timestamp ?? null,
+    lastTimestamp: records[records.length - 1]?.entry.timestamp ?? null
+  };
+};
+
+// The head signature covers the chain tip and where pruning left off
+const headSignaturePayload = (chainKey, head) => [
+  chainKey,
+  head.sequence,
+  head.hash,
+  head.prunedThrough?.sequence ?? 0,
+  head.prunedThrough?.hash ?? GENESIS_HASH
+].join(':');
+
+const writeHead = async (chainKey, head) => {
+  try {
+    head.signature = await sign(headSignaturePayload(chainKey, head));
+  } catch (error) {
+    logger.error(`Failed to sign evidence chain head: ${error.message}`, error);
+    head.signature = null;
+  }
+
+  // Replace atomically so readers never see a half-written head
+  const tempPath = `${headPath(chainKey)}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(head, null, 2));
+  await fs.rename(tempPath, headPath(chainKey));
+};
+
+const readHead = async (chainKey) => {
+  try {
+    return JSON.parse(await fs.readFile(headPath(chainKey), 'utf8'));
+  } catch {
+    return null;
+  }
+};
+
+// Load a chain's head, re-reading the active segment so appends that landed
+// without a head update (a crash between the two writes) are picked up
+const loadChain = async (chainKey) => {
+  if (chains.has(chainKey)) return chains.get(chainKey);
+
+  const head = (await readHead(chainKey)) || {
+    chain: chainKey,
+    sequence: 0,
+    hash: GENESIS_HASH,
+    timestamp: null,
+    prunedThrough: null,
+    segments: []
+  };
+
+  const active = head.segments[head.segments.length - 1];
+  if (active) {
+    const records = await readSegment(chainKey, active.name);
+    const { size } = await fs.stat(path.join(chainDir(chainKey), active.name)).catch(() => ({ size: 0 }));
+    head.segments[head.segments.length - 1] = describeSegment(active.name, records, size);
+
+    const last = records.filter(({ entry }) => Number.isInteger(entry.sequence)).pop()?.entry;
+    if (last && last.sequence > head.sequence) {
+      logger.warn(`Evidence chain ${chainKey} head was behind its segment, continuing from entry ${last.sequence}`);
+      head.sequence = last.sequence;
+      head.hash = last.hash;
+      head.timestamp = last.timestamp;
+    }
+  }
+
+  chains.set(chainKey, head);
+  return head;
+};
+
+// Link an entry to the end of its chain and append it to the active segment
+const append = (chainKey, entry) => enqueue(async () => {
+  const head = await loadChain(chainKey);
+  await fs.mkdir(chainDir(chainKey), { recursive: true });
+
+  entry.sequence = head.sequence + 1;
+  entry.previousHash = head.hash;
+  entry.hash = hashEntry(entry);
+  const line = `${JSON.stringify(entry)}\n`;
+
+  // Start a new segment when there's none yet or the active one is full
+  let active = head.segments[head.segments.length - 1];
+  if (!active || active.bytes >= segmentMaxBytes()) {
+    const nextIndex = active ? Number(/(\d+)/.exec(active.name)[1]) + 1 : 1;
+    active = describeSegment(segmentName(nextIndex), [], 0);
+    head.segments.push(active);
+  }
+
+  await fs.appendFile(path.join(chainDir(chainKey), active.name), line);
+
+  active.entries += 1;
+  active.bytes += Buffer.byteLength(line);
+  active.firstSequence = active.firstSequence ?? entry.sequence;
+  active.lastSequence = entry.sequence;
+  active.lastHash = entry.hash;
+  active.firstTimestamp = active.firstTimestamp ?? entry.timestamp;
+  active.lastTimestamp = entry.timestamp;
+
+  head.sequence = entry.sequence;
+  head.hash = entry.hash;
+  head.timestamp = entry.timestamp;
+  await writeHead(chainKey, head);
+
+  return entry;
+});
+
+// Chains that have any evidence
+const listChains = async () => {
+  try {
+    const entries = await fs.readdir(chainsDir, { withFileTypes: true });
+    return entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+  } catch {
+    return [];
+  }
+};
+
+const inRange = ({ entry }, { from = null, to = null } = {}) => {
+  const timestamp = new Date(entry.timestamp);
+  return (!from || timestamp >= from) && (!to || timestamp <= to);
+};
+
+// A chain's segments that may hold entries in an optional time range, oldest first, read from
+// its head only. The active segment may have grown since the head was written, so its
+// lastTimestamp is null (unknown, and newer than every closed segment).
+const listSegments = async (chainKey, { from = null, to = null } = {}) => {
+  const head = chains.get(chainKey) || await readHead(chainKey);
+  if (!head) return [];
+
+  return head.segments
+    .map((segment, index) => ({
+      chainKey,
+      name: segment.name,
+      firstTimestamp: segment.firstTimestamp,
+      lastTimestamp: index === head.segments.length - 1 ? null : segment.lastTimestamp
+    }))
+    .filter(segment =>
+      (!from || !segment.lastTimestamp || new Date(segment.lastTimestamp) >= from) &&
+      (!to || !segment.firstTimestamp || new Date(segment.firstTimestamp) <= to)
+    );
+};
+
+// One segment's entries within an optional time range, oldest first
+const readSegmentEntries = async (chainKey, name, range) =>
+  (await readSegment(chainKey, name)).filter(record => inRange(record, range)).map(({ entry }) => entry);
+
+// Stored records for a chain within an optional time range, oldest first.
+// Segments entirely outside the range are skipped without being read.
+const readRecords = async (chainKey, range = {}) => {
+  const segments = await listSegments(chainKey, range);
+  const records = (await Promise.all(segments.map(segment => readSegment(chainKey, segment.name)))).flat();
+  return records.filter(record => inRange(record, range));
+};
+
+const readEntries = async (chainKey, range) => (await readRecords(chainKey, range)).map(({ entry }) => entry);
+
+// Signed head for verification, with writes already queued applied
+const getHead = async (chainKey) => {
+  await writeQueue;
+  return readHead(chainKey);
+};
+
+// Delete closed segments whose newest entry is older than the retention period.
+// The chain keeps a signed record of where pruning stopped so it still verifies.
+const applyRetention = (retentionDays) => enqueue(async () => {
+  if (!retentionDays || retentionDays <= 0) return [];
+
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const pruned = [];
+
+  for (const chainKey of await listChains()) {
+    const head = await loadChain(chainKey);
+    const expired = head.segments
+      .slice(0, -1)
+      .filter(segment => segment.lastTimestamp && new Date(segment.lastTimestamp) < cutoff);
+    if (expired.length === 0) continue;
+
+    for (const segment of expired) {
+      await fs.rm(path.join(chainDir(chainKey), segment.name), { force: true });
+      if (segment.lastSequence) {
+        head.prunedThrough = { sequence: segment.lastSequence, hash: segment.lastHash, timestamp: segment.lastTimestamp };
+      }
+    }
+
+    head.segments = head.segments.filter(segment => !expired.includes(segment));
+    await writeHead(chainKey, head);
+
+    pruned.push({
+      chain: chainKey,
+      segments: expired.map(segment => segment.name),
+      entries: expired.reduce((total, segment) => total + segment.entries, 0),
+      prunedThrough: head.prunedThrough
+    });
+  }
+
+  return pruned;
+});
+
+// Move evidence written by earlier versions (one JSON file per entry, evidence_log.json
+// and chain_heads.json) into chain segments. Originals are kept under evidence/legacy.
+const migrateLegacyEvidence = () => enqueue(async () => {
+  let names;
+  try {
+    names = await fs.readdir(EVIDENCE_DIR, { withFileTypes: true });
+  } catch {
+    return null;
+  }
+
+  const legacyDir = path.join(EVIDENCE_DIR, 'legacy');
+  const byChain = new Map();
+  const addEntry = (entry) => {
+    const chainKey = chainKeyFor(entry.projectRef);
+    if (!byChain.has(chainKey)) byChain.set(chainKey, new Map());
+    byChain.get(chainKey).set(entry.id + entry.action + entry.timestamp, entry);
+  };
+  const moved = [];
+
+  for (const dirent of names) {
+    if (dirent.isDirectory() && !['chains', 'legacy'].includes(dirent.name)) {
+      const files = (await fs.readdir(path.join(EVIDENCE_DIR, dirent.name))).filter(file => file.endsWith('.json'));
+      for (const file of files) {
+        try {
+          addEntry(JSON.parse(await fs.readFile(path.join(EVIDENCE_DIR, dirent.name, file), 'utf8')));
+        } catch {
+          logger.warn(`Skipping unreadable legacy evidence file ${dirent.name}/${file}`);
+        }
+      }
+      moved.push(dirent.name);
+    }
+  }
+
+  // Project entries were already read from their own files
+  if (names.some(dirent => dirent.name === 'evidence_log.json')) {
+    try {
+      JSON.parse(await fs.readFile(path.join(EVIDENCE_DIR, 'evidence_log.json'), 'utf8'))
+        .filter(entry => !entry.projectRef)
+        .forEach(addEntry);
+    } catch {
+      logger.warn('Skipping unreadable legacy evidence_log.json');
+    }
+    moved.push('evidence_log.json');
+  }
+  if (names.some(dirent => dirent.name === 'chain_heads.json')) moved.push('chain_heads.json');
+
+  if (moved.length === 0) return null;
+
+  for (const [chainKey, entryMap] of byChain) {
+    if (await readHead(chainKey)) {
+      logger.warn(`Evidence chain ${chainKey} already exists, leaving its legacy entries in ${legacyDir}`);
+      continue;
+    }
+
+    // Unchained entries from before hash chaining first, then the chain in order
+    const entries = Array.from(entryMap.values()).sort((a, b) =>
+      (Number.isInteger(a.sequence) ? a.sequence : -Infinity) - (Number.isInteger(b.sequence) ? b.sequence : -Infinity) ||
+      new Date(a.timestamp) - new Date(b.timestamp)
+    );
+    const lines = entries.map(entry => JSON.stringify(entry)).join('\n') + '\n';
+    const records = entries.map(entry => ({ entry }));
+    const segment = describeSegment(segmentName(1), records, Buffer.byteLength(lines));
+
+    await fs.mkdir(chainDir(chainKey), { recursive: true });
+    await fs.writeFile(path.join(chainDir(chainKey), segment.name), lines);
+
+    const last = entries.filter(entry => Number.isInteger(entry.sequence)).pop();
+    const head = {
+      chain: chainKey,
+      sequence: last?.sequence ?? 0,
+      hash: last?.hash ?? GENESIS_HASH,
+      timestamp: last?.timestamp ?? null,
+      prunedThrough: null,
+      segments: [segment]
+    };
+    await writeHead(chainKey, head);
+    chains.set(chainKey, head);
+  }
+
+  await fs.mkdir(legacyDir, { recursive: true });
+  for (const name of moved) {
+    await fs.rename(path.join(EVIDENCE_DIR, name), path.join(legacyDir, name));
+  }
+
+  return {
+    chains: Array.from(byChain.keys()),
+    entries: Array.from(byChain.values()).reduce((total, entryMap) => total + entryMap.size, 0)
+  };
+});
+
+module.exports = {
+  EVIDENCE_DIR,
+  append,
+  listChains,
+  listSegments,
+  readSegmentEntries,
+  readRecords,
+  readEntries,
+  getHead,
+  headSignaturePayload,
+  applyRetention,
+  migrateLegacyEvidence
+};
@@ -0,0 +1,325 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+const { logEvidence } = require('./evidence');
+const { DATA_DIR } = require('./credentials');
+const { trackProgress } = require('./progress');
+
+const JOBS_DIR = path.join(DATA_DIR, 'jobs');
+
+// Finished jobs beyond this many are deleted, oldest first
+const MAX_FINISHED_JOBS = 200;
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled', 'interrupted'];
+
+// Jobs by id, loaded once from disk; controllers and subscribers exist only for running jobs
+const jobs = new Map();
+const controllers = new Map();
+const subscribers = new Map();
+const writes = new Map();
+let loaded = null;
+let runFix = null;
+
+const jobPath = (jobId) => path.join(JOBS_DIR, `${jobId}.json`);
+
+const isFinished = (job) => FINISHED_STATUSES.includes(job.status);
+
+// Writes for a job are chained, and a burst of step updates collapses into one write
+const persist = (job) => {
+  const write = writes.get(job.id) || { queue: Promise.resolve(), pending: false };
+  writes.set(job.id, write);
+  if (write.pending) return write.queue;
+
+  write.pending = true;
+  write.queue = write.queue
+    .then(async () => {
+      write.pending = false;
+      await fs.mkdir(JOBS_DIR, { recursive: true });
+
+      // Write to a temporary file first so a crash never leaves half a job on disk
+      const tmpPath = `${jobPath(job.id)}.tmp`;
+      await fs.writeFile(tmpPath, JSON.stringify(job, null, 2));
+      await fs.rename(tmpPath, jobPath(job.id));
+    })
+    .catch(error => logger.error(`Failed to save job ${job.id}: ${error.message}`, error));
+  return write.queue;
+};
+
+const notify = (job, event, data) => {
+  (subscribers.get(job.id) || new Set()).forEach(listener => {
+    try {
+      listener(event, data);
+    } catch (error) {
+      logger.warn(`Job subscriber failed: ${error.message}`);
+    }
+  });
+};
+
+// Load stored jobs; anything that was running when the server stopped is marked interrupted
+const loadJobs = () => {
+  if (!loaded) {
+    loaded = (async () => {
+      let files = [];
+      try {
+        files = (await fs.readdir(JOBS_DIR)).filter(file => file.endsWith('.json'));
+      } catch {
+        // No jobs saved yet
+      }
+
+      for (const file of files) {
+        try {
+          const job = JSON.parse(await fs.readFile(path.join(JOBS_DIR, file), 'utf8'));
+          jobs.set(job.id, job);
+
+          if (!isFinished(job)) {
+            job.status = 'interrupted';
+            job.finishedAt = new Date().toISOString();
+            job.error = 'The server stopped while this job was running';
+            await persist(job);
+
+            await logEvidence('fix_job_interrupted', 'warning', {
+              projectRef: job.projectRef,
+              jobId: job.id,
+              lastStep: job.steps[job.steps.length - 1]?.action || null,
+              stepCount: job.steps.length,
+              timestamp: new Date().toISOString()
+            }, job.projectRef);
+          }
+        } catch (error) {
+          logger.error(`Skipping unreadable job file ${file}: ${error.message}`);
+        }
+      }
+
+      if (jobs.size > 0) logger.log(`Loaded ${jobs.size} fix job(s)`);
+    })();
+  }
+  return loaded;
+};
+
+// Drop the oldest finished jobs once there are too many
+const pruneFinishedJobs = async () => {
+  const finished = Array.from(jobs.values())
+    .filter(isFinished)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+  for (const job of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) {
+    jobs.delete(job.id);
+    writes.delete(job.id);
+    await fs.rm(jobPath(job.id), { force: true });
+  }
+};
+
+// Evidence details worth keeping on a job step; the full entry stays in the evidence chain
+const STEP_DETAIL_FIELDS = ['table', 'queryName', 'status', 'error', 'errorKind'];
+
+// A job step is its evidence entry trimmed down, plus its position in the job
+const toStep = (entry, index) => ({
+  index,
+  id: entry.id,
+  sequence: entry.sequence ?? null,
+  projectRef: entry.projectRef,
+  action: entry.action,
+  status: entry.status,
+  timestamp: entry.timestamp,
+  details: Object.fromEntries(
+    STEP_DETAIL_FIELDS.filter(field => entry.details?.[field] !== undefined).map(field => [field, entry.details[field]])
+  )
+});
+
+// Job without its step list, for status polling and listings
+const summarize = (job) => {
+  const { steps, ...rest } = job;
+  return { ...rest, stepCount: steps.length, lastStep: steps[steps.length - 1] || null };
+};
+
+const runJob = async (job, token) => {
+  const controller = controllers.get(job.id);
+
+  // Cancelled before it got to start
+  if (controller.signal.aborted) {
+    controllers.delete(job.id);
+    job.status = 'cancelled';
+    job.finishedAt = new Date().toISOString();
+    await persist(job);
+    notify(job, 'done', summarize(job));
+    subscribers.delete(job.id);
+    return;
+  }
+
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+  await persist(job);
+  notify(job, 'status', summarize(job));
+
+  try {
+    const result = await trackProgress(
+      entry => {
+        const step = toStep(entry, job.steps.length);
+        job.steps.push(step);
+        persist(job);
+        notify(job, 'step', step);
+      },
+      () => runFix({
+        projectRef: job.projectRef,
+        token,
+        options: job.options,
+        ip: job.ip,
+        signal: controller.signal
+      })
+    );
+
+    job.result = result;
+    job.status = result.cancelled ? 'cancelled' : 'completed';
+  } catch (error) {
+    logger.error(`Fix job ${job.id} failed: ${error.message}`);
+    job.status = 'failed';
+    job.error = error.message;
+  } finally {
+    controllers.delete(job.id);
+    job.finishedAt = new Date().toISOString();
+    await persist(job);
+
+    await logEvidence('fix_job_finished', job.status === 'completed' ? 'success' : (job.status === 'cancelled' ? 'warning' : 'error'), {
+      projectRef: job.projectRef,
+      jobId: job.id,
+      jobStatus: job.status,
+      fixId: job.result?.fixId || null,
+      summary: job.result?.summary || null,
+      error: job.error,
+      stepCount: job.steps.length,
+      timestamp: new Date().toISOString()
+    }, job.projectRef);
+
+    notify(job, 'done', summarize(job));
+    subscribers.delete(job.id);
+  }
+};
+
+// Queue a fix for a project and start it in the background; returns immediately
+const createFixJob = async ({ projectRef, token, options = {}, ip = null }) => {
+  if (!runFix) {
+    throw new Error('Job runner has not been started');
+  }
+  await loadJobs();
+
+  const job = {
+    id: crypto.randomUUID(),
+    type: 'fix',
+    projectRef,
+    status: 'queued',
+    options,
+    ip,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    cancelRequestedAt: null,
+    error: null,
+    result: null,
+    steps: []
+  };
+
+  jobs.set(job.id, job);
+  controllers.set(job.id, new AbortController());
+  await persist(job);
+
+  await logEvidence('fix_job_created', 'info', {
+    projectRef,
+    jobId: job.id,
+    options,
+    ip,
+    timestamp: new Date().toISOString()
+  }, projectRef);
+
+  // The token is only held in memory for the run, never written to the job file
+  setImmediate(() => {
+    runJob(job, token).catch(error => logger.error(`Fix job ${job.id} crashed: ${error.message}`, error));
+  });
+
+  await pruneFinishedJobs();
+  return summarize(job);
+};
+
+const getJob = async (jobId) => {
+  await loadJobs();
+  const job = jobs.get(jobId);
+  return job ? summarize(job) : null;
+};
+
+// Steps recorded after the given index, for incremental polling
+const getJobSteps = async (jobId, { after = -1 } = {}) => {
+  await loadJobs();
+  const job = jobs.get(jobId);
+  return job ? job.steps.filter(step => step.index > after) : null;
+};
+
+// projectRefs (a Set) limits the list to those projects
+const listJobs = async ({ projectRef = null, projectRefs = null, limit = 50 } = {}) => {
+  await loadJobs();
+  return Array.from(jobs.values())
+    .filter(job => !projectRef || job.projectRef === projectRef)
+    .filter(job => !projectRefs || projectRefs.has(job.projectRef))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit)
+    .map(summarize);
+};
+
+// Ask a running job to stop at its next step boundary.
+// Returns null for unknown jobs; finished jobs are returned unchanged.
+const cancelJob = async (jobId, { ip = null } = {}) => {
+  await loadJobs();
+  const job = jobs.get(jobId);
+  if (!job) return null;
+  if (isFinished(job) || job.cancelRequestedAt) return summarize(job);
+
+  job.cancelRequestedAt = new Date().toISOString();
+  job.status = 'cancelling';
+  controllers.get(job.id)?.abort();
+  await persist(job);
+  notify(job, 'status', summarize(job));
+
+  await logEvidence('fix_job_cancel_requested', 'info', {
+    projectRef: job.projectRef,
+    jobId: job.id,
+    stepCount: job.steps.length,
+    ip,
+    timestamp: new Date().toISOString()
+  }, job.projectRef);
+
+  return summarize(job);
+};
+
+// Follow a job's steps and status changes; returns an unsubscribe function.
+// Listeners get ('step', step), ('status', job) and finally ('done', job).
+// Steps already recorded are replayed first, synchronously, so none are missed.
+const subscribeToJob = (jobId, listener) => {
+  const job = jobs.get(jobId);
+  if (!job) return () => {};
+
+  job.steps.forEach(step => listener('step', step));
+  if (isFinished(job)) {
+    listener('done', summarize(job));
+    return () => {};
+  }
+
+  if (!subscribers.has(jobId)) subscribers.set(jobId, new Set());
+  subscribers.get(jobId).add(listener);
+  return () => subscribers.get(jobId)?.delete(listener);
+};
+
+// Load stored jobs and register the function that runs fixes
+const startJobRunner = async ({ runFix: fixFn }) => {
+  runFix = fixFn;
+  await loadJobs();
+};
+
+module.exports = {
+  isFinished,
+  createFixJob,
+  getJob,
+  getJobSteps,
+  listJobs,
+  cancelJob,
+  subscribeToJob,
+  startJobRunner
+};
@@ -0,0 +1,17 @@
+// Enhanced logger
+const logger = {
+  log: (message) => {
+    console.log(`[INFO] ${new Date().toISOString()} - ${message}`);
+  },
+  warn: (message) => {
+    console.warn(`[WARN] ${new Date().toISOString()} - ${message}`);
+  },
+  error: (message, error = null) => {
+    console.error(`[ERROR] ${new Date().toISOString()} - ${message}`);
+    if (error) {
+      console.error(error);
+    }
+  }
+};
+
+module.exports = logger;
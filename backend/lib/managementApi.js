@@ -0,0 +1,208 @@
+const axios = require('axios');
+const logger = require('./logger');
+const { logEvidence } = require('./evidence');
+
+const DEFAULT_MANAGEMENT_API_URL = 'https://api.supabase.com/v1';
+
+// Timeout per attempt, retry count after the first attempt, and backoff bounds
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_RETRY_BASE_MS = 500;
+const MAX_RETRY_DELAY_MS = 30000;
+
+// Network failures worth retrying; anything else without a response is not
+const TRANSIENT_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH'];
+
+// Methods that can be safely repeated after the server may have processed them.
+// POST /database/query is not: a 5xx or timeout there may have applied the SQL.
+const IDEMPOTENT_METHODS = ['GET', 'PUT', 'PATCH', 'DELETE'];
+
+// Base URL of the Supabase Management API, including the version.
+// Point SUPABASE_API_URL at the mock server (npm run mock) to run offline.
+const getManagementApiUrl = () => (process.env.SUPABASE_API_URL || DEFAULT_MANAGEMENT_API_URL).replace(/\/+$/, '');
+
+const envNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+const getClientSettings = () => ({
+  timeout: envNumber('MANAGEMENT_API_TIMEOUT_MS', DEFAULT_TIMEOUT_MS),
+  maxRetries: Math.floor(envNumber('MANAGEMENT_API_MAX_RETRIES', DEFAULT_MAX_RETRIES)),
+  retryBaseMs: envNumber('MANAGEMENT_API_RETRY_BASE_MS', DEFAULT_RETRY_BASE_MS)
+});
+
+// A failed Management API call. Keeps axios' `response` so callers can still inspect it.
+class ManagementApiError extends Error {
+  constructor(message, { kind, status = null, method, path, attempts, retryable, response = null, code = null }) {
+    super(message);
+    this.name = 'ManagementApiError';
+    this.kind = kind;
+    this.status = status;
+    this.method = method;
+    this.path = path;
+    this.attempts = attempts;
+    this.retryable = retryable;
+    this.response = response;
+    this.code = code;
+  }
+}
+
+// Bucket a failure: unauthorized, forbidden, not_found, bad_request, rate_limited,
+// server_error, client_error, timeout or network
+const classifyError = (error) => {
+  const status = error.response?.status;
+
+  if (status === 401) return 'unauthorized';
+  if (status === 403) return 'forbidden';
+  if (status === 404) return 'not_found';
+  if (status === 429) return 'rate_limited';
+  if (status >= 500) return 'server_error';
+  if (status === 400 || status === 422) return 'bad_request';
+  if (status) return 'client_error';
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') return 'timeout';
+  return 'network';
+};
+
+const isRetryable = (error, kind, method) => {
+  if (kind === 'rate_limited') return true;
+  if (kind === 'network') {
+    // A refused connection never reached the server, so even POST can be repeated
+    return error.code === 'ECONNREFUSED' || (IDEMPOTENT_METHODS.includes(method) && TRANSIENT_NETWORK_CODES.includes(error.code));
+  }
+  if (kind === 'server_error' || kind === 'timeout') return IDEMPOTENT_METHODS.includes(method);
+  return false;
+};
+
+// Retry-After is either a number of seconds or an HTTP date
+const parseRetryAfter = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// Exponential backoff with full jitter, unless the server told us how long to wait
+const retryDelay = (error, attempt, retryBaseMs) => {
+  const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+  if (retryAfter !== null) return Math.min(retryAfter, MAX_RETRY_DELAY_MS);
+
+  const ceiling = Math.min(retryBaseMs * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Project ref a path belongs to, so failures land in that project's evidence chain
+const projectRefFromPath = (path) => {
+  const match = /^\/projects\/([^/?]+)/.exec(path);
+  return match ? decodeURIComponent(match[1]) : null;
+};
+
+// Evidence fields describing a failed Management API call, shared by every caller
+const apiErrorFields = (error) => ({
+  error: error.message,
+  errorKind: error.kind || (error.response ? classifyError(error) : undefined),
+  errorStatus: error.status ?? error.response?.status,
+  errorDetails: error.response?.data,
+  attempts: error.attempts
+});
+
+// Every Management API call goes through here.
+// Pass `retry: false` in config to make exactly one attempt.
+const request = async (token, method, path, data, { retry = true, ...config } = {}) => {
+  const { timeout, maxRetries, retryBaseMs } = getClientSettings();
+  const retries = retry ? maxRetries : 0;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await axios.request({
+        timeout,
+        ...config,
+        method,
+        url: `${getManagementApiUrl()}${path}`,
+        data,
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json',
+          ...config.headers
+        }
+      });
+    } catch (error) {
+      const kind = classifyError(error);
+      const retryable = isRetryable(error, kind, method);
+
+      if (retryable && attempt <= retries) {
+        const delay = retryDelay(error, attempt, retryBaseMs);
+        logger.warn(`Management API ${method} ${path} failed (${kind}${error.response ? ` ${error.response.status}` : ''}), retrying in ${delay}ms (attempt ${attempt + 1} of ${retries + 1})`);
+        await sleep(delay);
+        continue;
+      }
+
+      const apiError = new ManagementApiError(
+        `Management API ${method} ${path} failed: ${error.response?.data?.message || error.message}`,
+        {
+          kind,
+          status: error.response?.status ?? null,
+          method,
+          path,
+          attempts: attempt,
+          retryable,
+          response: error.response || null,
+          code: error.code || null
+        }
+      );
+
+      // Log the failure once, after retries are exhausted
+      const projectRef = projectRefFromPath(path);
+      await logEvidence('management_api_failure', 'error', {
+        projectRef,
+        method,
+        path,
+        ...apiErrorFields(apiError),
+        retryable,
+        timestamp: new Date().toISOString()
+      }, projectRef);
+
+      throw apiError;
+    }
+  }
+};
+
+const managementApi = {
+  get: (token, path, config) => request(token, 'GET', path, undefined, config),
+  post: (token, path, data, config) => request(token, 'POST', path, data, config),
+  patch: (token, path, data, config) => request(token, 'PATCH', path, data, config),
+  put: (token, path, data, config) => request(token, 'PUT', path, data, config),
+  delete: (token, path, config) => request(token, 'DELETE', path, undefined, config)
+};
+
+// Supabase project refs are 20 lowercase letters and digits
+const isValidProjectRef = (projectRef) => /^[a-z0-9]{20}$/.test(String(projectRef || ''));
+
+// Path of a project-scoped endpoint, e.g. projectPath(ref, '/config/auth')
+const projectPath = (projectRef, path = '') => `/projects/${encodeURIComponent(projectRef)}${path}`;
+
+// Per-run cache of GET responses, so checks in one scan that read the same endpoint share a single request
+const createRequestCache = () => new Map();
+
+// GET through a run's cache; a check run without one makes its own request
+const cachedGet = (cache, token, path) => {
+  if (!cache) return managementApi.get(token, path);
+  if (!cache.has(path)) cache.set(path, managementApi.get(token, path));
+  return cache.get(path);
+};
+
+module.exports = {
+  ManagementApiError,
+  getManagementApiUrl,
+  managementApi,
+  projectPath,
+  isValidProjectRef,
+  apiErrorFields,
+  createRequestCache,
+  cachedGet
+};
@@ -0,0 +1,154 @@
+const { SEVERITIES } = require('./severity');
+
+// Factor types auth can enroll
+const FACTOR_TYPES = ['totp', 'phone', 'webauthn'];
+
+// Users who haven't signed in for this many days are reported as dormant
+const DEFAULT_DORMANT_DAYS = 90;
+
+// Used when no policies are configured: admins always need a verified factor
+const DEFAULT_MFA_POLICIES = [{
+  name: 'admins_verified_factor',
+  description: 'Users with an admin role must have a verified MFA factor',
+  severity: 'high',
+  roles: ['admin'],
+  appMetadata: {},
+  factorTypes: [],
+  skipDormant: false
+}];
+
+// A policy is { name, description?, severity?, roles?, appMetadata?, factorTypes?, skipDormant? }.
+// A user is covered when they have one of roles (if given) and every appMetadata value (if given);
+// covered users need a verified factor, of one of factorTypes when that is given.
+const normalizePolicy = (policy, index) => {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    throw new Error(`MFA policy ${index + 1} must be an object`);
+  }
+  if (typeof policy.name !== 'string' || !/^[\w.-]+$/.test(policy.name)) {
+    throw new Error(`MFA policy ${index + 1} must have a name made of letters, digits, "_", "." or "-"`);
+  }
+  if (policy.severity !== undefined && !SEVERITIES.includes(policy.severity)) {
+    throw new Error(`MFA policy "${policy.name}" severity must be one of: ${SEVERITIES.join(', ')}`);
+  }
+  if (policy.roles !== undefined && (!Array.isArray(policy.roles) || policy.roles.some(role => typeof role !== 'string'))) {
+    throw new Error(`MFA policy "${policy.name}" roles must be an array of role names`);
+  }
+  if (policy.appMetadata !== undefined && (!policy.appMetadata || typeof policy.appMetadata !== 'object' || Array.isArray(policy.appMetadata))) {
+    throw new Error(`MFA policy "${policy.name}" appMetadata must be an object`);
+  }
+  if (policy.factorTypes !== undefined && (!Array.isArray(policy.factorTypes) || policy.factorTypes.some(type => !FACTOR_TYPES.includes(type)))) {
+    throw new Error(`MFA policy "${policy.name}" factorTypes must only contain: ${FACTOR_TYPES.join(', ')}`);
+  }
+
+  return {
+    name: policy.name,
+    description: policy.description || null,
+    severity: policy.severity || 'high',
+    roles: policy.roles || [],
+    appMetadata: policy.appMetadata || {},
+    factorTypes: policy.factorTypes || [],
+    skipDormant: policy.skipDormant === true
+  };
+};
+
+// Accept policies as an array or as JSON text (query strings, env vars)
+const parseMfaPolicies = (value) => {
+  let policies = value;
+  if (typeof value === 'string') {
+    try {
+      policies = JSON.parse(value);
+    } catch (error) {
+      throw new Error(`MFA policies are not valid JSON: ${error.message}`);
+    }
+  }
+  if (!Array.isArray(policies)) {
+    throw new Error('MFA policies must be an array');
+  }
+
+  const normalized = policies.map(normalizePolicy);
+  const duplicate = normalized.find((policy, index) => normalized.findIndex(p => p.name === policy.name) !== index);
+  if (duplicate) {
+    throw new Error(`MFA policy "${duplicate.name}" is defined more than once`);
+  }
+  return normalized;
+};
+
+// Policies to enforce: explicit option, then MFA_POLICIES, then the defaults
+const getMfaPolicies = ({ options = {} } = {}) => {
+  if (options.mfaPolicies !== undefined) return { policies: parseMfaPolicies(options.mfaPolicies), source: 'option' };
+  if (process.env.MFA_POLICIES) return { policies: parseMfaPolicies(process.env.MFA_POLICIES), source: 'env' };
+  return { policies: DEFAULT_MFA_POLICIES, source: 'default' };
+};
+
+// Dormancy threshold: explicit option, then MFA_DORMANT_DAYS, then the default
+const getDormantDays = ({ options = {} } = {}) => {
+  const days = Number(options.dormantDays ?? process.env.MFA_DORMANT_DAYS ?? DEFAULT_DORMANT_DAYS);
+  return Number.isFinite(days) && days > 0 ? days : DEFAULT_DORMANT_DAYS;
+};
+
+const policyCovers = (policy, user) => {
+  if (policy.skipDormant && user.dormant) return false;
+  if (policy.roles.length > 0 && !policy.roles.some(role => user.roles.includes(role))) return false;
+  return Object.entries(policy.appMetadata).every(([key, value]) => user.appMetadata?.[key] === value);
+};
+
+// Why a covered user breaks a policy, or null when they meet it
+const violationReason = (policy, user) => {
+  const verified = user.factors.filter(factor => factor.status === 'verified');
+  const accepted = policy.factorTypes.length > 0
+    ? verified.filter(factor => policy.factorTypes.includes(factor.type))
+    : verified;
+
+  if (accepted.length > 0) return null;
+  if (verified.length > 0) return 'wrong_factor_type';
+  if (user.factors.length > 0) return 'unverified_factor';
+  return 'no_factor';
+};
+
+const VIOLATION_MESSAGES = {
+  wrong_factor_type: (policy) => `has no verified ${policy.factorTypes.join(' or ')} factor`,
+  unverified_factor: () => 'has only unverified factors',
+  no_factor: () => 'has no MFA factor'
+};
+
+// Check every user against every policy.
+// Returns per-policy results and a flat list of violations.
+const evaluateMfaPolicies = (policies, users) => {
+  const violations = [];
+
+  const results = policies.map(policy => {
+    const covered = users.filter(user => policyCovers(policy, user));
+    const policyViolations = covered
+      .map(user => ({ user, reason: violationReason(policy, user) }))
+      .filter(({ reason }) => reason)
+      .map(({ user, reason }) => ({
+        policy: policy.name,
+        severity: policy.severity,
+        userId: user.id,
+        email: user.email,
+        reason,
+        dormant: user.dormant,
+        message: `${user.email || user.id} ${VIOLATION_MESSAGES[reason](policy)}`
+      }));
+
+    violations.push(...policyViolations);
+    return {
+      ...policy,
+      covered: covered.length,
+      violations: policyViolations.length,
+      status: policyViolations.length > 0 ? 'fail' : 'pass'
+    };
+  });
+
+  return { policies: results, violations };
+};
+
+module.exports = {
+  FACTOR_TYPES,
+  DEFAULT_DORMANT_DAYS,
+  DEFAULT_MFA_POLICIES,
+  parseMfaPolicies,
+  getMfaPolicies,
+  getDormantDays,
+  evaluateMfaPolicies
+};
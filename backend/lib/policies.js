@@ -0,0 +1,207 @@
+const { quoteIdent, quoteLiteral, executeQuery } = require('./database');
+const { highestSeverity } = require('./severity');
+
+// Column names treated as the row owner, in order of preference
+const OWNER_COLUMN_NAMES = ['user_id', 'owner_id', 'profile_id', 'created_by', 'author_id', 'id'];
+
+// Commands that get one owner-scoped policy each
+const POLICY_COMMANDS = ['SELECT', 'INSERT', 'UPDATE', 'DELETE'];
+
+// Roles that represent unauthenticated clients
+const ANONYMOUS_ROLES = ['anon', 'public'];
+
+// Commands that write rows
+const WRITE_COMMANDS = ['INSERT', 'UPDATE', 'DELETE', 'ALL'];
+
+// Fetch every RLS policy in the given schemas
+const getPolicies = async (projectRef, token, schemas = ['public']) => {
+  const query = `
+    SELECT
+      schemaname,
+      tablename,
+      policyname,
+      permissive,
+      roles,
+      cmd,
+      qual,
+      with_check
+    FROM pg_catalog.pg_policies
+    WHERE schemaname IN (${schemas.map(quoteLiteral).join(', ')})
+    ORDER BY schemaname, tablename, policyname;
+  `;
+
+  return executeQuery(projectRef, token, query, 'rls_policies_query');
+};
+
+// pg_policies.roles is a name[] which may arrive as an array or as '{anon,authenticated}'
+const parseRoles = (roles) => {
+  if (Array.isArray(roles)) return roles;
+  if (typeof roles !== 'string') return [];
+  return roles.replace(/^{|}$/g, '').split(',').map(role => role.trim().replace(/^"|"$/g, '')).filter(Boolean);
+};
+
+// Whether a policy expression always evaluates to true, e.g. "true" or "(1 = 1)"
+const isAlwaysTrue = (expression) => {
+  if (expression === null || expression === undefined) return false;
+
+  let normalized = String(expression).toLowerCase().replace(/\s+/g, '');
+  while (/^\(.*\)$/.test(normalized)) {
+    normalized = normalized.slice(1, -1);
+  }
+  return normalized === 'true' || normalized === '1=1';
+};
+
+// Flag a single pg_policies row; returns null when nothing is wrong with it
+const analyzePolicy = (row) => {
+  const roles = parseRoles(row.roles);
+  const command = String(row.cmd || 'ALL').toUpperCase();
+  const permissive = String(row.permissive || 'PERMISSIVE').toUpperCase() === 'PERMISSIVE';
+  const anonymous = roles.some(role => ANONYMOUS_ROLES.includes(role));
+  const issues = [];
+
+  // Restrictive policies only narrow access, so they can't leak rows
+  if (!permissive) return null;
+
+  if (isAlwaysTrue(row.qual) || isAlwaysTrue(row.with_check)) {
+    issues.push({
+      code: 'always_true',
+      severity: anonymous ? 'critical' : 'high',
+      message: `Expression is always true, so ${anonymous ? 'anyone' : 'every matching role'} can access every row`
+    });
+  }
+
+  if (anonymous && WRITE_COMMANDS.includes(command)) {
+    issues.push({
+      code: 'anonymous_write',
+      severity: 'critical',
+      message: `${command} is granted to ${roles.filter(role => ANONYMOUS_ROLES.includes(role)).join(', ')}`
+    });
+  }
+
+  if (['INSERT', 'UPDATE', 'ALL'].includes(command) && !row.with_check) {
+    issues.push({
+      code: 'missing_with_check',
+      // INSERT without WITH CHECK accepts any row; UPDATE falls back to USING
+      severity: command === 'INSERT' || !row.qual ? 'high' : 'medium',
+      message: `${command} policy has no WITH CHECK, so written rows are not validated`
+    });
+  }
+
+  if (issues.length === 0) return null;
+
+  return {
+    type: 'policy',
+    severity: highestSeverity(issues.map(issue => issue.severity)),
+    table: `${row.schemaname}.${row.tablename}`,
+    policy: row.policyname,
+    command,
+    roles,
+    qual: row.qual,
+    withCheck: row.with_check,
+    issues
+  };
+};
+
+// Flag every problematic policy in a list of pg_policies rows
+const analyzePolicies = (rows) => rows.map(analyzePolicy).filter(Boolean);
+
+// Fetch columns for the given tables, flagging those that reference auth.users
+const getTableColumns = async (projectRef, token, tables) => {
+  if (tables.length === 0) return {};
+
+  const tableList = tables
+    .map(table => `(${quoteLiteral(table.schema)}, ${quoteLiteral(table.name)})`)
+    .join(', ');
+
+  const query = `
+    SELECT
+      n.nspname AS schemaname,
+      c.relname AS tablename,
+      a.attname AS column_name,
+      format_type(a.atttypid, a.atttypmod) AS data_type,
+      EXISTS (
+        SELECT 1
+        FROM pg_catalog.pg_constraint con
+        JOIN pg_catalog.pg_class rc ON rc.oid = con.confrelid
+        JOIN pg_catalog.pg_namespace rn ON rn.oid = rc.relnamespace
+        WHERE con.contype = 'f'
+        AND con.conrelid = c.oid
+        AND a.attnum = ANY (con.conkey)
+        AND rn.nspname = 'auth'
+        AND rc.relname = 'users'
+      ) AS references_auth_users
+    FROM pg_catalog.pg_attribute a
+    JOIN pg_catalog.pg_class c ON c.oid = a.attrelid
+    JOIN pg_catalog.pg_namespace n ON n.oid = c.relnamespace
+    WHERE a.attnum > 0
+    AND NOT a.attisdropped
+    AND (n.nspname, c.relname) IN (${tableList})
+    ORDER BY n.nspname, c.relname, a.attnum;
+  `;
+
+  const rows = await executeQuery(projectRef, token, query, 'rls_policy_columns_query');
+
+  const columnsByTable = {};
+  rows.forEach(row => {
+    const tableId = `${row.schemaname}.${row.tablename}`;
+    columnsByTable[tableId] = columnsByTable[tableId] || [];
+    columnsByTable[tableId].push({
+      name: row.column_name,
+      dataType: row.data_type,
+      referencesAuthUsers: row.references_auth_users
+    });
+  });
+
+  return columnsByTable;
+};
+
+// Pick the column that identifies a row's owner, if any
+// Foreign keys to auth.users win; otherwise a uuid column with a conventional owner name
+const findOwnerColumn = (columns = []) => {
+  const byPreference = (a, b) => {
+    const rank = (column) => {
+      const index = OWNER_COLUMN_NAMES.indexOf(column.name);
+      return index === -1 ? OWNER_COLUMN_NAMES.length : index;
+    };
+    return rank(a) - rank(b);
+  };
+
+  const referencing = columns.filter(column => column.referencesAuthUsers).sort(byPreference);
+  if (referencing.length > 0) return referencing[0];
+
+  return columns
+    .filter(column => column.dataType === 'uuid' && column.name !== 'id' && OWNER_COLUMN_NAMES.includes(column.name))
+    .sort(byPreference)[0] || null;
+};
+
+// Build owner-scoped SELECT/INSERT/UPDATE/DELETE policies for a table
+const generateOwnerPolicies = (table, ownerColumn) => {
+  const tableName = `${quoteIdent(table.schema)}.${quoteIdent(table.name)}`;
+  const ownerCheck = `(select auth.uid()) = ${quoteIdent(ownerColumn.name)}`;
+
+  return POLICY_COMMANDS.map(command => {
+    const name = `${table.name}_owner_${command.toLowerCase()}`;
+    const clauses = [];
+    if (command !== 'INSERT') clauses.push(`USING (${ownerCheck})`);
+    if (command === 'INSERT' || command === 'UPDATE') clauses.push(`WITH CHECK (${ownerCheck})`);
+
+    return {
+      name,
+      command,
+      roles: ['authenticated'],
+      ownerColumn: ownerColumn.name,
+      sql: `CREATE POLICY ${quoteIdent(name)} ON ${tableName} FOR ${command} TO authenticated ${clauses.join(' ')};`
+    };
+  });
+};
+
+module.exports = {
+  ANONYMOUS_ROLES,
+  getPolicies,
+  parseRoles,
+  analyzePolicy,
+  analyzePolicies,
+  getTableColumns,
+  findOwnerColumn,
+  generateOwnerPolicies
+};
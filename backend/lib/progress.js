@@ -0,0 +1,31 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const logger = require('./logger');
+
+// Listeners for the operation currently running, carried through its async calls
+// so concurrent checks and fixes only see their own steps
+const progressContext = new AsyncLocalStorage();
+
+// Run fn and pass every evidence entry it logs to listener
+const trackProgress = (listener, fn) => {
+  const listeners = [...(progressContext.getStore() || []), listener];
+  return progressContext.run(listeners, fn);
+};
+
+// Called by logEvidence for each entry; a listener failing never breaks the operation
+const reportProgress = (entry) => {
+  const listeners = progressContext.getStore();
+  if (!listeners) return;
+
+  listeners.forEach(listener => {
+    try {
+      listener(entry);
+    } catch (error) {
+      logger.warn(`Progress listener failed: ${error.message}`);
+    }
+  });
+};
+
+module.exports = {
+  trackProgress,
+  reportProgress
+};
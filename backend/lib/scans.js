@@ -0,0 +1,210 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('./logger');
+const { isValidProjectRef } = require('./managementApi');
+
+// Setup scan history directory
+const SCANS_DIR = path.join(__dirname, '..', 'scans');
+
+// Scan files are zero-padded so they sort by version
+const scanFileName = (version) => `scan_${String(version).padStart(6, '0')}.json`;
+
+// A project's scan directory; anything but a project ref could point outside scans/
+const projectScansDir = (projectRef) => {
+  if (!isValidProjectRef(projectRef)) throw new Error(`Invalid project ref "${projectRef}"`);
+  return path.join(SCANS_DIR, projectRef);
+};
+
+const getScanVersions = async (projectRef) => {
+  try {
+    const files = await fs.readdir(projectScansDir(projectRef));
+    return files
+      .map(file => /^scan_(\d+)\.json$/.exec(file))
+      .filter(Boolean)
+      .map(match => Number(match[1]))
+      .sort((a, b) => a - b);
+  } catch {
+    // Directory doesn't exist, no scans yet
+    return [];
+  }
+};
+
+// Get one scan record, or null if it doesn't exist
+const getScan = async (projectRef, version) => {
+  try {
+    const content = await fs.readFile(path.join(projectScansDir(projectRef), scanFileName(version)), 'utf8');
+    return JSON.parse(content);
+  } catch {
+    return null;
+  }
+};
+
+const statusOf = (items = [], id) => items.find(item => item.id === id)?.status;
+
+// Compare two check results for the same project
+const diffScans = (fromScan, toScan) => {
+  const from = fromScan.result;
+  const to = toScan.result;
+  const regressions = [];
+  const improvements = [];
+
+  // Per-check status changes
+  const checkIds = [...new Set([...(from.checks || []), ...(to.checks || [])].map(check => check.id))];
+  const checks = checkIds
+    .map(id => ({ id, from: statusOf(from.checks, id) || null, to: statusOf(to.checks, id) || null }))
+    .filter(change => change.from !== change.to);
+
+  checks.forEach(change => {
+    if (change.to === 'fail' && change.from !== 'fail') {
+      regressions.push({ check: change.id, type: 'check_failing', message: `${change.id} check is now failing` });
+    } else if (change.to === 'pass' && change.from && change.from !== 'pass') {
+      improvements.push({ check: change.id, type: 'check_passing', message: `${change.id} check is now passing` });
+    }
+  });
+
+  // Tables and views that started or stopped failing
+  const fromRelations = [...(from.rls?.tables || []), ...(from.rls?.views || [])];
+  const toRelations = [...(to.rls?.tables || []), ...(to.rls?.views || [])];
+  const rls = {
+    newlyFailing: toRelations
+      .filter(r => r.status !== 'pass' && statusOf(fromRelations, r.id) !== r.status)
+      .map(r => ({ id: r.id, from: statusOf(fromRelations, r.id) || null, to: r.status, reason: r.reason })),
+    newlyPassing: toRelations
+      .filter(r => r.status === 'pass' && statusOf(fromRelations, r.id) && statusOf(fromRelations, r.id) !== 'pass')
+      .map(r => ({ id: r.id, from: statusOf(fromRelations, r.id), to: r.status }))
+  };
+  rls.newlyFailing.forEach(r => regressions.push({
+    check: 'rls', type: 'table_failing', item: r.id, message: `${r.id} is now ${r.to}${r.reason ? ` (${r.reason})` : ''}`
+  }));
+  rls.newlyPassing.forEach(r => improvements.push({
+    check: 'rls', type: 'table_passing', item: r.id, message: `${r.id} is now passing`
+  }));
+
+  // Users who lost or gained MFA
+  const fromUsers = from.mfa?.users || [];
+  const toUsers = to.mfa?.users || [];
+  const mfa = {
+    lostMfa: toUsers
+      .filter(u => !u.hasMFA && fromUsers.some(f => f.id === u.id && f.hasMFA))
+      .map(u => ({ id: u.id, email: u.email })),
+    gainedMfa: toUsers
+      .filter(u => u.hasMFA && fromUsers.some(f => f.id === u.id && !f.hasMFA))
+      .map(u => ({ id: u.id, email: u.email })),
+    globalChanged: Boolean(from.mfa && to.mfa) && from.mfa.mfaEnabledGlobally !== to.mfa.mfaEnabledGlobally,
+    newViolations: (to.mfa?.violations || [])
+      .filter(v => !(from.mfa?.violations || []).some(f => f.policy === v.policy && f.userId === v.userId)),
+    resolvedViolations: (from.mfa?.violations || [])
+      .filter(v => to.mfa && !(to.mfa.violations || []).some(t => t.policy === v.policy && t.userId === v.userId))
+  };
+  mfa.lostMfa.forEach(u => regressions.push({
+    check: 'mfa', type: 'user_lost_mfa', item: u.id, message: `${u.email} no longer has MFA`
+  }));
+  mfa.gainedMfa.forEach(u => improvements.push({
+    check: 'mfa', type: 'user_gained_mfa', item: u.id, message: `${u.email} enrolled in MFA`
+  }));
+  mfa.newViolations.forEach(v => regressions.push({
+    check: 'mfa', type: 'mfa_policy_violation', item: v.userId, message: `${v.message} (policy ${v.policy})`
+  }));
+  mfa.resolvedViolations.forEach(v => improvements.push({
+    check: 'mfa', type: 'mfa_policy_resolved', item: v.userId, message: `${v.email || v.userId} now meets policy ${v.policy}`
+  }));
+  if (mfa.globalChanged) {
+    (to.mfa.mfaEnabledGlobally ? improvements : regressions).push({
+      check: 'mfa',
+      type: 'mfa_global_toggled',
+      message: `MFA was globally ${to.mfa.mfaEnabledGlobally ? 'enabled' : 'disabled'}`
+    });
+  }
+
+  // PITR toggled on or off
+  const pitr = {
+    changed: Boolean(from.pitr && to.pitr) && from.pitr.pitrEnabled !== to.pitr.pitrEnabled,
+    from: from.pitr?.pitrEnabled ?? null,
+    to: to.pitr?.pitrEnabled ?? null
+  };
+  if (pitr.changed) {
+    (pitr.to ? improvements : regressions).push({
+      check: 'pitr',
+      type: 'pitr_toggled',
+      message: `PITR was ${pitr.to ? 'enabled' : 'disabled'}`
+    });
+  }
+
+  return {
+    projectRef: toScan.projectRef,
+    from: { version: fromScan.version, timestamp: fromScan.timestamp },
+    to: { version: toScan.version, timestamp: toScan.timestamp },
+    overallStatus: { from: from.summary?.overallStatus, to: to.summary?.overallStatus },
+    checks,
+    rls,
+    mfa,
+    pitr,
+    regressions,
+    improvements
+  };
+};
+
+// Store a completed check result as the project's next scan version
+const saveScan = async (projectRef, result) => {
+  const projectDir = projectScansDir(projectRef);
+  await fs.mkdir(projectDir, { recursive: true });
+
+  const versions = await getScanVersions(projectRef);
+  const previousVersion = versions[versions.length - 1];
+  const previous = previousVersion ? await getScan(projectRef, previousVersion) : null;
+  let version = (previousVersion || 0) + 1;
+
+  // Retry with the next version if a concurrent scan took this one
+  for (;;) {
+    const scan = {
+      projectRef,
+      version,
+      timestamp: result.timestamp,
+      checkId: result.checkId,
+      previousVersion: previous ? previous.version : null,
+      result
+    };
+
+    const diff = previous ? diffScans(previous, scan) : null;
+    scan.changes = diff ? {
+      regressions: diff.regressions.length,
+      improvements: diff.improvements.length
+    } : null;
+
+    try {
+      await fs.writeFile(path.join(projectDir, scanFileName(version)), JSON.stringify(scan, null, 2), { flag: 'wx' });
+      logger.log(`Recorded scan v${version} for project ${projectRef}`);
+      return { scan, diff };
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      version += 1;
+    }
+  }
+};
+
+// List a project's scans without their full results, newest first
+const listScans = async (projectRef) => {
+  const versions = await getScanVersions(projectRef);
+  const scans = await Promise.all(versions.map(version => getScan(projectRef, version)));
+
+  return scans
+    .filter(Boolean)
+    .map(scan => ({
+      version: scan.version,
+      timestamp: scan.timestamp,
+      checkId: scan.checkId,
+      previousVersion: scan.previousVersion,
+      overallStatus: scan.result.summary?.overallStatus,
+      summary: scan.result.summary,
+      changes: scan.changes
+    }))
+    .reverse();
+};
+
+module.exports = {
+  SCANS_DIR,
+  saveScan,
+  getScan,
+  listScans,
+  diffScans
+};
@@ -0,0 +1,217 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('./logger');
+const { logEvidence } = require('./evidence');
+const { DATA_DIR, saveCredential, getCredential, deleteCredential } = require('./credentials');
+const { parseCron, nextRun } = require('./cron');
+const { mapWithConcurrency } = require('./concurrency');
+
+const SCHEDULES_PATH = path.join(DATA_DIR, 'schedules.json');
+
+// How often the loop looks for due schedules
+const DEFAULT_INTERVAL_MS = 30 * 1000;
+
+const DEFAULT_SCHEDULE_CONCURRENCY = 2;
+const MAX_SCHEDULE_CONCURRENCY = 10;
+
+// How many due schedules run at once: SCHEDULE_CONCURRENCY, then the default
+const resolveScheduleConcurrency = () => {
+  const requested = Number(process.env.SCHEDULE_CONCURRENCY ?? DEFAULT_SCHEDULE_CONCURRENCY);
+  if (!Number.isInteger(requested) || requested < 1) return DEFAULT_SCHEDULE_CONCURRENCY;
+  return Math.min(requested, MAX_SCHEDULE_CONCURRENCY);
+};
+
+// Schedules by projectRef, loaded once from disk
+const schedules = new Map();
+const running = new Set();
+let loaded = null;
+let timer = null;
+let runScan = null;
+
+// Writes are chained so concurrent updates never interleave
+let writeQueue = Promise.resolve();
+
+const persist = () => {
+  writeQueue = writeQueue
+    .then(async () => {
+      await fs.mkdir(DATA_DIR, { recursive: true });
+      await fs.writeFile(SCHEDULES_PATH, JSON.stringify(Array.from(schedules.values()), null, 2));
+    })
+    .catch(error => logger.error(`Failed to save schedules: ${error.message}`, error));
+  return writeQueue;
+};
+
+const loadSchedules = () => {
+  if (!loaded) {
+    loaded = (async () => {
+      try {
+        const stored = JSON.parse(await fs.readFile(SCHEDULES_PATH, 'utf8'));
+        stored.forEach(schedule => schedules.set(schedule.projectRef, schedule));
+        logger.log(`Loaded ${schedules.size} compliance schedule(s)`);
+      } catch {
+        // No schedules saved yet
+      }
+    })();
+  }
+  return loaded;
+};
+
+// Public view of a schedule, with whether a run is in progress
+const describe = (schedule) => ({ ...schedule, running: running.has(schedule.projectRef) });
+
+const listSchedules = async () => {
+  await loadSchedules();
+  return Array.from(schedules.values()).map(describe);
+};
+
+const getSchedule = async (projectRef) => {
+  await loadSchedules();
+  const schedule = schedules.get(projectRef);
+  return schedule ? describe(schedule) : null;
+};
+
+// Create or update a project's schedule; the token is kept in the credential store
+const upsertSchedule = async (projectRef, { cron, enabled = true, options = {} }, token) => {
+  await loadSchedules();
+  parseCron(cron);
+
+  const now = new Date();
+  const existing = schedules.get(projectRef);
+  const schedule = {
+    lastRunAt: null,
+    lastRunStatus: null,
+    lastScanVersion: null,
+    lastError: null,
+    createdAt: now.toISOString(),
+    ...existing,
+    projectRef,
+    cron,
+    enabled: enabled !== false,
+    options,
+    updatedAt: now.toISOString(),
+    nextRunAt: enabled !== false ? nextRun(cron, now).toISOString() : null
+  };
+
+  if (token) await saveCredential(projectRef, token);
+  schedules.set(projectRef, schedule);
+  await persist();
+
+  return { schedule: describe(schedule), created: !existing };
+};
+
+const deleteSchedule = async (projectRef) => {
+  await loadSchedules();
+  if (!schedules.has(projectRef)) return false;
+
+  schedules.delete(projectRef);
+  await deleteCredential(projectRef);
+  await persist();
+  return true;
+};
+
+// Run one schedule now and record the outcome on it
+const runSchedule = async (schedule) => {
+  const { projectRef } = schedule;
+  running.add(projectRef);
+
+  const runId = await logEvidence('scheduled_scan_started', 'info', {
+    projectRef,
+    cron: schedule.cron,
+    scheduledFor: schedule.nextRunAt,
+    timestamp: new Date().toISOString()
+  }, projectRef);
+
+  try {
+    const token = await getCredential(projectRef);
+    if (!token) {
+      throw new Error('No stored credential for this project');
+    }
+
+    const result = await runScan({ projectRef, token, options: schedule.options, trigger: 'schedule' });
+
+    schedule.lastRunStatus = result.summary.overallStatus;
+    schedule.lastScanVersion = result.scanVersion || null;
+    schedule.lastError = null;
+
+    await logEvidence('scheduled_scan_completed', 'success', {
+      projectRef,
+      runId,
+      checkId: result.checkId,
+      scanVersion: result.scanVersion,
+      overallStatus: result.summary.overallStatus,
+      timestamp: new Date().toISOString()
+    }, projectRef);
+  } catch (error) {
+    logger.error(`Scheduled scan failed for ${projectRef}: ${error.message}`);
+
+    schedule.lastRunStatus = 'error';
+    schedule.lastError = error.message;
+
+    await logEvidence('scheduled_scan_failed', 'error', {
+      projectRef,
+      runId,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    }, projectRef);
+  } finally {
+    const now = new Date();
+    schedule.lastRunAt = now.toISOString();
+    schedule.nextRunAt = schedule.enabled ? nextRun(schedule.cron, now).toISOString() : null;
+    running.delete(projectRef);
+
+    // Only write back if the schedule wasn't replaced or removed mid-run
+    if (schedules.get(projectRef) === schedule) await persist();
+  }
+};
+
+// Start every due schedule that isn't already running
+const tick = async () => {
+  const now = new Date();
+  const due = Array.from(schedules.values()).filter(schedule =>
+    schedule.enabled &&
+    schedule.nextRunAt &&
+    new Date(schedule.nextRunAt) <= now &&
+    !running.has(schedule.projectRef)
+  );
+
+  // Due schedules count as running while they wait for a slot, so later ticks don't start them again
+  due.forEach(schedule => running.add(schedule.projectRef));
+
+  await mapWithConcurrency(due, resolveScheduleConcurrency(), async (schedule) => {
+    // Skip schedules replaced, removed or disabled while waiting
+    if (schedules.get(schedule.projectRef) !== schedule || !schedule.enabled) {
+      running.delete(schedule.projectRef);
+      return;
+    }
+    await runSchedule(schedule);
+  });
+};
+
+// Start the scheduler loop inside this process
+const startScheduler = async ({ runScan: scanFn, intervalMs = DEFAULT_INTERVAL_MS }) => {
+  if (timer) return;
+  runScan = scanFn;
+
+  await loadSchedules();
+
+  // Runs missed while the server was down happen on the first tick
+  timer = setInterval(() => {
+    tick().catch(error => logger.error(`Scheduler tick failed: ${error.message}`, error));
+  }, intervalMs);
+
+  logger.log(`Compliance scheduler started (every ${Math.round(intervalMs / 1000)}s)`);
+};
+
+const stopScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  listSchedules,
+  getSchedule,
+  upsertSchedule,
+  deleteSchedule,
+  startScheduler,
+  stopScheduler
+};
@@ -0,0 +1,36 @@
+const logger = require('./logger');
+const { managementApi, projectPath } = require('./managementApi');
+
+const DEFAULT_SCHEMAS = ['public'];
+
+// Accept schemas as an array or a comma-separated string
+const parseSchemaList = (value) => {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(list.map(schema => String(schema).trim()).filter(Boolean))];
+};
+
+// Schemas to audit: explicit option, then RLS_SCHEMAS, then the schemas PostgREST exposes
+const getAuditedSchemas = async ({ projectRef, token, options = {} }) => {
+  const fromOptions = parseSchemaList(options.schemas);
+  if (fromOptions.length > 0) return { schemas: fromOptions, source: 'option' };
+
+  const fromEnv = parseSchemaList(process.env.RLS_SCHEMAS);
+  if (fromEnv.length > 0) return { schemas: fromEnv, source: 'env' };
+
+  try {
+    const response = await managementApi.get(token, projectPath(projectRef, '/postgrest'));
+
+    const exposed = parseSchemaList(response.data?.db_schema);
+    if (exposed.length > 0) return { schemas: exposed, source: 'postgrest' };
+  } catch (error) {
+    logger.warn(`Could not read exposed schemas from PostgREST config: ${error.message}`);
+  }
+
+  return { schemas: DEFAULT_SCHEMAS, source: 'default' };
+};
+
+module.exports = {
+  DEFAULT_SCHEMAS,
+  parseSchemaList,
+  getAuditedSchemas
+};
@@ -0,0 +1,12 @@
+// Severity levels, most severe first
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+// Most severe level in a list, or null for an empty list
+const highestSeverity = (severities) => severities
+  .filter(severity => SEVERITIES.includes(severity))
+  .sort((a, b) => SEVERITIES.indexOf(a) - SEVERITIES.indexOf(b))[0] || null;
+
+module.exports = {
+  SEVERITIES,
+  highestSeverity
+};
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('./logger');
+const { DATA_DIR } = require('./credentials');
+
+const SIGNING_KEY_PATH = path.join(DATA_DIR, 'evidence_signing_key.pem');
+const SIGNATURE_ALGORITHM = 'ed25519';
+
+let signingKey = null;
+
+// Evidence is signed with EVIDENCE_SIGNING_KEY (an Ed25519 private key in PEM),
+// or a key generated on first use and kept readable only by the server user
+const getSigningKey = async () => {
+  if (signingKey) return signingKey;
+
+  let privateKey;
+  if (process.env.EVIDENCE_SIGNING_KEY) {
+    privateKey = crypto.createPrivateKey(process.env.EVIDENCE_SIGNING_KEY.replace(/\\n/g, '\n'));
+  } else {
+    await fs.mkdir(DATA_DIR, { recursive: true });
+    try {
+      privateKey = crypto.createPrivateKey(await fs.readFile(SIGNING_KEY_PATH, 'utf8'));
+    } catch {
+      logger.warn(`EVIDENCE_SIGNING_KEY is not set, generating a local signing key at ${SIGNING_KEY_PATH}`);
+      ({ privateKey } = crypto.generateKeyPairSync(SIGNATURE_ALGORITHM));
+      await fs.writeFile(SIGNING_KEY_PATH, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+    }
+  }
+
+  if (privateKey.asymmetricKeyType !== SIGNATURE_ALGORITHM) {
+    throw new Error(`Evidence signing key must be ${SIGNATURE_ALGORITHM}, got ${privateKey.asymmetricKeyType}`);
+  }
+
+  const publicKeyPem = crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'pem' });
+  signingKey = {
+    privateKey,
+    publicKeyPem,
+    fingerprint: crypto.createHash('sha256').update(publicKeyPem).digest('hex')
+  };
+  return signingKey;
+};
+
+// Public half of the signing key, for auditors to verify exports against
+const getPublicKey = async () => {
+  const { publicKeyPem, fingerprint } = await getSigningKey();
+  return { algorithm: SIGNATURE_ALGORITHM, publicKey: publicKeyPem, fingerprint };
+};
+
+// Detached base64 signature over the given bytes
+const sign = async (data) => {
+  const { privateKey } = await getSigningKey();
+  return crypto.sign(null, Buffer.from(data), privateKey).toString('base64');
+};
+
+// Check a signature made with sign() against this server's key
+const verify = async (data, signature) => {
+  const { publicKeyPem } = await getSigningKey();
+  return crypto.verify(null, Buffer.from(data), publicKeyPem, Buffer.from(signature, 'base64'));
+};
+
+module.exports = {
+  SIGNATURE_ALGORITHM,
+  getPublicKey,
+  sign,
+  verify
+};
@@ -0,0 +1,77 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('./logger');
+const { isValidProjectRef } = require('./managementApi');
+
+// Pre-fix state, one file per fix, alongside the scan history
+const SNAPSHOTS_DIR = path.join(__dirname, '..', 'snapshots');
+
+// Fix ids are evidence ids (`<ms>-<n>`); anything else can't name a snapshot file
+const isValidFixId = (fixId) => /^[\w-]+$/.test(String(fixId || ''));
+
+// A project's snapshot directory; anything but a project ref could point outside snapshots/
+const projectSnapshotsDir = (projectRef) => {
+  if (!isValidProjectRef(projectRef)) throw new Error(`Invalid project ref "${projectRef}"`);
+  return path.join(SNAPSHOTS_DIR, projectRef);
+};
+
+const snapshotPath = (projectRef, fixId) => path.join(projectSnapshotsDir(projectRef), `fix_${fixId}.json`);
+
+// Create or overwrite a fix's snapshot record
+const saveSnapshot = async (snapshot) => {
+  const filePath = snapshotPath(snapshot.projectRef, snapshot.fixId);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+  // Write to a temporary file first so a crash never leaves half a snapshot on disk
+  await fs.writeFile(`${filePath}.tmp`, JSON.stringify(snapshot, null, 2));
+  await fs.rename(`${filePath}.tmp`, filePath);
+  return snapshot;
+};
+
+// Get one snapshot record, or null if it doesn't exist
+const getSnapshot = async (projectRef, fixId) => {
+  if (!isValidFixId(fixId)) return null;
+
+  try {
+    return JSON.parse(await fs.readFile(snapshotPath(projectRef, fixId), 'utf8'));
+  } catch {
+    return null;
+  }
+};
+
+// A project's snapshots, newest first, without the captured state itself
+const listSnapshots = async (projectRef) => {
+  let files = [];
+  try {
+    files = (await fs.readdir(projectSnapshotsDir(projectRef))).filter(file => /^fix_[\w-]+\.json$/.test(file));
+  } catch {
+    // Directory doesn't exist, no snapshots yet
+    return [];
+  }
+
+  const snapshots = [];
+  for (const file of files) {
+    try {
+      const snapshot = JSON.parse(await fs.readFile(path.join(projectSnapshotsDir(projectRef), file), 'utf8'));
+      snapshots.push({
+        fixId: snapshot.fixId,
+        projectRef: snapshot.projectRef,
+        createdAt: snapshot.createdAt,
+        checks: Object.keys(snapshot.checks),
+        rolledBackAt: snapshot.rollback?.completedAt || null,
+        rollbackStatus: snapshot.rollback?.status || null
+      });
+    } catch (error) {
+      logger.warn(`Skipping unreadable snapshot ${file}: ${error.message}`);
+    }
+  }
+
+  return snapshots.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+module.exports = {
+  isValidFixId,
+  saveSnapshot,
+  getSnapshot,
+  listSnapshots
+};
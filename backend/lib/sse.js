@@ -0,0 +1,44 @@
+// Keeps proxies from closing a quiet stream while a slow step runs
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+// Turn a response into a Server-Sent Events stream
+const openEventStream = (res) => {
+  let closed = false;
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(': heartbeat\n\n');
+  }, HEARTBEAT_INTERVAL_MS);
+
+  // The operation keeps running if the client goes away; we just stop writing.
+  // Listen on res: req emits 'close' as soon as a POST body has been read.
+  res.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+  });
+
+  return {
+    get closed() {
+      return closed;
+    },
+    send: (event, data) => {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close: () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      res.end();
+    }
+  };
+};
+
+module.exports = { openEventStream };
@@ -0,0 +1,282 @@
+// Local stand-in for the Supabase Management API, so the check -> fix -> re-check
+// loop runs offline. Start it with `npm run mock` and point the backend at it:
+//
+//   SUPABASE_API_URL=http://localhost:4010/v1 npm start
+//
+// State lives in memory and starts from fixtures.json (or MOCK_FIXTURES). Backup times in
+// fixtures are given as hoursAgo so backup ages stay realistic however old the fixtures get.
+// POST /__reset restores the fixtures; GET /__state/:ref shows a project's current state.
+// POST /__faults { status, count, retryAfter, match } makes the next `count` API calls
+// (only those whose body contains `match`, if given) fail,
+// to exercise the client's retry handling. MOCK_LATENCY_MS slows every API call down.
+
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const logger = require('../lib/logger');
+const { SqlError, executeSql } = require('./sql');
+
+const DEFAULT_FIXTURES_PATH = path.join(__dirname, 'fixtures.json');
+
+// Fields the real API returns for a project; the rest of a fixture is project state
+const PROJECT_FIELDS = ['id', 'ref', 'organization_id', 'name', 'region', 'created_at', 'status', 'database'];
+
+const loadFixtures = (fixturesPath = process.env.MOCK_FIXTURES || DEFAULT_FIXTURES_PATH) =>
+  JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+
+const publicProject = (project) => Object.fromEntries(
+  PROJECT_FIELDS.filter(field => field in project).map(field => [field, project[field]])
+);
+
+// Add-on variants every mock project can buy
+const AVAILABLE_ADDONS = [{
+  type: 'pitr',
+  name: 'Point in time recovery',
+  variants: [
+    { id: 'pitr_7', name: '7 days' },
+    { id: 'pitr_14', name: '14 days' },
+    { id: 'pitr_28', name: '28 days' }
+  ]
+}];
+
+const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000);
+
+// Backups as the real API returns them, with fixture hoursAgo values turned into timestamps
+const backupsView = (backups) => {
+  const physical = backups.physical_backup_data || {};
+  return {
+    ...backups,
+    backups: (backups.backups || []).map(({ hoursAgo: age, ...backup }) => ({
+      ...backup,
+      inserted_at: age === undefined ? backup.inserted_at : hoursAgo(age).toISOString()
+    })),
+    physical_backup_data: physical.earliestHoursAgo === undefined ? physical : {
+      earliest_physical_backup_date_unix: Math.floor(hoursAgo(physical.earliestHoursAgo).getTime() / 1000),
+      latest_physical_backup_date_unix: Math.floor(hoursAgo(physical.latestHoursAgo).getTime() / 1000)
+    }
+  };
+};
+
+const createMockApi = ({
+  fixtures = loadFixtures(),
+  tokens = process.env.MOCK_TOKENS,
+  latencyMs = Number(process.env.MOCK_LATENCY_MS) || 0
+} = {}) => {
+  const allowedTokens = String(tokens || '').split(',').map(token => token.trim()).filter(Boolean);
+  let state = JSON.parse(JSON.stringify(fixtures));
+  let faults = { status: 503, count: 0, retryAfter: null, match: null };
+
+  const app = express();
+  app.use(express.json());
+
+  // Any bearer token works unless MOCK_TOKENS lists the accepted ones
+  const requireToken = (req, res, next) => {
+    const token = req.headers.authorization?.startsWith('Bearer ') ? req.headers.authorization.substring(7) : null;
+    if (!token || (allowedTokens.length > 0 && !allowedTokens.includes(token))) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+    next();
+  };
+
+  // Resolve :ref to an active project, like the real API does for project-scoped routes
+  const requireProject = (req, res, next) => {
+    const project = state.projects.find(p => p.ref === req.params.ref);
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+    if (project.status !== 'ACTIVE_HEALTHY') {
+      return res.status(400).json({ message: `Project is not active (status ${project.status})` });
+    }
+    req.project = project;
+    next();
+  };
+
+  // Fail the request if faults are queued
+  const injectFaults = (req, res, next) => {
+    if (faults.count <= 0) return next();
+    if (faults.match && !JSON.stringify(req.body || {}).includes(faults.match)) return next();
+
+    faults.count--;
+    if (faults.retryAfter !== null) res.set('Retry-After', String(faults.retryAfter));
+    res.status(faults.status).json({ message: `Injected fault (${faults.count} remaining)` });
+  };
+
+  // -------------- MOCK CONTROL --------------
+
+  app.post('/__reset', (req, res) => {
+    state = JSON.parse(JSON.stringify(fixtures));
+    faults = { status: 503, count: 0, retryAfter: null, match: null };
+    logger.log('Mock API state reset to fixtures');
+    res.status(200).json({ reset: true });
+  });
+
+  app.post('/__faults', (req, res) => {
+    const { status = 503, count = 1, retryAfter = null, match = null } = req.body || {};
+    faults = { status: Number(status), count: Number(count), retryAfter, match };
+    logger.log(`Mock API will fail the next ${faults.count} request(s) with ${faults.status}`);
+    res.status(200).json(faults);
+  });
+
+  app.get('/__state/:ref', (req, res) => {
+    const project = state.projects.find(p => p.ref === req.params.ref);
+    if (!project) return res.status(404).json({ message: 'Project not found' });
+    res.status(200).json(project);
+  });
+
+  // -------------- MANAGEMENT API --------------
+
+  const api = express.Router();
+  api.use(requireToken);
+  if (latencyMs > 0) api.use((req, res, next) => setTimeout(next, latencyMs));
+  api.use(injectFaults);
+
+  api.get('/projects', (req, res) => {
+    res.status(200).json(state.projects.map(publicProject));
+  });
+
+  api.get('/projects/:ref', (req, res) => {
+    const project = state.projects.find(p => p.ref === req.params.ref);
+    if (!project) return res.status(404).json({ message: 'Project not found' });
+    res.status(200).json(publicProject(project));
+  });
+
+  api.get('/organizations/:slug', (req, res) => {
+    const organization = (state.organizations || []).find(org => org.id === req.params.slug);
+    if (!organization) return res.status(404).json({ message: 'Organization not found' });
+    res.status(200).json(organization);
+  });
+
+  // Config endpoints read and merge-update one section of project state
+  const configRoutes = (routePath, key, methods, view = data => data) => {
+    api.get(`/projects/:ref${routePath}`, requireProject, (req, res) => {
+      res.status(200).json(view(req.project[key] || {}));
+    });
+
+    methods.forEach(method => {
+      api[method](`/projects/:ref${routePath}`, requireProject, (req, res) => {
+        req.project[key] = { ...(req.project[key] || {}), ...req.body };
+        logger.log(`Mock API updated ${key} for ${req.project.ref}: ${Object.keys(req.body).join(', ')}`);
+        res.status(200).json(view(req.project[key]));
+      });
+    });
+  };
+
+  configRoutes('/config/auth', 'auth', ['patch']);
+  configRoutes('/postgrest', 'postgrest', ['patch']);
+  configRoutes('/database/backups', 'backups', ['patch'], backupsView);
+
+  // Buying the PITR add-on turns PITR on; removing it turns it off again
+  const setPitrAddon = (project, variantId) => {
+    const addons = (project.addons?.selected_addons || []).filter(addon => addon.type !== 'pitr');
+    const variant = AVAILABLE_ADDONS[0].variants.find(v => v.id === variantId);
+    project.addons = { selected_addons: variant ? [...addons, { type: 'pitr', variant }] : addons };
+    project.backups = {
+      ...(project.backups || {}),
+      pitr_enabled: Boolean(variant),
+      physical_backup_data: variant ? { earliestHoursAgo: 0, latestHoursAgo: 0 } : {}
+    };
+    logger.log(`Mock API set the PITR add-on for ${project.ref} to ${variantId || 'none'}`);
+  };
+
+  api.get('/projects/:ref/billing/addons', requireProject, (req, res) => {
+    res.status(200).json({ selected_addons: req.project.addons?.selected_addons || [], available_addons: AVAILABLE_ADDONS });
+  });
+
+  api.patch('/projects/:ref/billing/addons', requireProject, (req, res) => {
+    const { addon_type: type, addon_variant: variantId } = req.body || {};
+    const addon = AVAILABLE_ADDONS.find(a => a.type === type);
+    if (!addon || !addon.variants.some(v => v.id === variantId)) {
+      return res.status(400).json({ message: `Unknown add-on variant ${type}/${variantId}` });
+    }
+
+    const organization = (state.organizations || []).find(org => org.id === req.project.organization_id);
+    if (organization?.plan === 'free') {
+      return res.status(400).json({ message: 'Add-ons are not available on the free plan' });
+    }
+
+    setPitrAddon(req.project, variantId);
+    res.status(200).json({});
+  });
+
+  api.delete('/projects/:ref/billing/addons/:variant', requireProject, (req, res) => {
+    const selected = (req.project.addons?.selected_addons || []).find(addon => addon.variant?.id === req.params.variant);
+    if (!selected) return res.status(404).json({ message: `Add-on ${req.params.variant} is not selected` });
+
+    setPitrAddon(req.project, null);
+    res.status(200).json({});
+  });
+
+  api.get('/projects/:ref/network-restrictions', requireProject, (req, res) => {
+    res.status(200).json(req.project.networkRestrictions || { entitlement: 'allowed', config: {}, status: 'applied' });
+  });
+
+  // Applying replaces both allow lists
+  api.post('/projects/:ref/network-restrictions/apply', requireProject, (req, res) => {
+    const { dbAllowedCidrs, dbAllowedCidrsV6 } = req.body || {};
+    const current = req.project.networkRestrictions || { entitlement: 'allowed', config: {} };
+    if (current.entitlement === 'disallowed') {
+      return res.status(400).json({ message: 'Network restrictions are not available on this plan' });
+    }
+    if (![dbAllowedCidrs, dbAllowedCidrsV6].every(list => list === undefined || Array.isArray(list))) {
+      return res.status(400).json({ message: 'dbAllowedCidrs and dbAllowedCidrsV6 must be arrays' });
+    }
+
+    req.project.networkRestrictions = {
+      ...current,
+      old_config: current.config,
+      config: { dbAllowedCidrs: dbAllowedCidrs || [], dbAllowedCidrsV6: dbAllowedCidrsV6 || [] },
+      status: 'applied'
+    };
+    logger.log(`Mock API applied network restrictions for ${req.project.ref}`);
+    res.status(201).json(req.project.networkRestrictions);
+  });
+
+  api.get('/projects/:ref/ssl-enforcement', requireProject, (req, res) => {
+    res.status(200).json(req.project.sslEnforcement || { currentConfig: { database: false }, appliedSuccessfully: true });
+  });
+
+  api.put('/projects/:ref/ssl-enforcement', requireProject, (req, res) => {
+    const database = req.body?.requestedConfig?.database;
+    if (typeof database !== 'boolean') {
+      return res.status(400).json({ message: 'requestedConfig.database must be a boolean' });
+    }
+
+    req.project.sslEnforcement = { currentConfig: { database }, appliedSuccessfully: true };
+    logger.log(`Mock API set SSL enforcement for ${req.project.ref} to ${database}`);
+    res.status(200).json(req.project.sslEnforcement);
+  });
+
+  api.post('/projects/:ref/database/query', requireProject, (req, res) => {
+    const { query } = req.body || {};
+    if (typeof query !== 'string' || !query.trim()) {
+      return res.status(400).json({ message: 'query is required' });
+    }
+
+    try {
+      res.status(201).json(executeSql(req.project.db, query));
+    } catch (error) {
+      if (error instanceof SqlError) {
+        return res.status(400).json({ message: error.message });
+      }
+      logger.error(`Mock API query failed: ${error.message}`, error);
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  app.use('/v1', api);
+
+  app.use((req, res) => {
+    res.status(404).json({ message: `The mock API does not implement ${req.method} ${req.path}` });
+  });
+
+  return app;
+};
+
+if (require.main === module) {
+  const PORT = process.env.MOCK_PORT || 4010;
+  createMockApi().listen(PORT, () => {
+    logger.log(`Mock Supabase Management API running at http://localhost:${PORT}/v1`);
+  });
+}
+
+module.exports = { createMockApi, loadFixtures };
@@ -0,0 +1,508 @@
+// Just enough SQL for the mock Management API to answer the queries the checks send
+// and apply the statements the fixes run. It works on a project's `db` fixture:
+//
+//   tables:   [{ schema, name, kind, rlsEnabled, columns: [{ name, type, referencesAuthUsers }], grants? }]
+//             (grants: { anon: [privilege], authenticated: [privilege] }, every privilege by default)
+//   policies: [{ schema, table, name, permissive, roles, command, using, withCheck }]
+//   views:    [{ schema, name, kind, securityInvoker, clientReadable, dependsOn: ['schema.table'] }]
+//   users:    [{ id, email, role, appMetadata, lastSignInAt, createdAt, factors: [{ id, type, status }] }]
+//             (hasMfa: true stands in for a single verified TOTP factor)
+//   replicationSlots: [{ name, type, active, retainedWalBytes }]
+//   buckets:  [{ id, name, public, fileSizeLimit, allowedMimeTypes }]
+//   functions: [{ schema, name, arguments, owner, securityDefiner, config: ['search_path=...'], clientExecutable }]
+//   roles:    [{ name, superuser, bypassRls, canLogin, memberOf: [role] }] (added to the platform's own roles)
+//             (policies on storage.objects use schema "storage" and table "objects")
+
+// What the platform grants client roles on new tables
+const DEFAULT_TABLE_PRIVILEGES = ['DELETE', 'INSERT', 'REFERENCES', 'SELECT', 'TRIGGER', 'TRUNCATE', 'UPDATE'];
+
+// Roles every project has
+const PLATFORM_ROLES = [
+  { name: 'anon' },
+  { name: 'authenticated' },
+  { name: 'authenticator', canLogin: true, memberOf: ['anon', 'authenticated', 'service_role'] },
+  { name: 'service_role', bypassRls: true },
+  { name: 'postgres', bypassRls: true, canLogin: true },
+  { name: 'supabase_admin', superuser: true, bypassRls: true, canLogin: true },
+  { name: 'supabase_auth_admin', canLogin: true },
+  { name: 'supabase_storage_admin', canLogin: true }
+];
+
+const RELKINDS = {
+  table: 'r',
+  partitioned_table: 'p',
+  view: 'v',
+  materialized_view: 'm'
+};
+
+// Errors carry the Postgres SQLSTATE, like the real endpoint's error messages
+class SqlError extends Error {
+  constructor(code, message) {
+    super(`ERROR: ${code}: ${message}`);
+    this.code = code;
+  }
+}
+
+const unquote = (identifier) => identifier.startsWith('"')
+  ? identifier.slice(1, -1).replace(/""/g, '"')
+  : identifier.toLowerCase();
+
+const IDENTIFIER = '(?:"(?:[^"]|"")+"|[A-Za-z_][\\w$]*)';
+const QUALIFIED_NAME = `(${IDENTIFIER})(?:\\.(${IDENTIFIER}))?`;
+
+// schema.name or just name (public)
+const parseQualifiedName = (first, second) => second
+  ? { schema: unquote(first), name: unquote(second) }
+  : { schema: 'public', name: unquote(first) };
+
+// Split on semicolons outside quotes, parentheses and dollar-quoted bodies
+const splitStatements = (sql) => {
+  const statements = [];
+  let current = '';
+  let quote = null;
+  let depth = 0;
+
+  for (let i = 0; i < sql.length; i++) {
+    const char = sql[i];
+
+    if (quote) {
+      if (sql.startsWith(quote, i)) {
+        current += quote;
+        i += quote.length - 1;
+        quote = null;
+        continue;
+      }
+    } else if (char === "'" || char === '"') {
+      quote = char;
+    } else if (sql.startsWith('$$', i)) {
+      quote = '$$';
+      current += '$';
+      i += 1;
+    } else if (char === '(') {
+      depth += 1;
+    } else if (char === ')') {
+      depth -= 1;
+    } else if (char === ';' && depth === 0) {
+      if (current.trim()) statements.push(current.trim());
+      current = '';
+      continue;
+    }
+
+    current += char;
+  }
+
+  if (current.trim()) statements.push(current.trim());
+  return statements;
+};
+
+// Text inside the parentheses that open at `start`
+const balancedParens = (text, start) => {
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === '(') depth += 1;
+    if (text[i] === ')') depth -= 1;
+    if (depth === 0) return text.slice(start + 1, i);
+  }
+  throw new SqlError('42601', 'syntax error: unbalanced parentheses');
+};
+
+const clauseExpression = (statement, keyword) => {
+  const match = new RegExp(`\\b${keyword}\\s*\\(`, 'i').exec(statement);
+  return match ? balancedParens(statement, match.index + match[0].length - 1).trim() : null;
+};
+
+// Literals from `<column> IN ('a', 'b')`
+const literalList = (query, column) => {
+  const match = new RegExp(`${column}\\s+IN\\s*\\(([^)]*)\\)`, 'i').exec(query);
+  if (!match) return null;
+  return Array.from(match[1].matchAll(/'((?:[^']|'')*)'/g)).map(m => m[1].replace(/''/g, "'"));
+};
+
+// Pairs from `(schema, table) IN (('a', 'b'), ...)`
+const literalPairs = (query) => Array.from(query.matchAll(/\(\s*'((?:[^']|'')*)'\s*,\s*'((?:[^']|'')*)'\s*\)/g))
+  .map(m => ({ schema: m[1].replace(/''/g, "'"), name: m[2].replace(/''/g, "'") }));
+
+const findRelation = (list, { schema, name }, label = 'relation') => {
+  const relation = list.find(item => item.schema === schema && item.name === name);
+  if (!relation) throw new SqlError('42P01', `${label} "${schema}.${name}" does not exist`);
+  return relation;
+};
+
+const roleArray = (roles) => `{${roles.join(',')}}`;
+
+// Roles a role belongs to, directly or through other roles
+const memberships = (roles, role, seen = new Set()) => (role.memberOf || [])
+  .filter(name => !seen.has(name) && seen.add(name))
+  .flatMap(name => {
+    const parent = roles.find(r => r.name === name);
+    return parent ? [parent, ...memberships(roles, parent, seen)] : [];
+  });
+
+// -------------- QUERIES --------------
+
+// Each handler answers one query the checks send, recognized by what it selects
+const queryHandlers = [
+  {
+    name: 'relation_state',
+    matches: query => /relrowsecurity\s+AS\s+row_security/i.test(query),
+    run: (db, query) => {
+      const wanted = literalPairs(query.slice(query.search(/relname\)\s*IN\s*\(/i)));
+      return [...db.tables, ...db.views]
+        .filter(relation => wanted.some(w => w.schema === relation.schema && w.name === relation.name))
+        .map(relation => ({
+          schemaname: relation.schema,
+          relname: relation.name,
+          relkind: RELKINDS[relation.kind],
+          row_security: Boolean(relation.rlsEnabled),
+          security_invoker: Boolean(relation.securityInvoker),
+          anon_select: relation.clientReadable !== false,
+          authenticated_select: relation.clientReadable !== false,
+          policies: roleArray(db.policies
+            .filter(p => p.schema === relation.schema && p.table === relation.name)
+            .map(p => p.name)
+            .sort())
+        }));
+    }
+  },
+  {
+    name: 'replication_slots',
+    matches: query => /from\s+pg_catalog\.pg_replication_slots/i.test(query),
+    run: (db, query) => {
+      const names = literalList(query, 'slot_name') || [/slot_name\s*=\s*'((?:[^']|'')*)'/i.exec(query)?.[1]].filter(Boolean);
+      return (db.replicationSlots || [])
+        .filter(slot => names.length === 0 || names.includes(slot.name))
+        .map(slot => ({
+          slot_name: slot.name,
+          slot_type: slot.type || 'physical',
+          active: Boolean(slot.active),
+          retained_wal_bytes: slot.retainedWalBytes ?? 0
+        }));
+    }
+  },
+  {
+    name: 'role_table_grants',
+    matches: query => /information_schema\.role_table_grants/i.test(query),
+    run: (db, query) => {
+      const schemas = literalList(query, 'table_schema');
+      const grantees = literalList(query, 'grantee') || ['anon', 'authenticated'];
+      const viewGrants = view => view.clientReadable === false ? {} : { anon: ['SELECT'], authenticated: ['SELECT'] };
+      const defaultGrants = { anon: DEFAULT_TABLE_PRIVILEGES, authenticated: DEFAULT_TABLE_PRIVILEGES };
+
+      return [
+        ...db.tables.map(table => ({ relation: table, grants: table.grants || defaultGrants })),
+        ...db.views.map(view => ({ relation: view, grants: view.grants || viewGrants(view) }))
+      ]
+        .filter(({ relation }) => !schemas || schemas.includes(relation.schema))
+        .flatMap(({ relation, grants }) => grantees
+          .filter(grantee => (grants[grantee] || []).length > 0)
+          .map(grantee => ({
+            table_schema: relation.schema,
+            table_name: relation.name,
+            grantee,
+            relkind: RELKINDS[relation.kind],
+            rls_enabled: Boolean(relation.rlsEnabled),
+            privileges: `{${grants[grantee].join(',')}}`
+          })));
+    }
+  },
+  {
+    name: 'security_definer_functions',
+    matches: query => /\bprosecdef\b/i.test(query),
+    run: (db, query) => {
+      const schemas = literalList(query, 'nspname');
+      return (db.functions || [])
+        .filter(fn => fn.securityDefiner !== false && (!schemas || schemas.includes(fn.schema)))
+        .map(fn => ({
+          schemaname: fn.schema,
+          proname: fn.name,
+          arguments: fn.arguments || '',
+          owner: fn.owner || 'postgres',
+          proconfig: fn.config && fn.config.length > 0 ? `{${fn.config.map(setting => `"${setting}"`).join(',')}}` : null,
+          anon_execute: (fn.clientExecutable || []).includes('anon'),
+          authenticated_execute: (fn.clientExecutable || []).includes('authenticated')
+        }));
+    }
+  },
+  {
+    name: 'roles',
+    matches: query => /\brolbypassrls\b/i.test(query),
+    run: db => {
+      const roles = [...PLATFORM_ROLES, ...(db.roles || [])];
+      return roles.map(role => ({
+        rolname: role.name,
+        rolsuper: Boolean(role.superuser),
+        rolbypassrls: Boolean(role.bypassRls),
+        rolcanlogin: Boolean(role.canLogin),
+        privileged_memberships: roleArray(memberships(roles, role)
+          .filter(parent => parent.superuser || parent.bypassRls)
+          .map(parent => parent.name)
+          .sort())
+      }));
+    }
+  },
+  {
+    name: 'storage_buckets',
+    matches: query => /from\s+storage\.buckets/i.test(query),
+    run: (db, query) => {
+      const ids = literalList(query, 'id');
+      return (db.buckets || [])
+        .filter(bucket => !ids || ids.includes(bucket.id))
+        .map(bucket => ({
+          id: bucket.id,
+          name: bucket.name || bucket.id,
+          public: Boolean(bucket.public),
+          file_size_limit: bucket.fileSizeLimit ?? null,
+          allowed_mime_types: bucket.allowedMimeTypes ?? null
+        }));
+    }
+  },
+  {
+    name: 'mfa_users',
+    matches: query => /auth\.mfa_factors/i.test(query),
+    run: db => db.users.map(user => ({
+      id: user.id,
+      email: user.email,
+      role: user.role || 'authenticated',
+      app_metadata: user.appMetadata || { provider: 'email', providers: ['email'] },
+      last_sign_in_at: user.lastSignInAt || null,
+      created_at: user.createdAt || '2025-01-15T10:00:00.000Z',
+      factors: (user.factors || (user.hasMfa ? [{ id: `${user.id}-totp`, type: 'totp', status: 'verified' }] : []))
+        .map(factor => ({
+          id: factor.id,
+          type: factor.type,
+          status: factor.status,
+          friendly_name: factor.friendlyName || null,
+          created_at: factor.createdAt || null
+        }))
+    }))
+  },
+  {
+    name: 'table_columns',
+    matches: query => /references_auth_users/i.test(query),
+    run: (db, query) => {
+      const wanted = literalPairs(query.slice(query.search(/\)\s*IN\s*\(/i)));
+      return db.tables
+        .filter(table => wanted.some(w => w.schema === table.schema && w.name === table.name))
+        .flatMap(table => table.columns.map(column => ({
+          schemaname: table.schema,
+          tablename: table.name,
+          column_name: column.name,
+          data_type: column.type,
+          references_auth_users: Boolean(column.referencesAuthUsers)
+        })));
+    }
+  },
+  {
+    name: 'policies',
+    matches: query => /from\s+pg_catalog\.pg_policies/i.test(query) && /policyname/i.test(query),
+    run: (db, query) => {
+      const schemas = literalList(query, 'schemaname');
+      return db.policies
+        .filter(policy => !schemas || schemas.includes(policy.schema))
+        .map(policy => ({
+          schemaname: policy.schema,
+          tablename: policy.table,
+          policyname: policy.name,
+          permissive: policy.permissive === false ? 'RESTRICTIVE' : 'PERMISSIVE',
+          roles: roleArray(policy.roles),
+          cmd: policy.command,
+          qual: policy.using,
+          with_check: policy.withCheck
+        }));
+    }
+  },
+  {
+    name: 'views',
+    matches: query => /pg_rewrite/i.test(query),
+    run: (db, query) => {
+      const schemas = literalList(query, 'nspname');
+      return db.views
+        .filter(view => !schemas || schemas.includes(view.schema))
+        .map(view => ({
+          view,
+          protectedTables: view.dependsOn.filter(id => db.tables.some(t => `${t.schema}.${t.name}` === id && t.rlsEnabled))
+        }))
+        .filter(({ protectedTables }) => protectedTables.length > 0)
+        .map(({ view, protectedTables }) => ({
+          schemaname: view.schema,
+          viewname: view.name,
+          relkind: RELKINDS[view.kind],
+          security_invoker: Boolean(view.securityInvoker),
+          client_readable: view.clientReadable !== false,
+          protected_tables: `{${protectedTables.join(',')}}`
+        }));
+    }
+  },
+  {
+    name: 'tables',
+    matches: query => /relrowsecurity\s+AS\s+rls_enabled/i.test(query),
+    run: (db, query) => {
+      const schemas = literalList(query, 'nspname');
+      return db.tables
+        .filter(table => !schemas || schemas.includes(table.schema))
+        .map(table => ({
+          schemaname: table.schema,
+          tablename: table.name,
+          relkind: RELKINDS[table.kind],
+          tableowner: table.owner || 'postgres',
+          has_policies: db.policies.some(p => p.schema === table.schema && p.table === table.name),
+          rls_enabled: Boolean(table.rlsEnabled)
+        }));
+    }
+  }
+];
+
+// -------------- STATEMENTS --------------
+
+// Each handler applies one kind of statement the fixes run
+const statementHandlers = [
+  {
+    pattern: /^(BEGIN|START TRANSACTION|COMMIT|END)\b/i,
+    run: () => []
+  },
+  {
+    pattern: new RegExp(`^ALTER\\s+TABLE\\s+(?:IF\\s+EXISTS\\s+)?${QUALIFIED_NAME}\\s+(ENABLE|DISABLE|FORCE|NO\\s+FORCE)\\s+ROW\\s+LEVEL\\s+SECURITY$`, 'i'),
+    run: (db, [, first, second, action]) => {
+      const table = findRelation(db.tables, parseQualifiedName(first, second));
+      if (/^enable$/i.test(action)) table.rlsEnabled = true;
+      if (/^disable$/i.test(action)) table.rlsEnabled = false;
+      return [];
+    }
+  },
+  {
+    pattern: new RegExp(`^CREATE\\s+POLICY\\s+(${IDENTIFIER})\\s+ON\\s+${QUALIFIED_NAME}([\\s\\S]*)$`, 'i'),
+    run: (db, [statement, policyName, first, second, rest]) => {
+      const target = parseQualifiedName(first, second);
+      findRelation(db.tables, target);
+
+      const name = unquote(policyName);
+      if (db.policies.some(p => p.schema === target.schema && p.table === target.name && p.name === name)) {
+        throw new SqlError('42710', `policy "${name}" for table "${target.name}" already exists`);
+      }
+
+      const as = /\bAS\s+(PERMISSIVE|RESTRICTIVE)\b/i.exec(rest);
+      const command = /\bFOR\s+(ALL|SELECT|INSERT|UPDATE|DELETE)\b/i.exec(rest);
+      const roles = /\bTO\s+([\s\S]+?)(?=\s+USING\b|\s+WITH\s+CHECK\b|$)/i.exec(rest);
+
+      db.policies.push({
+        schema: target.schema,
+        table: target.name,
+        name,
+        permissive: !as || as[1].toUpperCase() === 'PERMISSIVE',
+        roles: roles ? roles[1].split(',').map(role => unquote(role.trim())) : ['public'],
+        command: command ? command[1].toUpperCase() : 'ALL',
+        using: clauseExpression(statement, 'USING'),
+        withCheck: clauseExpression(statement, 'WITH\\s+CHECK')
+      });
+      return [];
+    }
+  },
+  {
+    pattern: new RegExp(`^DROP\\s+POLICY\\s+(IF\\s+EXISTS\\s+)?(${IDENTIFIER})\\s+ON\\s+${QUALIFIED_NAME}$`, 'i'),
+    run: (db, [, ifExists, policyName, first, second]) => {
+      const target = parseQualifiedName(first, second);
+      const name = unquote(policyName);
+      const index = db.policies.findIndex(p => p.schema === target.schema && p.table === target.name && p.name === name);
+
+      if (index === -1 && !ifExists) {
+        throw new SqlError('42704', `policy "${name}" for table "${target.name}" does not exist`);
+      }
+      if (index !== -1) db.policies.splice(index, 1);
+      return [];
+    }
+  },
+  {
+    pattern: new RegExp(`^ALTER\\s+VIEW\\s+(?:IF\\s+EXISTS\\s+)?${QUALIFIED_NAME}\\s+SET\\s*\\(\\s*security_invoker\\s*=\\s*(\\w+)\\s*\\)$`, 'i'),
+    run: (db, [, first, second, value]) => {
+      const view = findRelation(db.views.filter(v => v.kind === 'view'), parseQualifiedName(first, second), 'view');
+      view.securityInvoker = ['true', 'on', '1'].includes(value.toLowerCase());
+      return [];
+    }
+  },
+  {
+    pattern: new RegExp(`^(GRANT|REVOKE)\\s+SELECT\\s+ON\\s+(?:TABLE\\s+)?${QUALIFIED_NAME}\\s+(?:TO|FROM)\\s+([\\s\\S]+)$`, 'i'),
+    run: (db, [, action, first, second, roles]) => {
+      const target = parseQualifiedName(first, second);
+      const relation = db.views.find(v => v.schema === target.schema && v.name === target.name) ||
+        findRelation(db.tables, target);
+      const clientRoles = roles.split(',').map(role => unquote(role.trim()));
+
+      if (clientRoles.some(role => ['anon', 'authenticated', 'public'].includes(role))) {
+        relation.clientReadable = action.toUpperCase() === 'GRANT';
+      }
+      return [];
+    }
+  },
+  {
+    pattern: /^UPDATE\s+storage\.buckets\s+SET\s+([\s\S]+?)\s+WHERE\s+id\s*=\s*'((?:[^']|'')*)'$/i,
+    run: (db, [, assignments, bucketId]) => {
+      const id = bucketId.replace(/''/g, "'");
+      const bucket = (db.buckets || []).find(b => b.id === id);
+      if (!bucket) return [];
+
+      const visibility = /\bpublic\s*=\s*(true|false)\b/i.exec(assignments);
+      const sizeLimit = /\bfile_size_limit\s*=\s*(NULL|\d+)/i.exec(assignments);
+      const mimeTypes = /\ballowed_mime_types\s*=\s*(NULL|ARRAY\[([^\]]*)\])/i.exec(assignments);
+
+      if (visibility) bucket.public = visibility[1].toLowerCase() === 'true';
+      if (sizeLimit) bucket.fileSizeLimit = /^null$/i.test(sizeLimit[1]) ? null : Number(sizeLimit[1]);
+      if (mimeTypes) {
+        bucket.allowedMimeTypes = /^null$/i.test(mimeTypes[1])
+          ? null
+          : Array.from(mimeTypes[2].matchAll(/'((?:[^']|'')*)'/g)).map(m => m[1].replace(/''/g, "'"));
+      }
+      return [];
+    }
+  },
+  {
+    // Supabase doesn't let the API role manage replication
+    pattern: /pg_create_physical_replication_slot/i,
+    run: () => {
+      throw new SqlError('42501', 'permission denied to create physical replication slot');
+    }
+  },
+  {
+    pattern: /^SELECT\s+pg_drop_replication_slot\(\s*'((?:[^']|'')*)'\s*\)$/i,
+    run: (db, [, slotName]) => {
+      const name = slotName.replace(/''/g, "'");
+      const slots = db.replicationSlots || [];
+      if (!slots.some(slot => slot.name === name)) {
+        throw new SqlError('42704', `replication slot "${name}" does not exist`);
+      }
+      db.replicationSlots = slots.filter(slot => slot.name !== name);
+      return [];
+    }
+  }
+];
+
+// Run a query against a project's database fixture. The whole query is applied
+// atomically, like a single implicit transaction, and the last statement's rows are returned.
+const executeSql = (database, query) => {
+  const working = JSON.parse(JSON.stringify(database));
+  let rows = [];
+
+  splitStatements(query).forEach(statement => {
+    const handler = statementHandlers.find(h => h.pattern.test(statement));
+    if (handler) {
+      rows = handler.run(working, handler.pattern.exec(statement));
+      return;
+    }
+
+    if (/^(SELECT|WITH)\b/i.test(statement)) {
+      const queryHandler = queryHandlers.find(h => h.matches(statement));
+      rows = queryHandler ? queryHandler.run(working, statement) : [];
+      return;
+    }
+
+    throw new SqlError('0A000', `the mock API does not support this statement: ${statement.slice(0, 80)}`);
+  });
+
+  Object.assign(database, working);
+  return rows;
+};
+
+module.exports = {
+  SqlError,
+  splitStatements,
+  executeSql
+};
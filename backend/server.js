@@ -1,41 +1,49 @@
 const express = require('express');
-const axios = require('axios');
 const cors = require('cors');
-const fs = require('fs').promises;
-const path = require('path');
-
-// Enhanced logger
-const logger = {
-  log: (message) => {
-    console.log(`[INFO] ${new Date().toISOString()} - ${message}`);
-  },
-  warn: (message) => {
-    console.warn(`[WARN] ${new Date().toISOString()} - ${message}`);
-  },
-  error: (message, error = null) => {
-    console.error(`[ERROR] ${new Date().toISOString()} - ${message}`);
-    if (error) {
-      console.error(error);
-    }
-  }
-};
-
-// Setup evidence directory
-const EVIDENCE_DIR = path.join(__dirname, 'evidence');
-
-// Ensure evidence directory exists
-const ensureEvidenceDir = async () => {
-  try {
-    await fs.mkdir(EVIDENCE_DIR, { recursive: true });
-    logger.log(`Evidence directory ensured at ${EVIDENCE_DIR}`);
-  } catch (error) {
-    logger.error(`Failed to create evidence directory: ${error.message}`, error);
-  }
-};
+const logger = require('./lib/logger');
+const { getManagementApiUrl, managementApi, isValidProjectRef, apiErrorFields } = require('./lib/managementApi');
+const {
+  ensureEvidenceDir,
+  logEvidence,
+  verifyEvidenceChain
+} = require('./lib/evidence');
+const { getScan, listScans, diffScans } = require('./lib/scans');
+const { getChecks, fixOptionName, loadCustomChecks } = require('./checks');
+const { runComplianceScan, runOrganizationScan } = require('./checks/scan');
+const { runComplianceFix } = require('./checks/fix');
+const { runRollback } = require('./checks/rollback');
+const { isValidFixId, getSnapshot, listSnapshots } = require('./lib/snapshots');
+const { trackProgress } = require('./lib/progress');
+const {
+  isFinished,
+  createFixJob,
+  getJob,
+  getJobSteps,
+  listJobs,
+  cancelJob,
+  subscribeToJob,
+  startJobRunner
+} = require('./lib/jobs');
+const { openEventStream } = require('./lib/sse');
+const { isValidCron, nextRun } = require('./lib/cron');
+const { getPublicKey } = require('./lib/signing');
+const { parseDateBound } = require('./lib/dates');
+const { buildEvidencePackage } = require('./lib/evidenceExport');
+const { parseEvidenceQuery, queryEvidenceLogs } = require('./lib/evidenceQuery');
+const {
+  listSchedules,
+  getSchedule,
+  upsertSchedule,
+  deleteSchedule,
+  startScheduler
+} = require('./lib/scheduler');
 
 // Initialize
 ensureEvidenceDir();
 
+// Load additional checks without touching the built-in ones
+loadCustomChecks(process.env.CUSTOM_CHECKS_DIR);
+
 const app = express();
 const PORT = process.env.PORT || 3001;
 
@@ -43,93 +51,6 @@ const PORT = process.env.PORT || 3001;
 app.use(cors());
 app.use(express.json());
 
-// Evidence logs storage (in-memory and file-based)
-let evidenceLogs = [];
-
-// Log evidence with enhanced detail and file storage
-const logEvidence = async (action, status, details, projectRef = null) => {
-  const timestamp = new Date().toISOString();
-  
-  // Create structured log entry
-  const log = {
-    id: `${Date.now()}-${Math.floor(Math.random() * 10000)}`,
-    timestamp,
-    action,
-    status,
-    details,
-    projectRef
-  };
-  
-  // Add to in-memory storage
-  evidenceLogs.push(log);
-  
-  // Log to console
-  logger.log(`Evidence logged: ${action} - ${status}`);
-  
-  // Save to file system
-  try {
-    // Create project-specific directory if provided
-    if (projectRef) {
-      const projectDir = path.join(EVIDENCE_DIR, projectRef);
-      await fs.mkdir(projectDir, { recursive: true });
-      
-      // Save to project-specific log
-      const projectLogPath = path.join(projectDir, `${action}_${timestamp.replace(/:/g, '-')}.json`);
-      await fs.writeFile(projectLogPath, JSON.stringify(log, null, 2));
-    }
-    
-    // Save to main evidence log
-    const mainLogPath = path.join(EVIDENCE_DIR, 'evidence_log.json');
-    let mainLog = [];
-    
-    try {
-      const existingLog = await fs.readFile(mainLogPath, 'utf8');
-      mainLog = JSON.parse(existingLog);
-    } catch (readError) {
-      // File doesn't exist yet or is corrupted, start with empty array
-      logger.warn(`No existing evidence log found or error reading it: ${readError.message}`);
-    }
-    
-    mainLog.push(log);
-    await fs.writeFile(mainLogPath, JSON.stringify(mainLog, null, 2));
-    
-    return log.id;
-  } catch (error) {
-    logger.error(`Failed to save evidence log: ${error.message}`, error);
-    return null;
-  }
-};
-
-// Get project logs from in-memory storage
-const getProjectLogs = (projectRef) => evidenceLogs.filter(log => log.projectRef === projectRef);
-
-// Get project logs from file system
-const getProjectLogsFromFiles = async (projectRef) => {
-  try {
-    const projectDir = path.join(EVIDENCE_DIR, projectRef);
-    
-    try {
-      await fs.access(projectDir);
-    } catch {
-      // Directory doesn't exist, return empty array
-      return [];
-    }
-    
-    const files = await fs.readdir(projectDir);
-    const jsonFiles = files.filter(file => file.endsWith('.json'));
-    
-    const logs = await Promise.all(jsonFiles.map(async (file) => {
-      const content = await fs.readFile(path.join(projectDir, file), 'utf8');
-      return JSON.parse(content);
-    }));
-    
-    return logs.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-  } catch (error) {
-    logger.error(`Failed to retrieve project logs from files: ${error.message}`, error);
-    return [];
-  }
-};
-
 // Token middleware with detailed logging
 const validateToken = (req, res, next) => {
   // Check multiple sources for token
@@ -165,64 +86,45 @@ const validateToken = (req, res, next) => {
   next();
 };
 
-// Execute SQL query with detailed logging
-const executeQuery = async (projectRef, token, query, queryName = 'unnamed_query') => {
-  try {
-    // Log query execution attempt
-    const queryLogId = await logEvidence('sql_query_attempt', 'info', {
-      projectRef,
-      queryName,
-      query: query.length > 1000 ? `${query.substring(0, 1000)}...` : query,
-      timestamp: new Date().toISOString()
-    }, projectRef);
-    
-    const response = await axios.post(
-      `https://api.supabase.com/v1/projects/${projectRef}/database/query`,
-      { query },
-      {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-    
-    // Handle different response formats
-    let results = [];
-    if (response.data && Array.isArray(response.data)) {
-      results = response.data.length > 0 && Array.isArray(response.data[0]) ? 
-                response.data[0] : 
-                response.data;
-    }
-    
-    // Log successful query
-    await logEvidence('sql_query_success', 'success', {
-      projectRef,
-      queryName,
-      query: query.length > 1000 ? `${query.substring(0, 1000)}...` : query,
-      resultCount: results.length,
-      queryLogId,
-      timestamp: new Date().toISOString()
-    }, projectRef);
-    
-    return results;
-  } catch (error) {
-    // Log query failure with detailed error
-    await logEvidence('sql_query_failure', 'error', {
-      projectRef,
-      queryName,
-      query: query.length > 1000 ? `${query.substring(0, 1000)}...` : query,
-      error: error.message,
-      errorCode: error.response?.status,
-      errorDetails: error.response?.data,
-      timestamp: new Date().toISOString()
-    }, projectRef);
-    
-    logger.error(`SQL execution error for ${queryName}: ${error.message}`, error);
-    throw error;
-  }
+// Projects the token can see through the Management API
+const tokenProjectRefs = async (token) => {
+  const response = await managementApi.get(token, '/projects');
+  return new Set((response.data || []).map(project => project.ref));
+};
+
+const tokenHasProject = async (token, projectRef) => (await tokenProjectRefs(token)).has(projectRef);
+
+// Stored jobs, scans, snapshots and schedules are only served for projects the token can access.
+// Returns true if a 403 was sent.
+const denyProjectAccess = async (req, res, projectRef) => {
+  if (await tokenHasProject(req.token, projectRef)) return false;
+  
+  await logEvidence('project_access_denied', 'warning', {
+    projectRef,
+    endpoint: req.originalUrl,
+    method: req.method,
+    ip: req.ip,
+    timestamp: new Date().toISOString()
+  }, projectRef);
+  
+  res.status(403).json({ 
+    error: 'This token does not have access to the project',
+    timestamp: new Date().toISOString()
+  });
+  return true;
 };
 
+// Project refs name directories for scans, snapshots and evidence, so anything else is rejected up front
+app.param('projectRef', (req, res, next, projectRef) => {
+  if (isValidProjectRef(projectRef)) return next();
+  
+  res.status(400).json({ 
+    error: 'Invalid project ref',
+    details: 'A project ref is 20 lowercase letters and digits',
+    timestamp: new Date().toISOString()
+  });
+});
+
 // -------------- API ROUTES --------------
 
 // Health check endpoint
@@ -261,12 +163,7 @@ app.post('/api/auth/validate', async (req, res) => {
         timestamp: new Date().toISOString()
       });
       
-      const response = await axios.get('https://api.supabase.com/v1/projects', {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
-      });
+      const response = await managementApi.get(token, '/projects');
       
       // Extract project information
       const projects = response.data;
@@ -286,17 +183,18 @@ app.post('/api/auth/validate', async (req, res) => {
         timestamp: new Date().toISOString()
       });
     } catch (error) {
+      // Only a rejected token is invalid; rate limits and outages are reported as such
+      const rejected = ['unauthorized', 'forbidden'].includes(error.kind);
+
       // Log validation failure with error details
       await logEvidence('token_validation', 'failure', { 
-        message: 'Invalid token',
-        error: error.message,
-        errorStatus: error.response?.status,
-        errorDetails: error.response?.data,
+        message: rejected ? 'Invalid token' : 'Could not reach the Supabase Management API',
+        ...apiErrorFields(error),
         timestamp: new Date().toISOString()
       });
       
-      return res.status(401).json({ 
-        error: 'Invalid Supabase token',
+      return res.status(rejected ? 401 : (error.kind === 'rate_limited' ? 429 : 502)).json({ 
+        error: rejected ? 'Invalid Supabase token' : 'Supabase Management API unavailable',
         details: error.message,
         timestamp: new Date().toISOString()
       });
@@ -329,12 +227,7 @@ app.get('/api/projects', validateToken, async (req, res) => {
       timestamp: new Date().toISOString()
     });
     
-    const response = await axios.get('https://api.supabase.com/v1/projects', {
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      }
-    });
+    const response = await managementApi.get(token, '/projects');
     
     // Log successful project retrieval
     await logEvidence('projects_retrieved', 'success', {
@@ -353,9 +246,7 @@ app.get('/api/projects', validateToken, async (req, res) => {
     
     // Log project retrieval failure
     await logEvidence('projects_retrieval_failure', 'error', {
-      error: error.message,
-      errorStatus: error.response?.status,
-      errorDetails: error.response?.data,
+      ...apiErrorFields(error),
       timestamp: new Date().toISOString()
     });
     
@@ -373,338 +264,11 @@ app.get('/api/compliance/check/:projectRef', validateToken, async (req, res) =>
     const { projectRef } = req.params;
     const { token } = req;
     
-    logger.log(`Starting compliance check for project: ${projectRef}`);
-    
-    // Log compliance check initiation
-    const checkId = await logEvidence('compliance_check_initiated', 'info', {
-      projectRef,
-      ip: req.ip,
-      timestamp: new Date().toISOString()
-    }, projectRef);
-    
-    // Run checks in parallel for efficiency
-    const [mfaResult, rlsResult, pitrResult] = await Promise.all([
-      // MFA check
-      (async () => {
-        try {
-          // Log MFA check start
-          const mfaCheckId = await logEvidence('mfa_check_started', 'info', {
-            projectRef,
-            parentCheckId: checkId,
-            timestamp: new Date().toISOString()
-          }, projectRef);
-          
-          // Get auth config
-          const authConfigUrl = `https://api.supabase.com/v1/projects/${projectRef}/config/auth`;
-          const settingsResponse = await axios.get(authConfigUrl, {
-            headers: {
-              'Authorization': `Bearer ${token}`,
-              'Content-Type': 'application/json'
-            }
-          });
-          
-          const authConfig = settingsResponse.data;
-          
-          // Determine MFA status
-          const mfaEnabled = authConfig && (
-            (authConfig.sms_provider && authConfig.sms_provider !== 'NONE') || 
-            authConfig.mfa_enabled || 
-            authConfig.external_mfa_enabled
-          );
-          
-          // Log auth config retrieved
-          await logEvidence('auth_config_retrieved', 'info', {
-            projectRef,
-            mfaCheckId,
-            config: {
-              ...authConfig,
-              // Mask any sensitive fields that might be present
-              sms_provider_auth_token: authConfig.sms_provider_auth_token ? '[REDACTED]' : undefined,
-              smtp_pass: authConfig.smtp_pass ? '[REDACTED]' : undefined,
-              secure_email_change_token: authConfig.secure_email_change_token ? '[REDACTED]' : undefined
-            },
-            mfaEnabled,
-            timestamp: new Date().toISOString()
-          }, projectRef);
-          
-          // Get users using SQL query
-          const query = `
-            SELECT 
-              id, 
-              email, 
-              (
-                SELECT count(*) > 0 
-                FROM auth.mfa_factors 
-                WHERE user_id = u.id
-              ) as has_mfa
-            FROM auth.users u;
-          `;
-          
-          let users = [];
-          try {
-            const result = await executeQuery(projectRef, token, query, 'mfa_user_query');
-            
-            users = result.map(user => ({
-              id: user.id,
-              email: user.email,
-              hasMFA: user.has_mfa,
-              status: user.has_mfa ? 'pass' : 'fail'
-            }));
-            
-            // Log user MFA status
-            await logEvidence('user_mfa_status', 'info', {
-              projectRef,
-              mfaCheckId,
-              userCount: users.length,
-              usersWithMfa: users.filter(u => u.hasMFA).length,
-              usersWithoutMfa: users.filter(u => !u.hasMFA).length,
-              timestamp: new Date().toISOString()
-            }, projectRef);
-          } catch (userError) {
-            logger.warn('Error fetching users with SQL:', userError.message);
-            
-            // Log MFA user query failure
-            await logEvidence('mfa_user_query_failure', 'warning', {
-              projectRef,
-              mfaCheckId,
-              error: userError.message,
-              timestamp: new Date().toISOString()
-            }, projectRef);
-          }
-          
-          // Prepare summary
-          const summary = {
-            total: users.length,
-            passing: users.filter(u => u.status === 'pass').length,
-            failing: users.filter(u => u.status === 'fail').length
-          };
-          
-          // Log MFA check completion
-          await logEvidence('mfa_check_completed', 'info', {
-            projectRef,
-            mfaCheckId,
-            mfaEnabledGlobally: mfaEnabled,
-            summary,
-            timestamp: new Date().toISOString()
-          }, projectRef);
-          
-          return {
-            mfaEnabledGlobally: mfaEnabled,
-            users,
-            summary,
-            checkId: mfaCheckId
-          };
-        } catch (err) {
-          logger.error('Error in MFA check:', err.message);
-          
-          // Log MFA check failure
-          await logEvidence('mfa_check_failed', 'error', {
-            projectRef,
-            parentCheckId: checkId,
-            error: err.message,
-            errorDetails: err.response?.data,
-            timestamp: new Date().toISOString()
-          }, projectRef);
-          
-          return {
-            error: err.message,
-            summary: { total: 0, passing: 0, failing: 0 }
-          };
-        }
-      })(),
-      
-      // RLS check
-      (async () => {
-        try {
-          // Log RLS check start
-          const rlsCheckId = await logEvidence('rls_check_started', 'info', {
-            projectRef,
-            parentCheckId: checkId,
-            timestamp: new Date().toISOString()
-          }, projectRef);
-          
-          // SQL query to check RLS status
-          const query = `
-            SELECT 
-              n.nspname AS schemaname, 
-              c.relname AS tablename, 
-              pg_get_userbyid(c.relowner) AS tableowner,
-              (SELECT EXISTS (
-                SELECT 1 FROM pg_policies 
-                WHERE schemaname = n.nspname AND tablename = c.relname
-              )) AS has_policies,
-              c.relrowsecurity AS rls_enabled
-            FROM pg_catalog.pg_class c
-            JOIN pg_catalog.pg_namespace n ON n.oid = c.relnamespace
-            WHERE c.relkind = 'r'
-            AND n.nspname = 'public'
-            AND c.relname NOT LIKE 'pg_%'
-            AND c.relname NOT LIKE 'sql_%'
-            ORDER BY n.nspname, c.relname;
-          `;
-          
-          const tables = await executeQuery(projectRef, token, query, 'rls_tables_query');
-          
-          // Map results to a more friendly format
-          const publicTables = tables.map(table => ({
-            id: `${table.schemaname}.${table.tablename}`,
-            name: table.tablename,
-            schema: table.schemaname,
-            rlsEnabled: table.rls_enabled,
-            hasPolicies: table.has_policies,
-            status: table.rls_enabled ? 'pass' : 'fail'
-          }));
-          
-          // Log table RLS status
-          await logEvidence('table_rls_status', 'info', {
-            projectRef,
-            rlsCheckId,
-            tableCount: publicTables.length,
-            tablesWithRls: publicTables.filter(t => t.rlsEnabled).length,
-            tablesWithoutRls: publicTables.filter(t => !t.rlsEnabled).length,
-            tablesWithPolicies: publicTables.filter(t => t.hasPolicies).length,
-            tablesWithoutPolicies: publicTables.filter(t => !t.hasPolicies).length,
-            timestamp: new Date().toISOString()
-          }, projectRef);
-          
-          // Prepare summary
-          const summary = {
-            total: publicTables.length,
-            passing: publicTables.filter(t => t.status === 'pass').length,
-            failing: publicTables.filter(t => t.status === 'fail').length
-          };
-          
-          // Log RLS check completion
-          await logEvidence('rls_check_completed', 'info', {
-            projectRef,
-            rlsCheckId,
-            summary,
-            timestamp: new Date().toISOString()
-          }, projectRef);
-          
-          return {
-            tables: publicTables,
-            summary,
-            checkId: rlsCheckId
-          };
-        } catch (err) {
-          logger.error('Error in RLS check:', err.message);
-          
-          // Log RLS check failure
-          await logEvidence('rls_check_failed', 'error', {
-            projectRef,
-            parentCheckId: checkId,
-            error: err.message,
-            errorDetails: err.response?.data,
-            timestamp: new Date().toISOString()
-          }, projectRef);
-          
-          return {
-            error: err.message,
-            summary: { total: 0, passing: 0, failing: 0 }
-          };
-        }
-      })(),
-      
-      // PITR check
-      (async () => {
-        try {
-          // Log PITR check start
-          const pitrCheckId = await logEvidence('pitr_check_started', 'info', {
-            projectRef,
-            parentCheckId: checkId,
-            timestamp: new Date().toISOString()
-          }, projectRef);
-          
-          // Get backup configuration
-          const backupsUrl = `https://api.supabase.com/v1/projects/${projectRef}/database/backups`;
-          
-          const backupsResponse = await axios.get(backupsUrl, {
-            headers: {
-              'Authorization': `Bearer ${token}`,
-              'Content-Type': 'application/json'
-            }
-          });
-          
-          const backupsConfig = backupsResponse.data || {};
-          const pitrEnabled = backupsConfig.pitr_enabled === true;
-          
-          // Log PITR configuration retrieved
-          await logEvidence('pitr_config_retrieved', 'info', {
-            projectRef,
-            pitrCheckId,
-            config: backupsConfig,
-            pitrEnabled,
-            timestamp: new Date().toISOString()
-          }, projectRef);
-          
-          // Log PITR check completion
-          await logEvidence('pitr_check_completed', 'info', {
-            projectRef,
-            pitrCheckId,
-            pitrEnabled,
-            status: pitrEnabled ? 'pass' : 'fail',
-            timestamp: new Date().toISOString()
-          }, projectRef);
-          
-          return {
-            pitrEnabled,
-            status: pitrEnabled ? 'pass' : 'fail',
-            backupsConfig,
-            checkId: pitrCheckId
-          };
-        } catch (err) {
-          logger.error('Error in PITR check:', err.message);
-          
-          // Log PITR check failure
-          await logEvidence('pitr_check_failed', 'error', {
-            projectRef,
-            parentCheckId: checkId,
-            error: err.message,
-            errorDetails: err.response?.data,
-            timestamp: new Date().toISOString()
-          }, projectRef);
-          
-          return {
-            error: err.message,
-            pitrEnabled: false,
-            status: 'error',
-            checkId: null
-          };
-        }
-      })()
-    ]);
-    
-    // Compile overall result
-    const result = {
-      projectRef,
-      timestamp: new Date().toISOString(),
-      checkId,
-      mfa: mfaResult,
-      rls: rlsResult,
-      pitr: pitrResult,
-      summary: {
-        mfa: mfaResult.summary || { total: 0, passing: 0, failing: 0 },
-        rls: rlsResult.summary || { total: 0, passing: 0, failing: 0 },
-        pitr: {
-          passing: pitrResult.status === 'pass' ? 1 : 0,
-          failing: pitrResult.status === 'fail' ? 1 : 0,
-          total: pitrResult.status === 'error' ? 0 : 1
-        },
-        overallStatus: 
-          (mfaResult.summary?.failing === 0 && 
-           rlsResult.summary?.failing === 0 && 
-           pitrResult.status === 'pass') ? 'pass' : 'fail'
-      }
-    };
+    // Remaining query parameters (e.g. schemas) are passed to checks as options
+    const options = { ...req.query };
+    delete options.token;
     
-    // Log overall compliance check completion
-    await logEvidence('compliance_check_completed', 'success', {
-      projectRef,
-      checkId,
-      summary: result.summary,
-      timestamp: new Date().toISOString()
-    }, projectRef);
+    const result = await runComplianceScan({ projectRef, token, options, ip: req.ip });
     
     res.status(200).json(result);
   } catch (error) {
@@ -726,554 +290,100 @@ app.get('/api/compliance/check/:projectRef', validateToken, async (req, res) =>
   }
 });
 
-// Fix compliance issues (comprehensive endpoint)
-app.post('/api/compliance/fix/:projectRef', validateToken, async (req, res) => {
+// Run compliance checks across every active project and return a scorecard
+app.post('/api/compliance/org-scan', validateToken, async (req, res) => {
   try {
-    const { projectRef } = req.params;
     const { token } = req;
-    const { fixMfa = true, fixRls = true, fixPitr = true } = req.body;
     
-    logger.log(`Starting compliance fixes for project: ${projectRef}`);
+    // Remaining body fields (e.g. schemas) are passed to checks as options
+    const { organizationId, concurrency, ...options } = req.body || {};
+    delete options.token;
     
-    // Log fix initiation
-    const fixId = await logEvidence('compliance_fix_initiated', 'info', {
-      projectRef,
-      fixOptions: { fixMfa, fixRls, fixPitr },
-      ip: req.ip,
-      timestamp: new Date().toISOString()
-    }, projectRef);
+    const scorecard = await runOrganizationScan({ token, organizationId, concurrency, options, ip: req.ip });
     
-    // Step 1: Check current compliance status
-    const complianceStatus = await (async () => {
-      try {
-        // Log compliance status check
-        const statusCheckId = await logEvidence('compliance_status_check', 'info', {
-          projectRef,
-          parentFixId: fixId,
-          timestamp: new Date().toISOString()
-        }, projectRef);
-        
-        // MFA status
-        const mfaStatus = await (async () => {
-          try {
-            const authConfigUrl = `https://api.supabase.com/v1/projects/${projectRef}/config/auth`;
-            const settingsResponse = await axios.get(authConfigUrl, {
-              headers: {
-                'Authorization': `Bearer ${token}`,
-                'Content-Type': 'application/json'
-              }
-            });
-            
-            const authConfig = settingsResponse.data;
-            const mfaNeedsFix = !authConfig || !(
-              (authConfig.sms_provider && authConfig.sms_provider !== 'NONE') || 
-              authConfig.mfa_enabled || 
-              authConfig.external_mfa_enabled
-            );
-            
-            // Log MFA status
-            await logEvidence('mfa_status_checked', 'info', {
-              projectRef,
-              statusCheckId,
-              mfaNeedsFix,
-              mfaEnabled: !mfaNeedsFix,
-              timestamp: new Date().toISOString()
-            }, projectRef);
-            
-            return { needsFix: mfaNeedsFix };
-          } catch (err) {
-            logger.error('Error checking MFA status:', err.message);
-            
-            // Log MFA status check failure
-            await logEvidence('mfa_status_check_failed', 'error', {
-              projectRef,
-              statusCheckId,
-              error: err.message,
-              errorDetails: err.response?.data,
-              timestamp: new Date().toISOString()
-            }, projectRef);
-            
-            return { needsFix: false, error: err.message };
-          }
-        })();
-        
-        // RLS status - find tables needing RLS
-        const rlsStatus = await (async () => {
-          try {
-            const query = `
-              SELECT 
-                n.nspname AS schemaname, 
-                c.relname AS tablename
-              FROM pg_catalog.pg_class c
-              JOIN pg_catalog.pg_namespace n ON n.oid = c.relnamespace
-              WHERE c.relkind = 'r'
-              AND n.nspname = 'public'
-              AND c.relname NOT LIKE 'pg_%'
-              AND c.relname NOT LIKE 'sql_%'
-              AND NOT c.relrowsecurity
-              ORDER BY n.nspname, c.relname;
-            `;
-            
-            const tables = await executeQuery(projectRef, token, query, 'rls_missing_tables_query');
-            
-            // Log RLS tables status
-            await logEvidence('rls_tables_checked', 'info', {
-              projectRef,
-              statusCheckId,
-              tablesNeedingRls: tables.length,
-              tables: tables.map(t => `${t.schemaname}.${t.tablename}`),
-              timestamp: new Date().toISOString()
-            }, projectRef);
-            
-            return {
-              needsFix: tables.length > 0,
-              tables: tables.map(t => ({ schema: t.schemaname, name: t.tablename }))
-            };
-          } catch (err) {
-            logger.error('Error checking RLS status:', err.message);
-            
-            // Log RLS status check failure
-            await logEvidence('rls_status_check_failed', 'error', {
-              projectRef,
-              statusCheckId,
-              error: err.message,
-              errorDetails: err.response?.data,
-              timestamp: new Date().toISOString()
-            }, projectRef);
-            
-            return { needsFix: false, tables: [], error: err.message };
-          }
-        })();
-        
-        // PITR status
-        const pitrStatus = await (async () => {
-          try {
-            const backupsUrl = `https://api.supabase.com/v1/projects/${projectRef}/database/backups`;
-            const backupsResponse = await axios.get(backupsUrl, {
-              headers: {
-                'Authorization': `Bearer ${token}`,
-                'Content-Type': 'application/json'
-              }
-            });
-            
-            const backupsConfig = backupsResponse.data || {};
-            const pitrNeedsFix = !backupsConfig.pitr_enabled;
-            
-            // Log PITR status
-            await logEvidence('pitr_status_checked', 'info', {
-              projectRef,
-              statusCheckId,
-              pitrNeedsFix,
-              pitrEnabled: !pitrNeedsFix,
-              timestamp: new Date().toISOString()
-            }, projectRef);
-            
-            return { needsFix: pitrNeedsFix };
-          } catch (err) {
-            logger.error('Error checking PITR status:', err.message);
-            
-            // Log PITR status check failure
-            await logEvidence('pitr_status_check_failed', 'error', {
-              projectRef,
-              statusCheckId,
-              error: err.message,
-              errorDetails: err.response?.data,
-              timestamp: new Date().toISOString()
-            }, projectRef);
-            
-            return { needsFix: false, error: err.message };
-          }
-        })();
-        
-        // Log completed status check
-        await logEvidence('compliance_status_check_completed', 'info', {
-          projectRef,
-          statusCheckId,
-          mfaStatus,
-          rlsStatus,
-          pitrStatus,
-          timestamp: new Date().toISOString()
-        }, projectRef);
-        
-        return {
-          mfa: mfaStatus,
-          rls: rlsStatus,
-          pitr: pitrStatus
-        };
-      } catch (error) {
-        logger.error('Error checking compliance status:', error.message);
-        
-        // Log status check failure
-        await logEvidence('compliance_status_check_failed', 'error', {
-          projectRef,
-          parentFixId: fixId,
-          error: error.message,
-          stack: error.stack,
-          timestamp: new Date().toISOString()
-        }, projectRef);
-        
-        throw error;
-      }
-    })();
-    
-    // Step 2: Apply fixes
-    const fixes = {
-      mfa: { 
-        needed: complianceStatus.mfa.needsFix && fixMfa,
-        applied: false,
-        success: false,
-        error: null 
-      },
-      rls: { 
-        needed: complianceStatus.rls.needsFix && fixRls,
-        tableCount: complianceStatus.rls.tables.length,
-        applied: false,
-        success: false,
-        tables: [],
-        error: null 
-      },
-      pitr: { 
-        needed: complianceStatus.pitr.needsFix && fixPitr,
-        applied: false,
-        success: false,
-        error: null 
-      }
-    };
+    res.status(200).json(scorecard);
+  } catch (error) {
+    logger.error('Error running organization scan:', error.message);
     
-    // Log fix plan
-    await logEvidence('compliance_fix_plan', 'info', {
-      projectRef,
-      fixId,
-      fixes,
+    // Log organization scan failure
+    await logEvidence('organization_scan_failed', 'error', {
+      organizationId: req.body?.organizationId,
+      ...apiErrorFields(error),
       timestamp: new Date().toISOString()
-    }, projectRef);
+    });
     
-    // Fix MFA if needed
-    if (fixes.mfa.needed) {
-      try {
-        // Log MFA fix attempt
-        const mfaFixId = await logEvidence('mfa_fix_attempt', 'info', {
-          projectRef,
-          parentFixId: fixId,
-          timestamp: new Date().toISOString()
-        }, projectRef);
-        
-        const authConfigUrl = `https://api.supabase.com/v1/projects/${projectRef}/config/auth`;
-        
-        // Log MFA config update details
-        await logEvidence('mfa_config_update', 'info', {
-          projectRef,
-          mfaFixId,
-          updatePayload: { 
-            mfa_enabled: true,
-            mfa_required: true 
-          },
-          timestamp: new Date().toISOString()
-        }, projectRef);
-        
-        const response = await axios.patch(authConfigUrl,
-          { 
-            mfa_enabled: true,
-            mfa_required: true 
-          },
-          {
-            headers: {
-              'Authorization': `Bearer ${token}`,
-              'Content-Type': 'application/json'
-            }
-          }
-        );
-        
-        fixes.mfa.applied = true;
-        fixes.mfa.success = true;
-        
-        // Log MFA fix success
-        await logEvidence('mfa_fix_success', 'success', { 
-          projectRef,
-          mfaFixId,
-          response: response.data,
-          timestamp: new Date().toISOString()
-        }, projectRef);
-      } catch (error) {
-        fixes.mfa.applied = true;
-        fixes.mfa.error = error.message;
-        
-        // Log MFA fix failure
-        await logEvidence('mfa_fix_failure', 'error', { 
-          projectRef,
-          error: error.message,
-          errorStatus: error.response?.status,
-          errorDetails: error.response?.data,
-          timestamp: new Date().toISOString()
-        }, projectRef);
-      }
-    }
+    res.status(500).json({ 
+      error: 'Failed to run organization scan', 
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Where to poll, page through steps and cancel a job
+const jobLinks = (jobId) => ({
+  status: `/api/jobs/${jobId}`,
+  steps: `/api/jobs/${jobId}/steps`,
+  cancel: `/api/jobs/${jobId}/cancel`
+});
+
+// Fix toggles (fixMfa, fixRls, ...) must be booleans; tables, buckets and authSettings lists of ids
+const fixOptionsError = (options) => {
+  const toggle = getChecks().filter(check => check.fix).map(fixOptionName)
+    .find(name => options[name] !== undefined && typeof options[name] !== 'boolean');
+  if (toggle) return `${toggle} must be true or false`;
+  
+  if (options.tables !== undefined && (!Array.isArray(options.tables) || options.tables.some(id => typeof id !== 'string' || !id.includes('.')))) {
+    return 'tables must be an array of "schema.name" ids';
+  }
+  if (options.buckets !== undefined && (!Array.isArray(options.buckets) || options.buckets.some(id => typeof id !== 'string'))) {
+    return 'buckets must be an array of bucket ids';
+  }
+  if (options.authSettings !== undefined && (!Array.isArray(options.authSettings) || options.authSettings.some(key => typeof key !== 'string'))) {
+    return 'authSettings must be an array of auth setting keys';
+  }
+  return null;
+};
+
+// Fix compliance issues (comprehensive endpoint)
+// Body: fix toggles such as { fixRls: false }, { tables: ['public.todos'] } or { buckets: ['avatars'] } to fix only some relations or buckets,
+// plus anything passed through to the checks
+app.post('/api/compliance/fix/:projectRef', validateToken, async (req, res) => {
+  try {
+    const { projectRef } = req.params;
+    const { token } = req;
     
-    // Fix RLS if needed
-    if (fixes.rls.needed) {
-      fixes.rls.applied = true;
-      
-      // Log RLS fix attempt
-      const rlsFixId = await logEvidence('rls_fix_attempt', 'info', {
-        projectRef,
-        parentFixId: fixId,
-        tableCount: complianceStatus.rls.tables.length,
-        tables: complianceStatus.rls.tables.map(t => `${t.schema}.${t.name}`),
-        timestamp: new Date().toISOString()
-      }, projectRef);
-      
-      try {
-        // Use a single SQL transaction to enable RLS on all tables
-        let query = 'BEGIN;\n';
-        complianceStatus.rls.tables.forEach(table => {
-          // Use quoted identifiers to handle tables with special characters
-          query += `ALTER TABLE "${table.schema}"."${table.name}" ENABLE ROW LEVEL SECURITY;\n`;
-        });
-        query += 'COMMIT;';
-        
-        // Log RLS batch transaction
-        await logEvidence('rls_batch_transaction', 'info', {
-          projectRef,
-          rlsFixId,
-          query: query.length > 1000 ? `${query.substring(0, 1000)}...` : query,
-          timestamp: new Date().toISOString()
-        }, projectRef);
-        
-        await executeQuery(projectRef, token, query, 'rls_batch_enable');
-        
-        fixes.rls.success = true;
-        fixes.rls.tables = complianceStatus.rls.tables.map(table => ({
-          table: `${table.schema}.${table.name}`,
-          success: true
-        }));
-        
-        // Log RLS fix success
-        await logEvidence('rls_fix_success', 'success', { 
-          projectRef,
-          rlsFixId,
-          tableCount: complianceStatus.rls.tables.length,
-          timestamp: new Date().toISOString()
-        }, projectRef);
-      } catch (error) {
-        fixes.rls.success = false;
-        fixes.rls.error = error.message;
-        
-        // Log RLS batch fix failure
-        await logEvidence('rls_batch_fix_failure', 'error', {
-          projectRef,
-          rlsFixId,
-          error: error.message,
-          errorStatus: error.response?.status,
-          errorDetails: error.response?.data,
-          timestamp: new Date().toISOString()
-        }, projectRef);
-        
-        // Fall back to individual table fixes if batch fails
-        try {
-          // Log RLS individual fix fallback
-          await logEvidence('rls_individual_fix_fallback', 'info', {
-            projectRef,
-            rlsFixId,
-            tableCount: complianceStatus.rls.tables.length,
-            timestamp: new Date().toISOString()
-          }, projectRef);
-          
-          const rlsPromises = complianceStatus.rls.tables.map(async (table) => {
-            try {
-              // Use quoted identifiers
-              const query = `ALTER TABLE "${table.schema}"."${table.name}" ENABLE ROW LEVEL SECURITY;`;
-              
-              // Log individual table fix attempt
-              const tableFixId = await logEvidence('rls_table_fix_attempt', 'info', {
-                projectRef,
-                rlsFixId,
-                table: `${table.schema}.${table.name}`,
-                query,
-                timestamp: new Date().toISOString()
-              }, projectRef);
-              
-              await executeQuery(projectRef, token, query, `rls_enable_${table.schema}_${table.name}`);
-              
-              // Log individual table fix success
-              await logEvidence('rls_table_fix_success', 'success', {
-                projectRef,
-                tableFixId,
-                table: `${table.schema}.${table.name}`,
-                timestamp: new Date().toISOString()
-              }, projectRef);
-              
-              return { table: `${table.schema}.${table.name}`, success: true };
-            } catch (tableError) {
-              // Log individual table fix failure
-              await logEvidence('rls_table_fix_failure', 'error', {
-                projectRef,
-                table: `${table.schema}.${table.name}`,
-                error: tableError.message,
-                errorStatus: tableError.response?.status,
-                errorDetails: tableError.response?.data,
-                timestamp: new Date().toISOString()
-              }, projectRef);
-              
-              return { 
-                table: `${table.schema}.${table.name}`, 
-                success: false, 
-                error: tableError.message 
-              };
-            }
-          });
-          
-          fixes.rls.tables = await Promise.all(rlsPromises);
-          fixes.rls.success = fixes.rls.tables.every(t => t.success);
-          
-          // Log RLS individual fixes summary
-          await logEvidence('rls_individual_fixes_completed', 
-            fixes.rls.success ? 'success' : 'partial_success', 
-            { 
-              projectRef, 
-              rlsFixId,
-              tableCount: fixes.rls.tables.length,
-              successCount: fixes.rls.tables.filter(t => t.success).length,
-              failureCount: fixes.rls.tables.filter(t => !t.success).length,
-              timestamp: new Date().toISOString()
-            }, 
-            projectRef
-          );
-        } catch (fallbackError) {
-          fixes.rls.error = `Batch error: ${error.message}. Fallback error: ${fallbackError.message}`;
-          
-          // Log RLS fallback failure
-          await logEvidence('rls_fallback_failure', 'error', { 
-            projectRef,
-            rlsFixId,
-            error: fixes.rls.error,
-            timestamp: new Date().toISOString()
-          }, projectRef);
-        }
-      }
-    }
+    // Dry run returns the plan without executing anything
+    const dryRun = req.body.dryRun === true || req.query.dryRun === 'true';
     
-    // Fix PITR if needed
-    if (fixes.pitr.needed) {
-      // Log PITR fix attempt
-      const pitrFixId = await logEvidence('pitr_fix_attempt', 'info', {
-        projectRef,
-        parentFixId: fixId,
+    // Remaining body fields are fix toggles and options passed to checks
+    const options = { ...req.body };
+    delete options.token;
+    delete options.dryRun;
+    
+    const optionsError = fixOptionsError(options);
+    if (optionsError) {
+      return res.status(400).json({ 
+        error: optionsError,
         timestamp: new Date().toISOString()
-      }, projectRef);
-      
-      try {
-        // Try using SQL to enable PITR first
-        const pitrSqlQuery = "SELECT pg_create_physical_replication_slot('pitr_slot');";
-        
-        try {
-          // Log SQL approach attempt
-          await logEvidence('pitr_sql_fix_attempt', 'info', {
-            projectRef,
-            pitrFixId,
-            query: pitrSqlQuery,
-            timestamp: new Date().toISOString()
-          }, projectRef);
-          
-          await executeQuery(projectRef, token, pitrSqlQuery, 'pitr_enable_sql');
-          fixes.pitr.applied = true;
-          fixes.pitr.success = true;
-          
-          // Log SQL approach success
-          await logEvidence('pitr_sql_fix_success', 'success', {
-            projectRef,
-            pitrFixId,
-            timestamp: new Date().toISOString()
-          }, projectRef);
-        } catch (sqlError) {
-          logger.warn('SQL approach to enable PITR failed, trying API:', sqlError.message);
-          
-          // Log SQL approach failure
-          await logEvidence('pitr_sql_fix_failure', 'warning', {
-            projectRef,
-            pitrFixId,
-            error: sqlError.message,
-            errorDetails: sqlError.response?.data,
-            timestamp: new Date().toISOString()
-          }, projectRef);
-          
-          // Log API approach attempt
-          await logEvidence('pitr_api_fix_attempt', 'info', {
-            projectRef,
-            pitrFixId,
-            timestamp: new Date().toISOString()
-          }, projectRef);
-          
-          // Fall back to API method
-          const backupsUrl = `https://api.supabase.com/v1/projects/${projectRef}/database/backups`;
-          const response = await axios.patch(backupsUrl,
-            { pitr_enabled: true },
-            {
-              headers: {
-                'Authorization': `Bearer ${token}`,
-                'Content-Type': 'application/json'
-              }
-            }
-          );
-          
-          fixes.pitr.applied = true;
-          fixes.pitr.success = true;
-          
-          // Log API approach success
-          await logEvidence('pitr_api_fix_success', 'success', {
-            projectRef,
-            pitrFixId,
-            response: response.data,
-            timestamp: new Date().toISOString()
-          }, projectRef);
-        }
-      } catch (error) {
-        fixes.pitr.applied = true;
-        fixes.pitr.error = error.message;
-        
-        // Log PITR fix failure
-        await logEvidence('pitr_fix_failure', 'error', {
-          projectRef,
-          error: error.message,
-          errorStatus: error.response?.status,
-          errorDetails: error.response?.data,
-          timestamp: new Date().toISOString()
-        }, projectRef);
-      }
+      });
     }
     
-    // Step 3: Prepare result
-    const result = {
-      projectRef,
-      timestamp: new Date().toISOString(),
-      fixId,
-      summary: {
-        mfa: !fixes.mfa.needed ? 'no_action_needed' : 
-             (fixes.mfa.success ? 'fixed' : 'failed'),
-        rls: !fixes.rls.needed ? 'no_action_needed' : 
-             (fixes.rls.success ? 'fixed' : 
-              (fixes.rls.tables.some(t => t.success) ? 'partially_fixed' : 'failed')),
-        pitr: !fixes.pitr.needed ? 'no_action_needed' : 
-              (fixes.pitr.success ? 'fixed' : 'failed')
-      },
-      details: fixes
-    };
+    // Planning only reads, so a dry run answers inline
+    if (dryRun) {
+      const result = await runComplianceFix({ projectRef, token, options, dryRun, ip: req.ip });
+      return res.status(200).json(result);
+    }
     
-    // Overall success status
-    const allSuccessful = 
-      (!fixes.mfa.needed || fixes.mfa.success) && 
-      (!fixes.rls.needed || fixes.rls.success) && 
-      (!fixes.pitr.needed || fixes.pitr.success);
+    // Real fixes run as a background job the client polls (or cancels)
+    const job = await createFixJob({ projectRef, token, options, ip: req.ip });
     
-    // Log fix completion
-    await logEvidence('compliance_fix_completed', allSuccessful ? 'success' : 'partial_success', {
-      projectRef,
-      fixId,
-      summary: result.summary,
-      allSuccessful,
+    res.status(202).json({
+      jobId: job.id,
+      job,
+      links: jobLinks(job.id),
       timestamp: new Date().toISOString()
-    }, projectRef);
-    
-    res.status(200).json(result);
+    });
   } catch (error) {
     logger.error('Error in compliance fix:', error.message);
     
@@ -1293,53 +403,839 @@ app.post('/api/compliance/fix/:projectRef', validateToken, async (req, res) => {
   }
 });
 
-// Get evidence logs
-app.get('/api/evidence/logs/:projectRef?', validateToken, async (req, res) => {
+// Stream a compliance check as Server-Sent Events: a `step` event for every
+// evidence entry it records, then `result` (same body as the check endpoint) or `error`
+app.get('/api/compliance/check/:projectRef/stream', validateToken, async (req, res) => {
+  const { projectRef } = req.params;
+  const { token } = req;
+  
+  const options = { ...req.query };
+  delete options.token;
+  
+  const stream = openEventStream(res);
+  
   try {
-    const { projectRef } = req.params;
+    const result = await trackProgress(
+      entry => stream.send('step', entry),
+      () => runComplianceScan({ projectRef, token, options, ip: req.ip })
+    );
     
-    // Log evidence request
-    await logEvidence('evidence_logs_request', 'info', {
-      projectRef: projectRef || 'all',
-      ip: req.ip,
+    stream.send('result', result);
+  } catch (error) {
+    logger.error('Error running compliance checks:', error.message);
+    
+    // Log compliance check failure
+    await logEvidence('compliance_check_failed', 'error', {
+      projectRef,
+      error: error.message,
+      stack: error.stack,
       timestamp: new Date().toISOString()
     }, projectRef);
     
-    // Get logs from file system for more persistence
-    const logs = projectRef 
-      ? await getProjectLogsFromFiles(projectRef) 
-      : evidenceLogs;
-    
-    res.status(200).json({
-      logs,
+    stream.send('error', {
+      error: 'Failed to run compliance checks',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  } finally {
+    stream.close();
+  }
+});
+
+// Stream compliance fixes the same way; takes the same body as the fix endpoint
+app.post('/api/compliance/fix/:projectRef/stream', validateToken, async (req, res) => {
+  const { projectRef } = req.params;
+  const { token } = req;
+  
+  const dryRun = req.body.dryRun === true || req.query.dryRun === 'true';
+  const options = { ...req.body };
+  delete options.token;
+  delete options.dryRun;
+  
+  const optionsError = fixOptionsError(options);
+  if (optionsError) {
+    return res.status(400).json({ 
+      error: optionsError,
       timestamp: new Date().toISOString()
     });
+  }
+  
+  // Planning only reads, so a dry run streams inline instead of becoming a job
+  if (dryRun) {
+    const stream = openEventStream(res);
+    
+    try {
+      const result = await trackProgress(
+        entry => stream.send('step', entry),
+        () => runComplianceFix({ projectRef, token, options, dryRun, ip: req.ip })
+      );
+      
+      stream.send('result', result);
+    } catch (error) {
+      logger.error('Error planning compliance fixes:', error.message);
+      
+      // Log fix failure
+      await logEvidence('compliance_fix_failure', 'error', {
+        projectRef,
+        dryRun,
+        error: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }, projectRef);
+      
+      stream.send('error', {
+        error: 'Failed to plan compliance fixes',
+        details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    } finally {
+      stream.close();
+    }
+    return;
+  }
+  
+  let job;
+  try {
+    job = await createFixJob({ projectRef, token, options, ip: req.ip });
   } catch (error) {
-    logger.error('Error fetching evidence logs:', error.message);
+    logger.error('Error in compliance fix:', error.message);
     
-    await logEvidence('evidence_logs_request_failure', 'error', {
-      projectRef: req.params.projectRef || 'all',
+    // Log fix failure
+    await logEvidence('compliance_fix_failure', 'error', {
+      projectRef,
       error: error.message,
+      stack: error.stack,
       timestamp: new Date().toISOString()
-    }, req.params.projectRef);
+    }, projectRef);
+    
+    return res.status(500).json({ 
+      error: 'Failed to fix compliance issues', 
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  // The fix runs as a job, so it finishes even if this stream is dropped
+  const stream = openEventStream(res);
+  stream.send('job', { jobId: job.id, job, links: jobLinks(job.id) });
+  
+  const unsubscribe = subscribeToJob(job.id, (event, data) => {
+    if (event === 'step') {
+      stream.send('step', data);
+    } else if (event === 'status') {
+      stream.send('status', data);
+    } else if (event === 'done') {
+      if (data.result) {
+        stream.send('result', { ...data.result, jobId: data.id, jobStatus: data.status });
+      } else {
+        stream.send('error', {
+          error: data.status === 'cancelled' ? 'Fix job was cancelled' : 'Failed to fix compliance issues',
+          details: data.error,
+          jobId: data.id,
+          timestamp: new Date().toISOString()
+        });
+      }
+      stream.close();
+    }
+  });
+  res.on('close', unsubscribe);
+});
+
+// -------------- FIX JOBS --------------
+
+// List recent fix jobs for the token's projects, optionally for one project
+app.get('/api/jobs', validateToken, async (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+    const projectRefs = await tokenProjectRefs(req.token);
+    const jobs = await listJobs({ projectRef: req.query.projectRef || null, projectRefs, limit });
+    
+    res.status(200).json({
+      jobs,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error listing jobs:', error.message);
     
     res.status(500).json({ 
-      error: 'Failed to fetch evidence logs',
+      error: 'Failed to list jobs', 
       details: error.message,
       timestamp: new Date().toISOString()
     });
   }
 });
 
-// Start the server
-app.listen(PORT, () => {
-  logger.log(`Server running on port ${PORT}`);
-  
-  // Log server start
+// Job status and, once finished, its outcome
+app.get('/api/jobs/:jobId', validateToken, async (req, res) => {
+  try {
+    const job = await getJob(req.params.jobId);
+    
+    if (!job) {
+      return res.status(404).json({ 
+        error: 'Job not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (await denyProjectAccess(req, res, job.projectRef)) return;
+    
+    res.status(200).json({
+      job,
+      links: jobLinks(job.id),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching job:', error.message);
+    
+    res.status(500).json({ 
+      error: 'Failed to fetch job', 
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Steps a job has recorded; pass ?after=<index> to only get new ones
+app.get('/api/jobs/:jobId/steps', validateToken, async (req, res) => {
+  try {
+    const after = req.query.after === undefined ? -1 : Number(req.query.after);
+    
+    if (!Number.isInteger(after)) {
+      return res.status(400).json({ 
+        error: 'Invalid steps query',
+        details: '"after" must be a step index',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const job = await getJob(req.params.jobId);
+    
+    if (!job) {
+      return res.status(404).json({ 
+        error: 'Job not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (await denyProjectAccess(req, res, job.projectRef)) return;
+    
+    const steps = await getJobSteps(job.id, { after });
+    
+    res.status(200).json({
+      jobId: job.id,
+      status: job.status,
+      steps,
+      finished: isFinished(job),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching job steps:', error.message);
+    
+    res.status(500).json({ 
+      error: 'Failed to fetch job steps', 
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Stop a job at its next step boundary; steps already applied stay applied
+app.post('/api/jobs/:jobId/cancel', validateToken, async (req, res) => {
+  try {
+    const existing = await getJob(req.params.jobId);
+    
+    if (!existing) {
+      return res.status(404).json({ 
+        error: 'Job not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (await denyProjectAccess(req, res, existing.projectRef)) return;
+    
+    const job = await cancelJob(existing.id, { ip: req.ip });
+    
+    // 409 when the job had already finished and there was nothing to cancel
+    res.status(isFinished(job) && !job.cancelRequestedAt ? 409 : 202).json({
+      job,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error cancelling job:', error.message);
+    
+    res.status(500).json({ 
+      error: 'Failed to cancel job', 
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// List recorded scans for a project
+app.get('/api/compliance/scans/:projectRef', validateToken, async (req, res) => {
+  try {
+    const { projectRef } = req.params;
+    
+    if (await denyProjectAccess(req, res, projectRef)) return;
+    
+    const scans = await listScans(projectRef);
+    
+    res.status(200).json({
+      projectRef,
+      scans,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error listing scans:', error.message);
+    
+    res.status(500).json({ 
+      error: 'Failed to list scans',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Diff two scans (defaults to the latest scan against the one before it)
+app.get('/api/compliance/scans/:projectRef/diff', validateToken, async (req, res) => {
+  try {
+    const { projectRef } = req.params;
+    
+    const invalid = ['from', 'to'].find(key => req.query[key] && !(Number.isInteger(Number(req.query[key])) && Number(req.query[key]) > 0));
+    if (invalid) {
+      return res.status(400).json({ 
+        error: 'Invalid diff query',
+        details: `"${invalid}" must be a scan version`,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (await denyProjectAccess(req, res, projectRef)) return;
+    
+    const scans = await listScans(projectRef);
+    const toVersion = req.query.to ? Number(req.query.to) : scans[0]?.version;
+    const fromVersion = req.query.from ? Number(req.query.from) : (await getScan(projectRef, toVersion))?.previousVersion;
+    
+    const [fromScan, toScan] = await Promise.all([
+      fromVersion ? getScan(projectRef, fromVersion) : null,
+      toVersion ? getScan(projectRef, toVersion) : null
+    ]);
+    
+    if (!fromScan || !toScan) {
+      return res.status(404).json({ 
+        error: 'Scans to compare not found',
+        from: fromVersion || null,
+        to: toVersion || null,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    res.status(200).json({
+      ...diffScans(fromScan, toScan),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error diffing scans:', error.message);
+    
+    res.status(500).json({ 
+      error: 'Failed to diff scans',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Get one recorded scan
+app.get('/api/compliance/scans/:projectRef/:version', validateToken, async (req, res) => {
+  try {
+    const { projectRef, version } = req.params;
+    
+    if (await denyProjectAccess(req, res, projectRef)) return;
+    
+    const scan = await getScan(projectRef, Number(version));
+    
+    if (!scan) {
+      return res.status(404).json({ 
+        error: 'Scan not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    res.status(200).json(scan);
+  } catch (error) {
+    logger.error('Error fetching scan:', error.message);
+    
+    res.status(500).json({ 
+      error: 'Failed to fetch scan',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// List the pre-fix snapshots recorded for a project
+app.get('/api/compliance/snapshots/:projectRef', validateToken, async (req, res) => {
+  try {
+    const { projectRef } = req.params;
+    
+    if (await denyProjectAccess(req, res, projectRef)) return;
+    
+    const snapshots = await listSnapshots(projectRef);
+    
+    res.status(200).json({
+      projectRef,
+      snapshots,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error listing snapshots:', error.message);
+    
+    res.status(500).json({ 
+      error: 'Failed to list snapshots',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Get the pre-fix snapshot of one fix
+app.get('/api/compliance/snapshots/:projectRef/:fixId', validateToken, async (req, res) => {
+  try {
+    const { projectRef, fixId } = req.params;
+    
+    if (await denyProjectAccess(req, res, projectRef)) return;
+    
+    const snapshot = await getSnapshot(projectRef, fixId);
+    
+    if (!snapshot) {
+      return res.status(404).json({ 
+        error: 'Snapshot not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    res.status(200).json(snapshot);
+  } catch (error) {
+    logger.error('Error fetching snapshot:', error.message);
+    
+    res.status(500).json({ 
+      error: 'Failed to fetch snapshot',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Roll a fix back to its pre-fix snapshot
+// Body: { checks?: ['rls', ...], force?: true } - force repeats a rollback that already ran
+app.post('/api/compliance/snapshots/:projectRef/:fixId/rollback', validateToken, async (req, res) => {
+  try {
+    const { projectRef, fixId } = req.params;
+    const { token } = req;
+    const { checks: checkIds, force } = req.body || {};
+    
+    if (!isValidFixId(fixId)) {
+      return res.status(400).json({ 
+        error: 'Invalid fix id',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (checkIds !== undefined && (!Array.isArray(checkIds) || checkIds.some(id => typeof id !== 'string'))) {
+      return res.status(400).json({ 
+        error: 'checks must be an array of check ids',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (await denyProjectAccess(req, res, projectRef)) return;
+    
+    const snapshot = await getSnapshot(projectRef, fixId);
+    
+    if (!snapshot) {
+      return res.status(404).json({ 
+        error: 'Snapshot not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (snapshot.rollback && force !== true) {
+      return res.status(409).json({ 
+        error: 'This fix has already been rolled back',
+        rollback: snapshot.rollback,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const result = await runRollback({ projectRef, token, snapshot, checkIds: checkIds || null, ip: req.ip });
+    
+    res.status(200).json(result);
+  } catch (error) {
+    logger.error('Error rolling back fix:', error.message);
+    
+    // Log rollback failure
+    await logEvidence('compliance_rollback_failure', 'error', {
+      projectRef: req.params.projectRef,
+      fixId: req.params.fixId,
+      error: error.message,
+      stack: error.stack,
+      timestamp: new Date().toISOString()
+    }, req.params.projectRef);
+    
+    res.status(500).json({ 
+      error: 'Failed to roll back fix',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// List the token's scheduled compliance scans with their next and last runs
+app.get('/api/schedules', validateToken, async (req, res) => {
+  try {
+    const [schedules, projectRefs] = await Promise.all([listSchedules(), tokenProjectRefs(req.token)]);
+    
+    res.status(200).json({
+      schedules: schedules.filter(schedule => projectRefs.has(schedule.projectRef)),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error listing schedules:', error.message);
+    
+    res.status(500).json({ 
+      error: 'Failed to list schedules',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Get a project's schedule
+app.get('/api/schedules/:projectRef', validateToken, async (req, res) => {
+  try {
+    if (await denyProjectAccess(req, res, req.params.projectRef)) return;
+    
+    const schedule = await getSchedule(req.params.projectRef);
+    
+    if (!schedule) {
+      return res.status(404).json({ 
+        error: 'No schedule for this project',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    res.status(200).json({
+      schedule,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching schedule:', error.message);
+    
+    res.status(500).json({ 
+      error: 'Failed to fetch schedule',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Create or update a project's schedule
+// The request's token is stored server-side and used for every scheduled run
+app.put('/api/schedules/:projectRef', validateToken, async (req, res) => {
+  try {
+    const { projectRef } = req.params;
+    const { cron, enabled = true, options = {} } = req.body;
+    
+    if (!cron || !isValidCron(cron)) {
+      return res.status(400).json({ 
+        error: 'A valid five-field cron expression is required',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // Valid fields can still describe a date that never occurs, such as 0 0 31 2 *
+    try {
+      nextRun(cron);
+    } catch (error) {
+      return res.status(400).json({ 
+        error: 'The cron expression never matches a date',
+        details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (await denyProjectAccess(req, res, projectRef)) return;
+    
+    const { schedule, created } = await upsertSchedule(projectRef, { cron, enabled, options }, req.token);
+    
+    await logEvidence(created ? 'schedule_created' : 'schedule_updated', 'info', {
+      projectRef,
+      cron,
+      enabled: schedule.enabled,
+      options,
+      nextRunAt: schedule.nextRunAt,
+      ip: req.ip,
+      timestamp: new Date().toISOString()
+    }, projectRef);
+    
+    res.status(created ? 201 : 200).json({
+      schedule,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error saving schedule:', error.message);
+    
+    res.status(500).json({ 
+      error: 'Failed to save schedule',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Remove a project's schedule and its stored credential
+app.delete('/api/schedules/:projectRef', validateToken, async (req, res) => {
+  try {
+    const { projectRef } = req.params;
+    
+    if (await denyProjectAccess(req, res, projectRef)) return;
+    
+    const deleted = await deleteSchedule(projectRef);
+    
+    if (!deleted) {
+      return res.status(404).json({ 
+        error: 'No schedule for this project',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    await logEvidence('schedule_deleted', 'info', {
+      projectRef,
+      ip: req.ip,
+      timestamp: new Date().toISOString()
+    }, projectRef);
+    
+    res.status(200).json({
+      deleted: true,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error deleting schedule:', error.message);
+    
+    res.status(500).json({ 
+      error: 'Failed to delete schedule',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Public key that evidence packages are signed with
+app.get('/api/evidence/public-key', async (req, res) => {
+  try {
+    res.status(200).json({
+      ...(await getPublicKey()),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error reading evidence signing key:', error.message);
+    
+    res.status(500).json({ 
+      error: 'Failed to read evidence signing key',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Download a signed ZIP of a project's evidence for auditors
+// Optional from/to query parameters limit the entries to a date range
+app.get('/api/evidence/export/:projectRef', validateToken, async (req, res) => {
+  const { projectRef } = req.params;
+  
+  let from;
+  let to;
+  try {
+    from = parseDateBound(req.query.from);
+    to = parseDateBound(req.query.to, { endOfDay: true });
+  } catch (error) {
+    return res.status(400).json({ 
+      error: 'Invalid date range',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  if (from && to && from > to) {
+    return res.status(400).json({ 
+      error: 'Invalid date range',
+      details: '"from" must be before "to"',
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  try {
+    const { archive, manifest, manifestHash } = await buildEvidencePackage({ projectRef, from, to });
+    
+    // Record the export itself; it isn't part of the package it describes
+    await logEvidence('evidence_export', 'success', {
+      projectRef,
+      from: manifest.from,
+      to: manifest.to,
+      entryCount: manifest.entryCount,
+      manifestHash,
+      publicKeyFingerprint: manifest.publicKeyFingerprint,
+      ip: req.ip,
+      timestamp: new Date().toISOString()
+    }, projectRef);
+    
+    const fileName = `evidence_${projectRef}_${manifest.generatedAt.replace(/[:.]/g, '-')}.zip`;
+    res.status(200);
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.setHeader('X-Manifest-SHA256', manifestHash);
+    res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition, X-Manifest-SHA256');
+    
+    archive.on('error', (error) => {
+      logger.error('Error writing evidence package:', error.message);
+      res.destroy(error);
+    });
+    archive.pipe(res);
+    await archive.finalize();
+  } catch (error) {
+    logger.error('Error exporting evidence:', error.message);
+    
+    await logEvidence('evidence_export_failure', 'error', {
+      projectRef,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    }, projectRef);
+    
+    if (res.headersSent) return res.destroy(error);
+    
+    res.status(500).json({ 
+      error: 'Failed to export evidence',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Verify a project's evidence hash chain (or the global chain without a projectRef)
+app.get('/api/evidence/verify/:projectRef?', validateToken, async (req, res) => {
+  const { projectRef } = req.params;
+  
+  try {
+    const report = await verifyEvidenceChain(projectRef);
+    
+    await logEvidence('evidence_chain_verification', report.valid ? 'success' : 'failure', {
+      projectRef: projectRef || 'global',
+      valid: report.valid,
+      entries: report.entries,
+      firstBrokenLink: report.firstBrokenLink,
+      ip: req.ip,
+      timestamp: new Date().toISOString()
+    }, projectRef);
+    
+    res.status(200).json({
+      projectRef: projectRef || null,
+      ...report,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error verifying evidence chain:', error.message);
+    
+    res.status(500).json({ 
+      error: 'Failed to verify evidence chain',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Get evidence logs, newest first
+// Filters: action and status (comma-separated, action accepts a trailing *), from, to, search
+// Pagination: limit, and cursor from the previous page's nextCursor
+app.get('/api/evidence/logs/:projectRef?', validateToken, async (req, res) => {
+  let filters;
+  try {
+    filters = parseEvidenceQuery(req.query);
+  } catch (error) {
+    return res.status(400).json({ 
+      error: 'Invalid evidence query',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  try {
+    const { projectRef } = req.params;
+    
+    // Log evidence request
+    await logEvidence('evidence_logs_request', 'info', {
+      projectRef: projectRef || 'all',
+      filters: {
+        action: filters.actions,
+        status: filters.statuses,
+        from: filters.from,
+        to: filters.to,
+        search: filters.search || null,
+        limit: filters.limit,
+        paged: Boolean(filters.cursor)
+      },
+      ip: req.ip,
+      timestamp: new Date().toISOString()
+    }, projectRef);
+    
+    // Get logs from the evidence store
+    const { logs, nextCursor } = await queryEvidenceLogs(projectRef, filters);
+    
+    res.status(200).json({
+      logs,
+      nextCursor,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching evidence logs:', error.message);
+    
+    await logEvidence('evidence_logs_request_failure', 'error', {
+      projectRef: req.params.projectRef || 'all',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    }, req.params.projectRef);
+    
+    res.status(500).json({ 
+      error: 'Failed to fetch evidence logs',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Start the server
+app.listen(PORT, () => {
+  logger.log(`Server running on port ${PORT}`);
+  logger.log(`Using Supabase Management API at ${getManagementApiUrl()}`);
+  
+  // Log server start
   logEvidence('server_start', 'info', {
     port: PORT,
+    managementApiUrl: getManagementApiUrl(),
     timestamp: new Date().toISOString()
   });
+  
+  // Load fix jobs; any left running by a previous process are marked interrupted
+  startJobRunner({ runFix: runComplianceFix }).catch(error => {
+    logger.error(`Failed to start job runner: ${error.message}`, error);
+  });
+  
+  // Run scheduled scans inside this process unless disabled
+  if (process.env.SCHEDULER_ENABLED !== 'false') {
+    startScheduler({
+      runScan: runComplianceScan,
+      intervalMs: Number(process.env.SCHEDULER_INTERVAL_MS) || undefined
+    });
+  }
 });
 
 module.exports = app;
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron, isValidCron, nextRun } = require('../lib/cron');
+
+const at = (iso) => new Date(iso);
+
+test('parses lists, ranges and steps', () => {
+  const schedule = parseCron('0,30 9-17/4 * * 1-5');
+
+  assert.deepEqual([...schedule.minute], [0, 30]);
+  assert.deepEqual([...schedule.hour], [9, 13, 17]);
+  assert.deepEqual([...schedule.dayOfWeek], [1, 2, 3, 4, 5]);
+});
+
+test('expands aliases', () => {
+  assert.equal(nextRun('@daily', at('2026-05-10T12:00:00Z')).toISOString(), '2026-05-11T00:00:00.000Z');
+  assert.equal(nextRun('@hourly', at('2026-05-10T12:00:00Z')).toISOString(), '2026-05-10T13:00:00.000Z');
+});
+
+test('rejects malformed expressions', () => {
+  ['', '* * * *', '* * * * * *', '60 * * * *', '* 24 * * *', '* * 0 * *', '* * * 13 *', '* * * * 8', '*/0 * * * *', '5-1 * * * *', 'a * * * *']
+    .forEach(expression => assert.equal(isValidCron(expression), false, expression));
+});
+
+test('is strictly after the start time', () => {
+  assert.equal(nextRun('30 10 * * *', at('2026-05-10T10:30:00Z')).toISOString(), '2026-05-11T10:30:00.000Z');
+  assert.equal(nextRun('30 10 * * *', at('2026-05-10T10:29:59Z')).toISOString(), '2026-05-10T10:30:00.000Z');
+});
+
+test('treats 7 as Sunday', () => {
+  // 2026-05-10 is a Sunday
+  assert.equal(nextRun('0 0 * * 7', at('2026-05-04T00:00:00Z')).toISOString(), '2026-05-10T00:00:00.000Z');
+});
+
+test('matches either day field when both are restricted', () => {
+  // The 15th, or any Monday: Monday 2026-05-11 comes first
+  assert.equal(nextRun('0 0 15 * 1', at('2026-05-10T00:00:00Z')).toISOString(), '2026-05-11T00:00:00.000Z');
+});
+
+test('waits for the next leap day', () => {
+  assert.equal(nextRun('0 0 29 2 *', at('2026-03-01T00:00:00Z')).toISOString(), '2028-02-29T00:00:00.000Z');
+});
+
+test('throws for expressions that never fire, though their fields are valid', () => {
+  ['0 0 31 2 *', '0 0 30 2 *', '0 0 31 4,6,9,11 *'].forEach(expression => {
+    assert.equal(isValidCron(expression), true, expression);
+    assert.throws(() => nextRun(expression, at('2026-01-01T00:00:00Z')), /never matches/, expression);
+  });
+});
+
+test('runs in UTC, unaffected by daylight saving changes', () => {
+  // US clocks skip 02:00-03:00 local on 2026-03-08 and repeat 01:00-02:00 local on 2026-11-01
+  assert.equal(nextRun('0 2 * * *', at('2026-03-08T01:30:00Z')).toISOString(), '2026-03-08T02:00:00.000Z');
+  assert.equal(nextRun('30 1 * * *', at('2026-11-01T01:00:00Z')).toISOString(), '2026-11-01T01:30:00.000Z');
+
+  // Consecutive runs stay exactly 24 hours apart across the change
+  const first = nextRun('0 2 * * *', at('2026-03-07T12:00:00Z'));
+  const second = nextRun('0 2 * * *', first);
+  assert.equal(second - first, 24 * 60 * 60 * 1000);
+});
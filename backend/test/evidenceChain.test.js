@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GENESIS_HASH, hashEntry, verifyChain } = require('../lib/evidenceChain');
+
+// Link entries the way the evidence store appends them
+const buildChain = (count) => {
+  const entries = [];
+  for (let sequence = 1; sequence <= count; sequence++) {
+    const entry = {
+      id: `entry-${sequence}`,
+      action: 'rls_check_completed',
+      status: 'info',
+      projectRef: 'abcdefghijklmnopqrst',
+      timestamp: new Date(Date.UTC(2026, 4, 1, 0, sequence)).toISOString(),
+      details: { sequence, nested: { b: 2, a: 1 } },
+      sequence,
+      previousHash: entries.length > 0 ? entries[entries.length - 1].hash : GENESIS_HASH
+    };
+    entry.hash = hashEntry(entry);
+    entries.push(entry);
+  }
+  return entries;
+};
+
+const headOf = (entries) => ({ sequence: entries[entries.length - 1].sequence, hash: entries[entries.length - 1].hash });
+
+test('hashes independently of key order', () => {
+  const [entry] = buildChain(1);
+  const reordered = Object.fromEntries(Object.entries(entry).reverse());
+  assert.equal(hashEntry(reordered), entry.hash);
+});
+
+test('verifies an intact chain against its head', () => {
+  const entries = buildChain(5);
+  const report = verifyChain(entries, { head: headOf(entries) });
+
+  assert.equal(report.valid, true);
+  assert.equal(report.entries, 5);
+  assert.equal(report.lastVerifiedSequence, 5);
+  assert.equal(report.firstBrokenLink, null);
+});
+
+test('detects a modified entry', () => {
+  const entries = buildChain(5);
+  entries[2] = { ...entries[2], status: 'success' };
+
+  const report = verifyChain(entries, { head: headOf(entries) });
+  assert.equal(report.valid, false);
+  assert.equal(report.firstBrokenLink.reason, 'hash_mismatch');
+  assert.equal(report.firstBrokenLink.sequence, 3);
+  assert.equal(report.lastVerifiedSequence, 2);
+});
+
+test('detects a modified entry whose hash was recomputed', () => {
+  const entries = buildChain(5);
+  entries[2] = { ...entries[2], details: { sequence: 3, nested: { a: 1, b: 3 } } };
+  entries[2].hash = hashEntry(entries[2]);
+
+  const report = verifyChain(entries, { head: headOf(buildChain(5)) });
+  assert.equal(report.firstBrokenLink.reason, 'previous_hash_mismatch');
+  assert.equal(report.firstBrokenLink.sequence, 4);
+});
+
+test('detects a removed entry', () => {
+  const entries = buildChain(5);
+  const report = verifyChain(entries.filter(entry => entry.sequence !== 3), { head: headOf(entries) });
+
+  assert.equal(report.firstBrokenLink.reason, 'missing_entry');
+  assert.equal(report.firstBrokenLink.sequence, 3);
+});
+
+test('detects a duplicated sequence', () => {
+  const entries = buildChain(3);
+  const report = verifyChain([...entries, { ...entries[1], id: 'forged' }], { head: headOf(entries) });
+
+  assert.equal(report.firstBrokenLink.reason, 'duplicate_sequence');
+  assert.equal(report.firstBrokenLink.sequence, 2);
+});
+
+test('detects entries truncated from the end through the head', () => {
+  const entries = buildChain(5);
+  const report = verifyChain(entries.slice(0, 3), { head: headOf(entries) });
+
+  assert.equal(report.firstBrokenLink.reason, 'missing_entry');
+  assert.equal(report.firstBrokenLink.sequence, 4);
+});
+
+test('detects a head that does not match the last entry', () => {
+  const entries = buildChain(3);
+  const report = verifyChain(entries, { head: { sequence: 3, hash: 'f'.repeat(64) } });
+
+  assert.equal(report.firstBrokenLink.reason, 'head_mismatch');
+});
+
+test('resumes after pruned entries', () => {
+  const entries = buildChain(6);
+  const prunedThrough = { sequence: 3, hash: entries[2].hash };
+
+  assert.equal(verifyChain(entries.slice(3), { head: headOf(entries), prunedThrough }).valid, true);
+  assert.equal(verifyChain(entries.slice(4), { head: headOf(entries), prunedThrough }).firstBrokenLink.reason, 'missing_entry');
+});
+
+test('skips entries recorded before chaining', () => {
+  const entries = buildChain(2);
+  const legacy = { id: 'legacy', action: 'compliance_check_initiated', timestamp: '2025-01-01T00:00:00.000Z' };
+  const report = verifyChain([legacy, ...entries], { head: headOf(entries) });
+
+  assert.equal(report.valid, true);
+  assert.equal(report.unchainedEntries, 1);
+});
@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { diffScans } = require('../lib/scans');
+
+const scan = (version, result) => ({
+  projectRef: 'abcdefghijklmnopqrst',
+  version,
+  timestamp: `2026-05-0${version}T00:00:00.000Z`,
+  result
+});
+
+const baseline = scan(1, {
+  summary: { overallStatus: 'fail' },
+  checks: [
+    { id: 'rls', status: 'fail' },
+    { id: 'mfa', status: 'pass' },
+    { id: 'pitr', status: 'fail' }
+  ],
+  rls: {
+    tables: [
+      { id: 'public.todos', status: 'pass' },
+      { id: 'public.profiles', status: 'fail', reason: 'RLS disabled' }
+    ],
+    views: []
+  },
+  mfa: {
+    mfaEnabledGlobally: true,
+    users: [
+      { id: 'u1', email: 'one@example.com', hasMFA: true },
+      { id: 'u2', email: 'two@example.com', hasMFA: false }
+    ],
+    violations: [{ policy: 'admins', userId: 'u2', email: 'two@example.com', message: 'two@example.com has no MFA' }]
+  },
+  pitr: { pitrEnabled: false }
+});
+
+test('reports nothing for identical scans', () => {
+  const diff = diffScans(baseline, scan(2, baseline.result));
+
+  assert.deepEqual(diff.regressions, []);
+  assert.deepEqual(diff.improvements, []);
+  assert.deepEqual(diff.checks, []);
+});
+
+test('reports regressions', () => {
+  const diff = diffScans(baseline, scan(2, {
+    ...baseline.result,
+    checks: [
+      { id: 'rls', status: 'fail' },
+      { id: 'mfa', status: 'fail' },
+      { id: 'pitr', status: 'fail' }
+    ],
+    rls: {
+      tables: [
+        { id: 'public.todos', status: 'fail', reason: 'No policies' },
+        { id: 'public.profiles', status: 'fail', reason: 'RLS disabled' }
+      ],
+      views: [{ id: 'public.todo_counts', status: 'fail', reason: 'Runs as owner' }]
+    },
+    mfa: {
+      mfaEnabledGlobally: false,
+      users: [
+        { id: 'u1', email: 'one@example.com', hasMFA: false },
+        { id: 'u2', email: 'two@example.com', hasMFA: false }
+      ],
+      violations: [
+        ...baseline.result.mfa.violations,
+        { policy: 'admins', userId: 'u1', email: 'one@example.com', message: 'one@example.com has no MFA' }
+      ]
+    }
+  }));
+
+  assert.deepEqual(diff.improvements, []);
+  assert.deepEqual(
+    diff.regressions.map(change => [change.check, change.type, change.item]).sort(),
+    [
+      ['mfa', 'check_failing', undefined],
+      ['mfa', 'mfa_global_toggled', undefined],
+      ['mfa', 'mfa_policy_violation', 'u1'],
+      ['mfa', 'user_lost_mfa', 'u1'],
+      ['rls', 'table_failing', 'public.todo_counts'],
+      ['rls', 'table_failing', 'public.todos']
+    ].sort()
+  );
+  assert.deepEqual(diff.rls.newlyFailing.find(r => r.id === 'public.todos'), {
+    id: 'public.todos', from: 'pass', to: 'fail', reason: 'No policies'
+  });
+});
+
+test('reports improvements', () => {
+  const diff = diffScans(baseline, scan(2, {
+    ...baseline.result,
+    summary: { overallStatus: 'pass' },
+    checks: [
+      { id: 'rls', status: 'pass' },
+      { id: 'mfa', status: 'pass' },
+      { id: 'pitr', status: 'pass' }
+    ],
+    rls: {
+      tables: [
+        { id: 'public.todos', status: 'pass' },
+        { id: 'public.profiles', status: 'pass' }
+      ],
+      views: []
+    },
+    mfa: {
+      mfaEnabledGlobally: true,
+      users: [
+        { id: 'u1', email: 'one@example.com', hasMFA: true },
+        { id: 'u2', email: 'two@example.com', hasMFA: true }
+      ],
+      violations: []
+    },
+    pitr: { pitrEnabled: true }
+  }));
+
+  assert.deepEqual(diff.regressions, []);
+  assert.deepEqual(
+    diff.improvements.map(change => [change.check, change.type, change.item]).sort(),
+    [
+      ['mfa', 'mfa_policy_resolved', 'u2'],
+      ['mfa', 'user_gained_mfa', 'u2'],
+      ['pitr', 'check_passing', undefined],
+      ['pitr', 'pitr_toggled', undefined],
+      ['rls', 'check_passing', undefined],
+      ['rls', 'table_passing', 'public.profiles']
+    ].sort()
+  );
+  assert.deepEqual(diff.overallStatus, { from: 'fail', to: 'pass' });
+});
+
+test('does not count new passing items or checks as improvements', () => {
+  const diff = diffScans(baseline, scan(2, {
+    ...baseline.result,
+    checks: [...baseline.result.checks, { id: 'storage', status: 'pass' }],
+    rls: {
+      tables: [...baseline.result.rls.tables, { id: 'public.notes', status: 'pass' }],
+      views: []
+    }
+  }));
+
+  assert.deepEqual(diff.improvements, []);
+  assert.deepEqual(diff.regressions, []);
+});
+
+test('counts a new failing check or table as a regression', () => {
+  const diff = diffScans(baseline, scan(2, {
+    ...baseline.result,
+    checks: [...baseline.result.checks, { id: 'storage', status: 'fail' }],
+    rls: {
+      tables: [...baseline.result.rls.tables, { id: 'public.notes', status: 'fail', reason: 'RLS disabled' }],
+      views: []
+    }
+  }));
+
+  assert.deepEqual(
+    diff.regressions.map(change => [change.type, change.check, change.item]),
+    [['check_failing', 'storage', undefined], ['table_failing', 'rls', 'public.notes']]
+  );
+  assert.deepEqual(diff.rls.newlyFailing[0].from, null);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { summarizeFixes } = require('../checks');
+
+test('labels checks that need nothing', () => {
+  assert.deepEqual(summarizeFixes({ rls: { needed: false } }), { rls: 'no_action_needed' });
+  assert.deepEqual(summarizeFixes({ rls: { needed: false } }, { dryRun: true }), { rls: 'no_action_needed' });
+});
+
+test('labels failing checks without automatic actions as manual, planned or not', () => {
+  const fixes = { network_restrictions: { needed: true, manual: true, warnings: ['Set allowedCidrs'], applied: false } };
+
+  assert.deepEqual(summarizeFixes(fixes), { network_restrictions: 'manual_action_required' });
+  assert.deepEqual(summarizeFixes(fixes, { dryRun: true }), { network_restrictions: 'manual_action_required' });
+});
+
+test('labels every needed fix as planned in a dry run', () => {
+  assert.deepEqual(
+    summarizeFixes({ rls: { needed: true }, ssl_enforcement: { needed: true, success: true } }, { dryRun: true }),
+    { rls: 'planned', ssl_enforcement: 'planned' }
+  );
+});
+
+test('labels applied fixes by outcome', () => {
+  assert.deepEqual(
+    summarizeFixes({
+      rls: { needed: true, applied: true, success: true },
+      storage: { needed: true, applied: true, success: false, partial: true },
+      pitr: { needed: true, applied: true, success: false, error: 'Billing rejected the add-on' }
+    }),
+    { rls: 'fixed', storage: 'partially_fixed', pitr: 'failed' }
+  );
+});
+
+test('labels fixes cancelled before they ran as cancelled, and ones cancelled midway by outcome', () => {
+  assert.deepEqual(
+    summarizeFixes({
+      rls: { needed: true, applied: false, cancelled: true },
+      storage: { needed: true, applied: true, cancelled: true, success: false, partial: true },
+      ssl_enforcement: { needed: true, applied: true, cancelled: true, success: true }
+    }),
+    { rls: 'cancelled', storage: 'partially_fixed', ssl_enforcement: 'fixed' }
+  );
+});
@@ -4,6 +4,43 @@ import { useState, useEffect, useRef } from 'react';
 import axios from 'axios';
 import { GoogleGenerativeAI } from "@google/generative-ai";
 
+// Checks with dedicated sections in the results view
+const BUILT_IN_CHECKS = ['mfa', 'rls', 'pitr', 'network_restrictions', 'ssl_enforcement', 'storage', 'privileges', 'auth_hardening'];
+
+// Fix toggle the backend reads for a check, e.g. fixMfa for "mfa"
+const fixOptionName = (checkId) =>
+  `fix${checkId.split('_').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('')}`;
+
+// Tables with unsafe policies are only reported; their policies have to be rewritten by hand
+const isFixableRelation = (relation) => relation.status !== 'pass' && relation.reason !== 'unsafe_policy';
+
+// Storage policies are only reported too, so a bucket is fixable when it has a visibility or limit finding
+const isFixableBucket = (bucket) => bucket.status !== 'pass' && bucket.findings.some(finding => !finding.policy);
+
+// Every failing check, table, bucket and auth setting starts out selected for fixing.
+// RLS counts as failing when it has locked tables too, which a fix gives starter policies.
+const defaultFixSelection = (data) => {
+  const tables = [...(data.rls?.tables || []), ...(data.rls?.views || [])].filter(isFixableRelation);
+  const buckets = (data.storage?.buckets || []).filter(isFixableBucket);
+  
+  return {
+    checks: Object.fromEntries((data.checks || [])
+      .filter(check => check.fixable && (check.status === 'fail' || (check.id === 'rls' && tables.length > 0)))
+      .map(check => [check.id, true])),
+    tables: Object.fromEntries(tables.map(relation => [relation.id, true])),
+    buckets: Object.fromEntries(buckets.map(bucket => [bucket.id, true])),
+    authSettings: Object.fromEntries((data.auth_hardening?.settings || [])
+      .filter(setting => setting.status === 'fail')
+      .map(setting => [setting.key, true])),
+    // The PITR add-on is billed, so it is only bought when a variant is picked explicitly
+    pitrAddonVariant: '',
+    // Restricting network access needs the ranges that keep it, so there is no default
+    allowedCidrs: '',
+    // Likewise there is no safe default list of file types a bucket should accept
+    storageAllowedMimeTypes: ''
+  };
+};
+
 // Simple markdown to HTML converter
 const parseMarkdown = (text) => {
   if (!text) return '';
@@ -34,12 +71,74 @@ const parseMarkdown = (text) => {
     .replace(/^(?!<[a-z]|\s*$)(.*$)/gm, '<p>$1</p>');
 };
 
+// Read a Server-Sent Events response body, calling onEvent(event, data) for each message
+const readEventStream = async (response, onEvent) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    
+    const messages = buffer.split('\n\n');
+    buffer = messages.pop();
+    messages.forEach(message => {
+      let event = 'message';
+      const data = [];
+      message.split('\n').forEach(line => {
+        if (line.startsWith('event: ')) event = line.slice(7);
+        else if (line.startsWith('data: ')) data.push(line.slice(6));
+      });
+      if (data.length > 0) onEvent(event, JSON.parse(data.join('\n')));
+    });
+  }
+};
+
+// Most recent progress steps kept on screen
+const MAX_PROGRESS_STEPS = 500;
+
+// Per-check status from a streamed evidence step, e.g. rls_fix_success -> fixed.
+// Check ids may contain underscores (network_restrictions_check_started), so the id is matched lazily.
+const checkStatusFromStep = (step) => {
+  const match = /^([a-z][a-z0-9_]*?)_(check_started|check_completed|check_failed|fix_attempt|fix_success|fix_failure)$/.exec(step.action);
+  if (!match) return null;
+  
+  const statuses = {
+    check_started: 'checking',
+    check_completed: step.details?.status,
+    check_failed: 'error',
+    fix_attempt: 'fixing',
+    fix_success: 'fixed',
+    fix_failure: 'fix failed'
+  };
+  return { id: match[1], status: statuses[match[2]] };
+};
+
 export default function Home() {
   const [token, setToken] = useState('');
+  const [schemas, setSchemas] = useState('');
   const [loading, setLoading] = useState(false);
   const [projects, setProjects] = useState([]);
   const [selectedProject, setSelectedProject] = useState(null);
   const [complianceData, setComplianceData] = useState(null);
+  const [orgScan, setOrgScan] = useState(null);
+  const [fixPlan, setFixPlan] = useState(null);
+  const [fixSelection, setFixSelection] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [showProgressLog, setShowProgressLog] = useState(true);
+  const [scanHistory, setScanHistory] = useState(null);
+  const [scanDiff, setScanDiff] = useState(null);
+  const [fixHistory, setFixHistory] = useState(null);
+  const [showSchedule, setShowSchedule] = useState(false);
+  const [schedule, setSchedule] = useState(null);
+  const [scheduleCron, setScheduleCron] = useState('0 6 * * *');
+  const [showEvidence, setShowEvidence] = useState(false);
+  const [evidenceLogs, setEvidenceLogs] = useState([]);
+  const [evidenceCursor, setEvidenceCursor] = useState(null);
+  const [evidenceFilters, setEvidenceFilters] = useState({ action: '', status: '', from: '', to: '', search: '', allProjects: false });
+  const [expandedLog, setExpandedLog] = useState(null);
   const [showChat, setShowChat] = useState(false);
   const [messages, setMessages] = useState([]);
   const [newMessage, setNewMessage] = useState('');
@@ -49,6 +148,7 @@ export default function Home() {
   const [showTokenSection, setShowTokenSection] = useState(true);
   const [showProjectsSection, setShowProjectsSection] = useState(true);
   const messagesEndRef = useRef(null);
+  const progressEndRef = useRef(null);
 
   // Debug logging helper
   const logDebug = (message, data) => {
@@ -103,6 +203,13 @@ export default function Home() {
     }
   }, [messages]);
 
+  // Follow the progress log as steps arrive
+  useEffect(() => {
+    if (progressEndRef.current) {
+      progressEndRef.current.scrollIntoView({ block: 'nearest' });
+    }
+  }, [progress]);
+
   // Clear chat when project changes
   useEffect(() => {
     setMessages([]);
@@ -146,6 +253,72 @@ export default function Home() {
     return project.ref || project.id || project.reference || project.project_ref || project.projectRef;
   };
 
+  // Run a check or fix over its streaming endpoint, showing each step as it's recorded.
+  // Resolves with the same result the non-streaming endpoint returns.
+  const streamOperation = async (label, url, init) => {
+    setProgress({ label, running: true, steps: [], checks: {} });
+    setShowProgressLog(true);
+    
+    const response = await fetch(url, {
+      ...init,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        'Accept': 'text/event-stream'
+      }
+    });
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      setProgress(prev => ({ ...prev, running: false, failed: true }));
+      throw new Error(body.details || body.error || `Request failed with status ${response.status}`);
+    }
+    
+    let result = null;
+    let failure = null;
+    await readEventStream(response, (event, data) => {
+      if (event === 'step') {
+        const checkStatus = checkStatusFromStep(data);
+        setProgress(prev => ({
+          ...prev,
+          steps: [...prev.steps, data].slice(-MAX_PROGRESS_STEPS),
+          checks: checkStatus ? { ...prev.checks, [checkStatus.id]: checkStatus.status } : prev.checks
+        }));
+      } else if (event === 'job') {
+        setProgress(prev => ({ ...prev, jobId: data.jobId, jobStatus: data.job.status }));
+      } else if (event === 'status') {
+        setProgress(prev => ({ ...prev, jobStatus: data.status }));
+      } else if (event === 'result') {
+        result = data;
+      } else if (event === 'error') {
+        failure = data;
+      }
+    });
+    
+    setProgress(prev => ({ ...prev, running: false, failed: !result }));
+    if (!result) {
+      throw new Error(failure?.details || failure?.error || 'Stream ended without a result');
+    }
+    return result;
+  };
+
+  // Ask the running fix job to stop at its next step; the stream then ends with what was done
+  const cancelFixJob = async () => {
+    if (!progress?.jobId) return;
+    
+    try {
+      const response = await axios.post(
+        `${apiUrl}/api/jobs/${progress.jobId}/cancel`,
+        {},
+        { params: { token } }
+      );
+      logDebug("Cancel job response", response.data);
+      setProgress(prev => ({ ...prev, jobStatus: response.data.job.status }));
+    } catch (error) {
+      console.error('Error cancelling fix job:', error);
+      alert('Error cancelling fix job: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
   // Check compliance
   const checkCompliance = async (project) => {
     setLoading(true);
@@ -163,43 +336,329 @@ export default function Home() {
     }
     
     try {
-      const response = await axios.get(
-        `${apiUrl}/api/compliance/check/${projectRef}`,
-        { params: { token } }
+      const params = new URLSearchParams(schemas ? { schemas } : {});
+      const result = await streamOperation(
+        `Checking ${projectRef}`,
+        `${apiUrl}/api/compliance/check/${projectRef}/stream?${params}`,
+        { method: 'GET' }
       );
-      logDebug("Compliance check response", response.data);
-      setComplianceData(response.data);
+      logDebug("Compliance check response", result);
+      setComplianceData(result);
+      setFixSelection(defaultFixSelection(result));
       setSelectedProject(projectRef);
     } catch (error) {
       console.error('Error checking compliance:', error);
-      alert('Error checking compliance: ' + (error.response?.data?.error || error.message));
+      alert('Error checking compliance: ' + error.message);
     } finally {
       setLoading(false);
     }
   };
 
-  // Fix compliance
-  const fixCompliance = async () => {
+  // Scan every active project and show the scorecard
+  const scanAllProjects = async () => {
+    setLoading(true);
+    try {
+      const response = await axios.post(
+        `${apiUrl}/api/compliance/org-scan`,
+        { token, ...(schemas ? { schemas } : {}) }
+      );
+      logDebug("Organization scan response", response.data.summary);
+      setOrgScan(response.data);
+    } catch (error) {
+      console.error('Error running organization scan:', error);
+      alert('Error running organization scan: ' + (error.response?.data?.details || error.response?.data?.error || error.message));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleFixCheck = (checkId) => {
+    setFixSelection(prev => ({ ...prev, checks: { ...prev.checks, [checkId]: !prev.checks[checkId] } }));
+  };
+  
+  const toggleFixTable = (tableId) => {
+    setFixSelection(prev => ({ ...prev, tables: { ...prev.tables, [tableId]: !prev.tables[tableId] } }));
+  };
+  
+  const toggleFixBucket = (bucketId) => {
+    setFixSelection(prev => ({ ...prev, buckets: { ...prev.buckets, [bucketId]: !prev.buckets[bucketId] } }));
+  };
+  
+  const toggleFixAuthSetting = (key) => {
+    setFixSelection(prev => ({ ...prev, authSettings: { ...prev.authSettings, [key]: !prev.authSettings[key] } }));
+  };
+  
+  // Fix request body for the selected checks, tables, buckets and auth settings; unselected checks are switched off explicitly
+  const fixRequestBody = () => ({
+    schemas,
+    ...Object.fromEntries((complianceData.checks || [])
+      .filter(check => check.fixable)
+      .map(check => [fixOptionName(check.id), Boolean(fixSelection.checks[check.id])])),
+    tables: Object.keys(fixSelection.tables).filter(tableId => fixSelection.tables[tableId]),
+    buckets: Object.keys(fixSelection.buckets).filter(bucketId => fixSelection.buckets[bucketId]),
+    authSettings: Object.keys(fixSelection.authSettings).filter(key => fixSelection.authSettings[key]),
+    ...(fixSelection.pitrAddonVariant ? { pitrAddonVariant: fixSelection.pitrAddonVariant } : {}),
+    ...(fixSelection.allowedCidrs.trim() ? { allowedCidrs: fixSelection.allowedCidrs } : {}),
+    ...(fixSelection.storageAllowedMimeTypes.trim() ? { storageAllowedMimeTypes: fixSelection.storageAllowedMimeTypes } : {})
+  });
+  
+  const hasFixSelection = () => Boolean(fixSelection) &&
+    Object.entries(fixSelection.checks).some(([checkId, selected]) =>
+      selected &&
+      (checkId !== 'rls' || Object.values(fixSelection.tables).some(Boolean)) &&
+      (checkId !== 'storage' || Object.values(fixSelection.buckets).some(Boolean)) &&
+      (checkId !== 'auth_hardening' || Object.values(fixSelection.authSettings).some(Boolean)));
+
+  // Preview fixes (dry run) so they can be confirmed before anything changes
+  const previewFix = async () => {
     if (!selectedProject) {
       alert("No project selected");
       return;
     }
     
     setLoading(true);
-    logDebug("Fixing compliance for project", selectedProject);
+    logDebug("Planning compliance fixes for project", selectedProject);
     
     try {
       const response = await axios.post(
         `${apiUrl}/api/compliance/fix/${selectedProject}`,
-        {},
+        { ...fixRequestBody(), dryRun: true },
         { params: { token } }
       );
-      logDebug("Fix compliance response", response.data);
-      alert('Fixed. Refreshing...');
+      logDebug("Fix plan response", response.data);
+      setFixPlan(response.data);
+    } catch (error) {
+      console.error('Error planning fixes:', error);
+      alert('Error planning fixes: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Fix compliance
+  const fixCompliance = async () => {
+    if (!selectedProject) {
+      alert("No project selected");
+      return;
+    }
+    
+    setLoading(true);
+    logDebug("Fixing compliance for project", selectedProject);
+    
+    try {
+      const result = await streamOperation(
+        `Fixing ${selectedProject}`,
+        `${apiUrl}/api/compliance/fix/${selectedProject}/stream`,
+        { method: 'POST', body: JSON.stringify(fixRequestBody()) }
+      );
+      logDebug("Fix compliance response", result);
+      setFixPlan(null);
+      alert(result.cancelled ? 'Fix cancelled; steps already applied were kept. Refreshing...' : 'Fixed. Refreshing...');
       await checkCompliance(selectedProject);
     } catch (error) {
       console.error('Error fixing compliance:', error);
-      alert('Error fixing compliance: ' + (error.response?.data?.error || error.message));
+      alert('Error fixing compliance: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Fetch scan history for the selected project
+  const fetchHistory = async () => {
+    if (!selectedProject) return;
+    
+    setLoading(true);
+    try {
+      const response = await axios.get(
+        `${apiUrl}/api/compliance/scans/${selectedProject}`,
+        { params: { token } }
+      );
+      logDebug("Scan history response", response.data);
+      setScanHistory(response.data.scans);
+      setScanDiff(null);
+    } catch (error) {
+      console.error('Error fetching scan history:', error);
+      alert('Error fetching scan history: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Fetch the pre-fix snapshots recorded for the selected project
+  const fetchSnapshots = async () => {
+    if (!selectedProject) return;
+    
+    setLoading(true);
+    try {
+      const response = await axios.get(
+        `${apiUrl}/api/compliance/snapshots/${selectedProject}`,
+        { params: { token } }
+      );
+      logDebug("Fix history response", response.data);
+      setFixHistory(response.data.snapshots);
+    } catch (error) {
+      console.error('Error fetching fix history:', error);
+      alert('Error fetching fix history: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setLoading(false);
+    }
+  };
+  
+  // Restore the state a fix changed, then re-check
+  const rollbackFix = async (fixId) => {
+    if (!confirm(`Roll back fix ${fixId}? The settings it changed will be restored to their previous values.`)) return;
+    
+    setLoading(true);
+    try {
+      const response = await axios.post(
+        `${apiUrl}/api/compliance/snapshots/${selectedProject}/${fixId}/rollback`,
+        { token }
+      );
+      logDebug("Rollback response", response.data);
+      alert(response.data.status === 'rolled_back' ? 'Rolled back. Refreshing...' : `Rollback ${response.data.status.replace(/_/g, ' ')}. Refreshing...`);
+      await fetchSnapshots();
+      await checkCompliance(selectedProject);
+    } catch (error) {
+      console.error('Error rolling back fix:', error);
+      alert('Error rolling back fix: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Fetch changes between a scan and the one before it
+  const fetchScanDiff = async (version) => {
+    setLoading(true);
+    try {
+      const response = await axios.get(
+        `${apiUrl}/api/compliance/scans/${selectedProject}/diff`,
+        { params: { token, to: version } }
+      );
+      logDebug("Scan diff response", response.data);
+      setScanDiff(response.data);
+    } catch (error) {
+      console.error('Error fetching scan diff:', error);
+      alert('Error fetching scan diff: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Fetch a page of evidence logs matching the browser's filters
+  const fetchEvidence = async (cursor = null) => {
+    setLoading(true);
+    try {
+      const { allProjects, ...filters } = evidenceFilters;
+      const params = { token, limit: 50 };
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params[key] = value;
+      });
+      if (cursor) params.cursor = cursor;
+      
+      const response = await axios.get(
+        allProjects || !selectedProject
+          ? `${apiUrl}/api/evidence/logs`
+          : `${apiUrl}/api/evidence/logs/${selectedProject}`,
+        { params }
+      );
+      logDebug("Evidence logs response", { count: response.data.logs.length, nextCursor: response.data.nextCursor });
+      setEvidenceLogs(prev => cursor ? [...prev, ...response.data.logs] : response.data.logs);
+      setEvidenceCursor(response.data.nextCursor);
+      setShowEvidence(true);
+    } catch (error) {
+      console.error('Error fetching evidence logs:', error);
+      alert('Error fetching evidence logs: ' + (error.response?.data?.details || error.response?.data?.error || error.message));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateEvidenceFilter = (key, value) => {
+    setEvidenceFilters(prev => ({ ...prev, [key]: value }));
+  };
+
+  // Download the project's signed evidence package for auditors
+  const exportEvidence = async () => {
+    if (!selectedProject) return;
+    
+    setLoading(true);
+    try {
+      const response = await axios.get(
+        `${apiUrl}/api/evidence/export/${selectedProject}`,
+        { params: { token }, responseType: 'blob' }
+      );
+      const fileName = /filename="([^"]+)"/.exec(response.headers['content-disposition'] || '')?.[1]
+        || `evidence_${selectedProject}.zip`;
+      
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting evidence:', error);
+      alert('Error exporting evidence: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Fetch the selected project's recurring scan schedule
+  const fetchSchedule = async () => {
+    if (!selectedProject) return;
+    
+    setLoading(true);
+    try {
+      const response = await axios.get(
+        `${apiUrl}/api/schedules/${selectedProject}`,
+        { params: { token } }
+      );
+      logDebug("Schedule response", response.data);
+      setSchedule(response.data.schedule);
+      setScheduleCron(response.data.schedule.cron);
+    } catch (error) {
+      if (error.response?.status !== 404) {
+        console.error('Error fetching schedule:', error);
+        alert('Error fetching schedule: ' + (error.response?.data?.error || error.message));
+      }
+      setSchedule(null);
+    } finally {
+      setShowSchedule(true);
+      setLoading(false);
+    }
+  };
+
+  // Create or update the schedule; the token is stored server-side for unattended runs
+  const saveSchedule = async () => {
+    setLoading(true);
+    try {
+      const response = await axios.put(
+        `${apiUrl}/api/schedules/${selectedProject}`,
+        { cron: scheduleCron, enabled: true, options: schemas ? { schemas } : {} },
+        { params: { token } }
+      );
+      logDebug("Save schedule response", response.data);
+      setSchedule(response.data.schedule);
+    } catch (error) {
+      console.error('Error saving schedule:', error);
+      alert('Error saving schedule: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const removeSchedule = async () => {
+    setLoading(true);
+    try {
+      await axios.delete(
+        `${apiUrl}/api/schedules/${selectedProject}`,
+        { params: { token } }
+      );
+      setSchedule(null);
+    } catch (error) {
+      console.error('Error removing schedule:', error);
+      alert('Error removing schedule: ' + (error.response?.data?.error || error.message));
     } finally {
       setLoading(false);
     }
@@ -231,21 +690,61 @@ export default function Home() {
       
       Multi-Factor Authentication (MFA):
       - MFA globally enabled: ${complianceData.mfa.mfaEnabledGlobally ? 'Yes' : 'No'}
-      - Users with MFA enabled: ${complianceData.summary.mfa.passing}/${complianceData.summary.mfa.total}
+      - MFA factor types: ${(complianceData.mfa.factorTypes || []).map(f => `${f.type} ${f.status}`).join(', ')}
+      - Users with a verified MFA factor: ${complianceData.summary.mfa.passing}/${complianceData.summary.mfa.total}
+      - MFA policy violations: ${complianceData.summary.mfa.policyViolations ?? 0}
       
       Row-Level Security (RLS):
-      - Tables with RLS enabled: ${complianceData.summary.rls.passing}/${complianceData.summary.rls.total}
+      - Tables and views protected by RLS: ${complianceData.summary.rls.passing}/${complianceData.summary.rls.total}
       
       Point-in-Time Recovery (PITR):
       - PITR status: ${complianceData.pitr.pitrEnabled ? 'Enabled' : 'Disabled'}
+      ${(complianceData.pitr.items || []).filter(item => item.status !== 'pass').map(item => `- ${item.message}`).join('\n      ')}
+      
+      Network Restrictions:
+      ${complianceData.network_restrictions?.status === 'error'
+        ? `- Check failed: ${complianceData.network_restrictions.error}`
+        : complianceData.network_restrictions
+        ? (complianceData.network_restrictions.ranges || []).map(range => `- ${range.label} allowed: ${range.cidrs.join(', ') || 'none'}`).join('\n      ')
+        : '- Not checked'}
+      
+      SSL Enforcement:
+      - SSL required for database connections: ${complianceData.ssl_enforcement ? (complianceData.ssl_enforcement.sslEnforced ? 'Yes' : complianceData.ssl_enforcement.status === 'error' ? `Check failed (${complianceData.ssl_enforcement.error})` : 'No') : 'Not checked'}
+      
+      Auth Configuration Hardening:
+      ${complianceData.auth_hardening
+        ? (complianceData.auth_hardening.settings || []).filter(setting => setting.status !== 'pass').map(setting => `- ${setting.key} is ${JSON.stringify(setting.value)} (recommended ${JSON.stringify(setting.recommended)})`).join('\n      ') || '- All settings pass'
+        : '- Not checked'}
+      
+      Database Roles and Privileges:
+      ${complianceData.privileges
+        ? (complianceData.privileges.findings || []).filter(finding => finding.severity !== 'low').map(finding => `- ${finding.item}: ${finding.message} (${finding.severity})`).join('\n      ') || '- No issues'
+        : '- Not checked'}
+      
+      Storage Buckets:
+      ${complianceData.storage
+        ? (complianceData.storage.buckets || []).map(bucket => `- ${bucket.id}: ${bucket.findings.length > 0 ? bucket.findings.map(finding => finding.message).join('; ') : 'no issues'}`).join('\n      ')
+        : '- Not checked'}
       
       ${complianceData.rls.tables.filter(t => !t.rlsEnabled).length > 0 
         ? `Tables without RLS: ${complianceData.rls.tables.filter(t => !t.rlsEnabled).map(t => t.name).join(', ')}` 
         : ''}
       
+      ${complianceData.rls.tables.filter(t => t.status === 'locked').length > 0 
+        ? `Tables with RLS but no policies (all client access denied): ${complianceData.rls.tables.filter(t => t.status === 'locked').map(t => t.name).join(', ')}` 
+        : ''}
+      
+      ${complianceData.rls.findings && complianceData.rls.findings.filter(f => f.type === 'policy').length > 0 
+        ? `Flagged RLS policies: ${complianceData.rls.findings.filter(f => f.type === 'policy').map(f => `${f.table} "${f.policy}" (${f.severity}: ${f.issues.map(i => i.code).join(', ')})`).join('; ')}` 
+        : ''}
+      
       ${complianceData.mfa.users && complianceData.mfa.users.filter(u => !u.hasMFA).length > 0 
         ? `Users without MFA: ${complianceData.mfa.users.filter(u => !u.hasMFA).map(u => u.email).join(', ')}` 
         : ''}
+      
+      ${complianceData.mfa.violations && complianceData.mfa.violations.length > 0 
+        ? `MFA policy violations: ${complianceData.mfa.violations.map(v => `${v.message} (${v.policy}, ${v.severity})`).join('; ')}` 
+        : ''}
       `;
 
       const genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
@@ -290,6 +789,17 @@ export default function Home() {
   const resetView = () => {
     setSelectedProject(null);
     setComplianceData(null);
+    setFixSelection(null);
+    setFixPlan(null);
+    setProgress(null);
+    setScanHistory(null);
+    setScanDiff(null);
+    setFixHistory(null);
+    setShowSchedule(false);
+    setSchedule(null);
+    setShowEvidence(false);
+    setEvidenceLogs([]);
+    setEvidenceCursor(null);
     setShowTokenSection(true);
     setShowProjectsSection(true);
     setShowChat(false);
@@ -486,6 +996,85 @@ export default function Home() {
       cursor: 'pointer',
       borderRadius: '0',
     },
+    planAction: {
+      padding: '5px 0',
+      fontSize: '14px',
+    },
+    planCode: {
+      backgroundColor: '#f5f5f5',
+      padding: '6px',
+      margin: '4px 0',
+      fontSize: '12px',
+      whiteSpace: 'pre-wrap',
+      wordBreak: 'break-all',
+    },
+    timelineItem: {
+      padding: '5px 0 5px 10px',
+      borderLeft: '2px solid #ddd',
+      fontSize: '14px',
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+    },
+    timelineRegression: {
+      borderLeft: '2px solid #C62828',
+      backgroundColor: '#FFEBEE',
+    },
+    filterRow: {
+      display: 'flex',
+      flexWrap: 'wrap',
+      gap: '10px',
+      alignItems: 'center',
+      marginBottom: '10px'
+    },
+    filterInput: {
+      padding: '6px',
+      border: '1px solid #ddd',
+      borderRadius: '0',
+      fontFamily: 'Space Mono, monospace',
+      fontSize: '14px'
+    },
+    evidenceRow: {
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      fontSize: '14px'
+    },
+    progressLog: {
+      maxHeight: '220px',
+      overflowY: 'auto',
+      backgroundColor: '#f9f9f9',
+      padding: '5px',
+      fontSize: '12px',
+    },
+    progressChecks: {
+      display: 'flex',
+      flexWrap: 'wrap',
+      gap: '15px',
+      marginBottom: '8px',
+      fontSize: '14px',
+    },
+    scorecardTable: {
+      width: '100%',
+      borderCollapse: 'collapse',
+      fontSize: '14px',
+      marginBottom: '10px',
+    },
+    scorecardHeader: {
+      textAlign: 'left',
+      padding: '6px',
+      borderBottom: '1px solid #ddd',
+    },
+    scorecardCell: {
+      padding: '6px',
+      borderBottom: '1px solid #f5f5f5',
+    },
+    cellPass: {
+      backgroundColor: '#E8F5E9',
+    },
+    cellFail: {
+      backgroundColor: '#FFEBEE',
+    },
     actionButtons: {
       display: 'flex',
       gap: '10px',
@@ -514,6 +1103,13 @@ export default function Home() {
               value={token}
               onChange={(e) => setToken(e.target.value)}
             />
+            <input
+              style={styles.input}
+              type="text"
+              placeholder="Schemas to audit (optional, defaults to PostgREST exposed schemas)"
+              value={schemas}
+              onChange={(e) => setSchemas(e.target.value)}
+            />
             <button 
               style={{...styles.button, ...(loading ? {} : styles.buttonAction)}}
               onClick={fetchProjects}
@@ -529,6 +1125,13 @@ export default function Home() {
           <div style={styles.section}>
             <div style={styles.sectionHeader}>
               <h2 style={styles.sectionTitle}>Projects</h2>
+              <button 
+                style={{...styles.button, ...(loading ? {} : styles.buttonAction)}}
+                onClick={scanAllProjects}
+                disabled={loading}
+              >
+                {loading ? 'Scanning...' : 'Scan All Projects'}
+              </button>
             </div>
             <ul style={styles.projectList}>
               {projects.map((project, index) => {
@@ -565,6 +1168,139 @@ export default function Home() {
           </div>
         )}
         
+        {/* Live Progress */}
+        {progress && (
+          <div style={styles.section}>
+            <div style={styles.sectionHeader}>
+              <h2 style={styles.sectionTitle}>
+                {progress.label}
+                {progress.jobStatus === 'cancelling' ? ' (cancelling…)' : progress.running ? '…' : progress.failed ? ' (failed)' : ' (done)'}
+              </h2>
+              <span>
+                {progress.running && progress.jobId && progress.jobStatus !== 'cancelling' && (
+                  <button style={styles.toggleButton} onClick={cancelFixJob}>
+                    Cancel
+                  </button>
+                )}
+                {progress.steps.length} step(s){' '}
+                <button style={styles.toggleButton} onClick={() => setShowProgressLog(!showProgressLog)}>
+                  {showProgressLog ? 'Hide Log' : 'Show Log'}
+                </button>
+                {!progress.running && (
+                  <button style={styles.toggleButton} onClick={() => setProgress(null)}>
+                    Dismiss
+                  </button>
+                )}
+              </span>
+            </div>
+            
+            {Object.keys(progress.checks).length > 0 && (
+              <div style={styles.progressChecks}>
+                {Object.entries(progress.checks).map(([id, status]) => (
+                  <span key={id}>
+                    <strong>{id.toUpperCase()}:</strong>{' '}
+                    <span style={['pass', 'fixed'].includes(status) ? styles.statusPass : ['fail', 'error', 'fix failed'].includes(status) ? styles.statusFail : {}}>
+                      {status}
+                    </span>
+                  </span>
+                ))}
+              </div>
+            )}
+            
+            {showProgressLog && (
+              <div style={styles.progressLog}>
+                {progress.steps.map(step => (
+                  <div key={`${step.projectRef || 'global'}-${step.sequence ?? step.id}`}>
+                    {new Date(step.timestamp).toLocaleTimeString()} •{' '}
+                    <span style={['error', 'failure'].includes(step.status) ? styles.statusFail : step.status === 'success' ? styles.statusPass : {}}>
+                      {step.status}
+                    </span>{' '}
+                    • {step.action}
+                    {step.details?.table && ` • ${step.details.table}`}
+                    {step.details?.queryName && ` • ${step.details.queryName}`}
+                  </div>
+                ))}
+                <div ref={progressEndRef} />
+              </div>
+            )}
+          </div>
+        )}
+        
+        {/* Organization Scorecard */}
+        {showProjectsSection && orgScan && (
+          <div style={styles.section}>
+            <div style={styles.sectionHeader}>
+              <h2 style={styles.sectionTitle}>Organization Scorecard</h2>
+              <span>
+                {orgScan.summary.score !== null ? `${orgScan.summary.score}% of checks passing • ` : ''}
+                {orgScan.summary.passing}/{orgScan.summary.scanned} projects compliant
+                {orgScan.summary.skipped > 0 && ` • ${orgScan.summary.skipped} skipped`}
+                {orgScan.summary.errors > 0 && ` • ${orgScan.summary.errors} failed`}
+              </span>
+            </div>
+            
+            <table style={styles.scorecardTable}>
+              <thead>
+                <tr>
+                  <th style={styles.scorecardHeader}>Project</th>
+                  {orgScan.checks.map(check => (
+                    <th key={check.id} style={styles.scorecardHeader} title={check.title}>
+                      {check.id.toUpperCase()} ({check.passing}/{check.passing + check.failing + check.errors})
+                    </th>
+                  ))}
+                  <th style={styles.scorecardHeader}>Overall</th>
+                </tr>
+              </thead>
+              <tbody>
+                {orgScan.projects.map(row => (
+                  <tr key={row.projectRef}>
+                    <td style={styles.scorecardCell}>
+                      {row.status === 'scanned' ? (
+                        <span style={styles.backLink} onClick={() => checkCompliance(row.projectRef)}>
+                          {row.name || row.projectRef}
+                        </span>
+                      ) : (
+                        <span style={{ color: '#888' }}>{row.name || row.projectRef}</span>
+                      )}
+                    </td>
+                    {orgScan.checks.map(check => {
+                      const cell = row.checks[check.id];
+                      return (
+                        <td
+                          key={check.id}
+                          style={{
+                            ...styles.scorecardCell,
+                            ...(cell?.status === 'pass' ? styles.cellPass : cell ? styles.cellFail : {})
+                          }}
+                          title={cell?.summary ? `${cell.summary.passing}/${cell.summary.total} passing` : undefined}
+                        >
+                          {cell ? (
+                            <span style={cell.status === 'pass' ? styles.statusPass : styles.statusFail}>
+                              {cell.status.toUpperCase()}
+                            </span>
+                          ) : '—'}
+                        </td>
+                      );
+                    })}
+                    <td style={styles.scorecardCell}>
+                      {row.status === 'scanned' ? (
+                        <span style={row.overallStatus === 'pass' ? styles.statusPass : styles.statusFail}>
+                          {row.overallStatus === 'pass' ? 'PASS' : 'FAIL'}
+                        </span>
+                      ) : (
+                        <span style={{ color: '#888' }} title={row.error || row.reason}>
+                          {row.status === 'skipped' ? 'Skipped (inactive)' : 'Error'}
+                        </span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <small>Scanned {new Date(orgScan.timestamp).toLocaleString()}</small>
+          </div>
+        )}
+        
         {/* Compliance Results */}
         {complianceData && (
           <div style={styles.section}>
@@ -583,54 +1319,516 @@ export default function Home() {
                 <ul style={styles.complianceList}>
                   {/* MFA */}
                   <li style={styles.complianceItem}>
+                    {fixSelection && 'mfa' in fixSelection.checks && (
+                      <input
+                        type="checkbox"
+                        checked={fixSelection.checks['mfa']}
+                        onChange={() => toggleFixCheck('mfa')}
+                        title="Include in fix"
+                      />
+                    )}{' '}
                     <strong>Multi-Factor Authentication (MFA):</strong>{' '}
                     <span 
                       style={complianceData.mfa.mfaEnabledGlobally ? styles.statusPass : styles.statusFail}
                     >
                       {complianceData.mfa.mfaEnabledGlobally ? 'Globally Enabled' : 'Globally Disabled'}
                     </span>
-                    <div>Users with MFA: {complianceData.summary.mfa.passing}/{complianceData.summary.mfa.total}</div>
+                    {complianceData.mfa.factorTypes && (
+                      <ul style={styles.subList}>
+                        {complianceData.mfa.factorTypes.map(factor => (
+                          <li key={factor.type} style={styles.subItem}>
+                            {factor.type.toUpperCase()}:{' '}
+                            <span style={factor.status === 'enabled' ? styles.statusPass : factor.status === 'disabled' ? {} : styles.statusFail}>
+                              {factor.status === 'enabled' ? 'Enabled' :
+                               factor.status === 'verify_only' ? 'Verify only (no new enrollments)' :
+                               factor.status === 'enroll_only' ? 'Enroll only (cannot be verified)' :
+                               factor.status === 'no_sms_provider' ? 'Enabled without an SMS provider' : 'Disabled'}
+                            </span>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                    {complianceData.mfa.maxEnrolledFactors !== undefined && complianceData.mfa.maxEnrolledFactors !== null && (
+                      <div>Max enrolled factors per user: {complianceData.mfa.maxEnrolledFactors}</div>
+                    )}
+                    {(complianceData.mfa.findings || []).map(finding => (
+                      <div key={`${finding.type}-${finding.factorType}`} style={styles.statusFail}>
+                        {finding.severity}: {finding.message}
+                      </div>
+                    ))}
+                    <div>Users with a verified factor: {complianceData.summary.mfa.passing}/{complianceData.summary.mfa.total}</div>
+                    {complianceData.summary.mfa.dormant > 0 && (
+                      <div>Dormant users (no sign-in for {complianceData.mfa.dormantDays} days): {complianceData.summary.mfa.dormant}</div>
+                    )}
                     
                     {complianceData.mfa.users && complianceData.mfa.users.filter(u => !u.hasMFA).length > 0 && (
                       <ul style={styles.subList}>
                         {complianceData.mfa.users.filter(u => !u.hasMFA).map((user, index) => (
                           <li key={user.id || index} style={styles.subItem}>
-                            {user.email} <span style={styles.statusFail}>• No MFA</span>
+                            {user.email}
+                            {user.roles && user.roles.filter(role => role !== 'authenticated').length > 0 && ` (${user.roles.filter(role => role !== 'authenticated').join(', ')})`}{' '}
+                            <span style={styles.statusFail}>
+                              {user.hasUnverifiedFactor
+                                ? `• Unverified ${[...new Set(user.factors.map(f => f.type))].join('/')} factor`
+                                : '• No MFA'}
+                            </span>
+                            {user.dormant && <span> • Dormant</span>}
+                            <div>
+                              Last sign-in: {user.lastSignInAt ? new Date(user.lastSignInAt).toLocaleString() : 'never'}
+                            </div>
                           </li>
                         ))}
                       </ul>
                     )}
+                    
+                    {complianceData.mfa.policies && complianceData.mfa.policies.length > 0 && (
+                      <>
+                        <div>
+                          Policies ({complianceData.mfa.policySource}): {complianceData.mfa.policies.filter(p => p.status === 'pass').length}/{complianceData.mfa.policies.length} met
+                        </div>
+                        <ul style={styles.subList}>
+                          {complianceData.mfa.policies.map(policy => (
+                            <li key={policy.name} style={styles.subItem}>
+                              {policy.description || policy.name}{' '}
+                              <span style={policy.status === 'pass' ? styles.statusPass : styles.statusFail}>
+                                • {policy.violations > 0 ? `${policy.violations} violation(s)` : 'Met'}
+                              </span>
+                              {' '}({policy.covered} user(s) covered)
+                              {complianceData.mfa.violations.filter(v => v.policy === policy.name).map(violation => (
+                                <div key={`${violation.policy}-${violation.userId}`} style={styles.statusFail}>
+                                  {violation.severity}: {violation.message}{violation.dormant ? ' (dormant)' : ''}
+                                </div>
+                              ))}
+                            </li>
+                          ))}
+                        </ul>
+                      </>
+                    )}
                   </li>
                   
                   {/* RLS */}
                   <li style={styles.complianceItem}>
+                    {fixSelection && 'rls' in fixSelection.checks && (
+                      <input
+                        type="checkbox"
+                        checked={fixSelection.checks['rls']}
+                        onChange={() => toggleFixCheck('rls')}
+                        title="Include in fix"
+                      />
+                    )}{' '}
                     <strong>Row-Level Security (RLS):</strong>{' '}
-                    <div>Tables with RLS: {complianceData.summary.rls.passing}/{complianceData.summary.rls.total}</div>
+                    <div>Tables and views protected: {complianceData.summary.rls.passing}/{complianceData.summary.rls.total}</div>
+                    {complianceData.rls.schemas && (
+                      <div>Schemas audited: {complianceData.rls.schemas.join(', ')} ({complianceData.rls.schemaSource})</div>
+                    )}
+                    
+                    {complianceData.summary.rls.locked > 0 && (
+                      <div>Locked tables (RLS without policies): {complianceData.summary.rls.locked}</div>
+                    )}
                     
-                    {complianceData.rls.tables && complianceData.rls.tables.filter(t => !t.rlsEnabled).length > 0 && (
+                    {complianceData.rls.tables && complianceData.rls.tables.filter(t => t.status !== 'pass').length > 0 && (
                       <ul style={styles.subList}>
-                        {complianceData.rls.tables.filter(t => !t.rlsEnabled).map((table, index) => (
+                        {complianceData.rls.tables.filter(t => t.status !== 'pass').map((table, index) => (
                           <li key={table.id || index} style={styles.subItem}>
-                            {table.name} <span style={styles.statusFail}>• No RLS</span>
+                            {fixSelection && table.id in fixSelection.tables && (
+                              <input
+                                type="checkbox"
+                                checked={fixSelection.tables[table.id]}
+                                onChange={() => toggleFixTable(table.id)}
+                                disabled={!fixSelection.checks.rls}
+                                title="Include in RLS fix"
+                              />
+                            )}{' '}
+                            {table.schema}.{table.name}{table.kind === 'partitioned_table' && ' (partitioned)'}{' '}
+                            <span style={styles.statusFail}>
+                              {table.reason === 'no_policies' ? '• Locked (no policies)' :
+                               table.reason === 'unsafe_policy' ? '• Unsafe policies' : '• No RLS'}
+                            </span>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                    
+                    {complianceData.rls.views && complianceData.rls.views.filter(v => v.status !== 'pass').length > 0 && (
+                      <ul style={styles.subList}>
+                        {complianceData.rls.views.filter(v => v.status !== 'pass').map((view) => (
+                          <li key={view.id} style={styles.subItem}>
+                            {fixSelection && view.id in fixSelection.tables && (
+                              <input
+                                type="checkbox"
+                                checked={fixSelection.tables[view.id]}
+                                onChange={() => toggleFixTable(view.id)}
+                                disabled={!fixSelection.checks.rls}
+                                title="Include in RLS fix"
+                              />
+                            )}{' '}
+                            {view.schema}.{view.name}{' '}
+                            <span style={styles.statusFail}>
+                              {view.kind === 'materialized_view' ? '• Materialized view exposes RLS data' : '• View bypasses RLS'}
+                            </span>
                           </li>
                         ))}
                       </ul>
                     )}
+                    
+                    {complianceData.rls.findings && complianceData.rls.findings.filter(f => f.type === 'policy').length > 0 && (
+                      <>
+                        <div>Flagged policies: {complianceData.summary.rls.flaggedPolicies}</div>
+                        <ul style={styles.subList}>
+                          {complianceData.rls.findings.filter(f => f.type === 'policy').map((finding) => (
+                            <li key={`${finding.table}.${finding.policy}`} style={styles.subItem}>
+                              {finding.table}: &quot;{finding.policy}&quot; ({finding.command} to {finding.roles.join(', ')}){' '}
+                              <span style={styles.statusFail}>• {finding.severity}</span>
+                              <div>{finding.issues.map(issue => issue.message).join('; ')}</div>
+                            </li>
+                          ))}
+                        </ul>
+                      </>
+                    )}
                   </li>
                   
                   {/* PITR */}
                   <li style={styles.complianceItem}>
+                    {fixSelection && 'pitr' in fixSelection.checks && (
+                      <input
+                        type="checkbox"
+                        checked={fixSelection.checks['pitr']}
+                        onChange={() => toggleFixCheck('pitr')}
+                        title="Include in fix"
+                      />
+                    )}{' '}
                     <strong>Point-in-Time Recovery (PITR):</strong>{' '}
                     <span 
                       style={complianceData.pitr.pitrEnabled ? styles.statusPass : styles.statusFail}
                     >
                       {complianceData.pitr.pitrEnabled ? 'Enabled' : 'Disabled'}
                     </span>
+                    {complianceData.pitr.addon?.retentionDays && (
+                      <div>Add-on: {complianceData.pitr.addon.variant} ({complianceData.pitr.addon.retentionDays}-day retention)</div>
+                    )}
+                    {complianceData.pitr.plan && <div>Organization plan: {complianceData.pitr.plan}</div>}
+                    {complianceData.pitr.window && (
+                      <div>
+                        Restorable window: {new Date(complianceData.pitr.window.earliest).toLocaleString()} to{' '}
+                        {new Date(complianceData.pitr.window.latest).toLocaleString()} ({complianceData.pitr.window.days} days)
+                      </div>
+                    )}
+                    <div>
+                      Latest backup: {complianceData.pitr.latestBackupAt
+                        ? `${new Date(complianceData.pitr.latestBackupAt).toLocaleString()} (${complianceData.pitr.latestBackupAgeHours} hours ago)`
+                        : 'none found'}
+                    </div>
+                    
+                    {complianceData.pitr.items && complianceData.pitr.items.filter(item => item.status !== 'pass').length > 0 && (
+                      <ul style={styles.subList}>
+                        {complianceData.pitr.items.filter(item => item.status !== 'pass').map(item => (
+                          <li key={item.id} style={styles.subItem}>
+                            <span style={styles.statusFail}>{item.message}</span>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                    
+                    {fixSelection && 'pitr' in fixSelection.checks && !complianceData.pitr.pitrEnabled &&
+                      complianceData.pitr.plan !== 'free' && (complianceData.pitr.addon?.availableVariants || []).length > 0 && (
+                      <div>
+                        Enable the billed PITR add-on when fixing:{' '}
+                        <select
+                          style={styles.filterInput}
+                          value={fixSelection.pitrAddonVariant}
+                          onChange={(e) => setFixSelection(prev => ({ ...prev, pitrAddonVariant: e.target.value }))}
+                          disabled={!fixSelection.checks.pitr}
+                        >
+                          <option value="">No, leave it to me</option>
+                          {complianceData.pitr.addon.availableVariants.map(variant => (
+                            <option key={variant} value={variant}>{variant}</option>
+                          ))}
+                        </select>
+                      </div>
+                    )}
                   </li>
+
+                  {/* Network restrictions */}
+                  {complianceData.network_restrictions && (
+                    <li style={styles.complianceItem}>
+                      {fixSelection && 'network_restrictions' in fixSelection.checks && (
+                        <input
+                          type="checkbox"
+                          checked={fixSelection.checks['network_restrictions']}
+                          onChange={() => toggleFixCheck('network_restrictions')}
+                          title="Include in fix"
+                        />
+                      )}{' '}
+                      <strong>Network Restrictions:</strong>{' '}
+                      <span 
+                        style={complianceData.network_restrictions.status === 'pass' ? styles.statusPass : styles.statusFail}
+                      >
+                        {complianceData.network_restrictions.status === 'pass' ? 'Restricted' : complianceData.network_restrictions.status === 'error' ? 'Error' : 'Open to the internet'}
+                      </span>
+                      {complianceData.network_restrictions.error && (
+                        <div style={styles.statusFail}>{complianceData.network_restrictions.error}</div>
+                      )}
+                      {(complianceData.network_restrictions.ranges || []).map(range => (
+                        <div key={range.id}>
+                          {range.label} allowed: {range.cidrs.length > 0 ? range.cidrs.join(', ') : 'none'}
+                        </div>
+                      ))}
+                      
+                      {complianceData.network_restrictions.findings && complianceData.network_restrictions.findings.length > 0 && (
+                        <ul style={styles.subList}>
+                          {complianceData.network_restrictions.findings.map((finding, index) => (
+                            <li key={index} style={styles.subItem}>
+                              <span style={finding.severity === 'low' ? {} : styles.statusFail}>{finding.message}</span>
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                      
+                      {fixSelection && 'network_restrictions' in fixSelection.checks && complianceData.network_restrictions.entitled && (
+                        <div>
+                          Only allow database connections from:{' '}
+                          <input
+                            type="text"
+                            style={styles.filterInput}
+                            value={fixSelection.allowedCidrs}
+                            onChange={(e) => setFixSelection(prev => ({ ...prev, allowedCidrs: e.target.value }))}
+                            placeholder="203.0.113.0/24, 2001:db8::/32"
+                            disabled={!fixSelection.checks.network_restrictions}
+                          />
+                        </div>
+                      )}
+                    </li>
+                  )}
+                  
+                  {/* SSL enforcement */}
+                  {complianceData.ssl_enforcement && (
+                    <li style={styles.complianceItem}>
+                      {fixSelection && 'ssl_enforcement' in fixSelection.checks && (
+                        <input
+                          type="checkbox"
+                          checked={fixSelection.checks['ssl_enforcement']}
+                          onChange={() => toggleFixCheck('ssl_enforcement')}
+                          title="Include in fix"
+                        />
+                      )}{' '}
+                      <strong>SSL Enforcement:</strong>{' '}
+                      <span 
+                        style={complianceData.ssl_enforcement.sslEnforced ? styles.statusPass : styles.statusFail}
+                      >
+                        {complianceData.ssl_enforcement.sslEnforced ? 'Required' : complianceData.ssl_enforcement.status === 'error' ? 'Error' : 'Not required'}
+                      </span>
+                      {complianceData.ssl_enforcement.error && (
+                        <div style={styles.statusFail}>{complianceData.ssl_enforcement.error}</div>
+                      )}
+                      {complianceData.ssl_enforcement.appliedSuccessfully === false && (
+                        <div style={styles.statusFail}>The last SSL enforcement change was not applied to the database</div>
+                      )}
+                    </li>
+                  )}
+
+                  {/* Storage buckets */}
+                  {complianceData.storage && (
+                    <li style={styles.complianceItem}>
+                      {fixSelection && 'storage' in fixSelection.checks && (
+                        <input
+                          type="checkbox"
+                          checked={fixSelection.checks['storage']}
+                          onChange={() => toggleFixCheck('storage')}
+                          title="Include in fix"
+                        />
+                      )}{' '}
+                      <strong>Storage Buckets:</strong>{' '}
+                      {complianceData.summary.storage?.passing ?? 0}/{complianceData.summary.storage?.total ?? 0} buckets pass
+                      {complianceData.storage.summary?.publicBuckets > 0 && (
+                        <div>Public buckets: {complianceData.storage.summary.publicBuckets}</div>
+                      )}
+                      
+                      {complianceData.storage.buckets && complianceData.storage.buckets.filter(b => b.status !== 'pass').length > 0 && (
+                        <ul style={styles.subList}>
+                          {complianceData.storage.buckets.filter(b => b.status !== 'pass').map((bucket) => (
+                            <li key={bucket.id} style={styles.subItem}>
+                              {fixSelection && bucket.id in fixSelection.buckets && (
+                                <input
+                                  type="checkbox"
+                                  checked={fixSelection.buckets[bucket.id]}
+                                  onChange={() => toggleFixBucket(bucket.id)}
+                                  disabled={!fixSelection.checks.storage}
+                                  title="Include in storage fix"
+                                />
+                              )}{' '}
+                              {bucket.name}{' '}
+                              <span style={styles.statusFail}>• {bucket.severity}</span>
+                              <div>
+                                {bucket.public ? 'Public' : 'Private'}
+                                {' • '}Size limit: {bucket.fileSizeLimit ? `${bucket.fileSizeLimit} bytes` : 'none'}
+                                {' • '}File types: {bucket.allowedMimeTypes && bucket.allowedMimeTypes.length > 0 ? bucket.allowedMimeTypes.join(', ') : 'any'}
+                              </div>
+                              <div>{bucket.findings.map(finding => finding.message).join('; ')}</div>
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                      
+                      {fixSelection && 'storage' in fixSelection.checks &&
+                        (complianceData.storage.buckets || []).some(b => b.findings.some(f => f.type === 'no_mime_type_limit')) && (
+                        <div>
+                          Only accept these file types when fixing:{' '}
+                          <input
+                            type="text"
+                            style={styles.filterInput}
+                            value={fixSelection.storageAllowedMimeTypes}
+                            onChange={(e) => setFixSelection(prev => ({ ...prev, storageAllowedMimeTypes: e.target.value }))}
+                            placeholder="image/png, image/jpeg"
+                            disabled={!fixSelection.checks.storage}
+                          />
+                        </div>
+                      )}
+                    </li>
+                  )}
+
+                  {/* Auth configuration hardening */}
+                  {complianceData.auth_hardening && (
+                    <li style={styles.complianceItem}>
+                      {fixSelection && 'auth_hardening' in fixSelection.checks && (
+                        <input
+                          type="checkbox"
+                          checked={fixSelection.checks['auth_hardening']}
+                          onChange={() => toggleFixCheck('auth_hardening')}
+                          title="Include in fix"
+                        />
+                      )}{' '}
+                      <strong>Auth Configuration Hardening:</strong>{' '}
+                      {complianceData.summary.auth_hardening?.passing ?? 0}/{complianceData.summary.auth_hardening?.total ?? 0} settings pass
+                      
+                      {complianceData.auth_hardening.settings && (
+                        <ul style={styles.subList}>
+                          {complianceData.auth_hardening.settings.map((setting) => (
+                            <li key={setting.key} style={styles.subItem}>
+                              {fixSelection && setting.key in fixSelection.authSettings && (
+                                <input
+                                  type="checkbox"
+                                  checked={fixSelection.authSettings[setting.key]}
+                                  onChange={() => toggleFixAuthSetting(setting.key)}
+                                  disabled={!fixSelection.checks.auth_hardening}
+                                  title="Include in auth fix"
+                                />
+                              )}{' '}
+                              {setting.label}: {JSON.stringify(setting.value)}{' '}
+                              <span style={setting.status === 'pass' ? styles.statusPass : styles.statusFail}>
+                                {setting.status === 'pass' ? '✓' : `✗ recommended ${JSON.stringify(setting.recommended)}`}
+                              </span>
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </li>
+                  )}
+                  
+                  {/* Roles and privileges (reported only; grants and roles are changed by hand) */}
+                  {complianceData.privileges && (
+                    <li style={styles.complianceItem}>
+                      <strong>Database Roles and Privileges:</strong>{' '}
+                      <span 
+                        style={complianceData.privileges.status === 'pass' ? styles.statusPass : styles.statusFail}
+                      >
+                        {complianceData.privileges.status === 'pass' ? 'Passing' : complianceData.privileges.status === 'error' ? 'Error' : 'Failing'}
+                      </span>
+                      {complianceData.privileges.summary && (
+                        <div>
+                          Over-privileged grants: {complianceData.privileges.summary.overPrivilegedGrants}
+                          {' • '}SECURITY DEFINER functions without search_path: {complianceData.privileges.summary.unpinnedFunctions}
+                          {' • '}Privileged roles: {complianceData.privileges.summary.privilegedRoles}
+                        </div>
+                      )}
+                      
+                      {complianceData.privileges.findings && complianceData.privileges.findings.length > 0 && (
+                        <ul style={styles.subList}>
+                          {complianceData.privileges.findings.map((finding, index) => (
+                            <li key={index} style={styles.subItem}>
+                              {finding.item}{' '}
+                              <span style={finding.severity === 'low' ? {} : styles.statusFail}>• {finding.severity}</span>
+                              <div>{finding.message}</div>
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </li>
+                  )}
+
+                  {/* Additional registered checks */}
+                  {(complianceData.checks || []).filter(check => !BUILT_IN_CHECKS.includes(check.id)).map(check => (
+                    <li key={check.id} style={styles.complianceItem}>
+                      {fixSelection && check.id in fixSelection.checks && (
+                        <input
+                          type="checkbox"
+                          checked={fixSelection.checks[check.id]}
+                          onChange={() => toggleFixCheck(check.id)}
+                          title="Include in fix"
+                        />
+                      )}{' '}
+                      <strong>{check.title}:</strong>{' '}
+                      <span style={check.status === 'pass' ? styles.statusPass : styles.statusFail}>
+                        {check.status === 'pass' ? 'Passing' : check.status === 'error' ? 'Error' : 'Failing'}
+                      </span>
+                      <div>
+                        Passing: {complianceData.summary[check.id]?.passing ?? 0}/{complianceData.summary[check.id]?.total ?? 0}
+                        {' '}({check.severity})
+                      </div>
+                    </li>
+                  ))}
                 </ul>
                 
                 {/* Actions */}
                 <div style={styles.actionButtons}>
+                  {complianceData.summary.overallStatus !== 'pass' && (
+                    <button 
+                      style={{...styles.button, ...(loading ? {} : styles.buttonAction)}}
+                      onClick={previewFix}
+                      disabled={loading || !hasFixSelection()}
+                    >
+                      {loading ? 'Loading...' : 'Fix Selected'}
+                    </button>
+                  )}
+                  
+                  <button 
+                    style={styles.button}
+                    onClick={() => scanHistory ? setScanHistory(null) : fetchHistory()}
+                    disabled={loading}
+                  >
+                    {scanHistory ? 'Hide History' : 'History'}
+                  </button>
+                  
+                  <button 
+                    style={styles.button}
+                    onClick={() => fixHistory ? setFixHistory(null) : fetchSnapshots()}
+                    disabled={loading}
+                  >
+                    {fixHistory ? 'Hide Fixes' : 'Fixes'}
+                  </button>
+                  
+                  <button 
+                    style={styles.button}
+                    onClick={() => showSchedule ? setShowSchedule(false) : fetchSchedule()}
+                    disabled={loading}
+                  >
+                    {showSchedule ? 'Hide Schedule' : 'Schedule'}
+                  </button>
+                  
+                  <button 
+                    style={styles.button}
+                    onClick={() => showEvidence ? setShowEvidence(false) : fetchEvidence()}
+                    disabled={loading}
+                  >
+                    {showEvidence ? 'Hide Evidence' : 'Evidence'}
+                  </button>
+                  
+                  <button 
+                    style={styles.button}
+                    onClick={exportEvidence}
+                    disabled={loading}
+                  >
+                    Export Evidence
+                  </button>
                   
                   <button 
                     style={{...styles.button}}
@@ -653,6 +1851,327 @@ export default function Home() {
           </div>
         )}
         
+        {/* Scan History */}
+        {scanHistory && (
+          <div style={styles.section}>
+            <div style={styles.sectionHeader}>
+              <h2 style={styles.sectionTitle}>Scan History</h2>
+            </div>
+            
+            {scanHistory.length === 0 ? (
+              <p>No scans recorded yet</p>
+            ) : (
+              <ul style={styles.complianceList}>
+                {scanHistory.map(scan => (
+                  <li 
+                    key={scan.version} 
+                    style={{
+                      ...styles.timelineItem,
+                      ...(scan.changes?.regressions > 0 ? styles.timelineRegression : {})
+                    }}
+                  >
+                    <span>
+                      v{scan.version} • {new Date(scan.timestamp).toLocaleString()} •{' '}
+                      <span style={scan.overallStatus === 'pass' ? styles.statusPass : styles.statusFail}>
+                        {scan.overallStatus === 'pass' ? 'PASS' : 'FAIL'}
+                      </span>
+                      {scan.changes && (
+                        <>
+                          {' '}• <span style={scan.changes.regressions > 0 ? styles.statusFail : {}}>
+                            {scan.changes.regressions} regression(s)
+                          </span>, {scan.changes.improvements} improvement(s)
+                        </>
+                      )}
+                    </span>
+                    {scan.previousVersion && (
+                      <button style={styles.toggleButton} onClick={() => fetchScanDiff(scan.version)}>
+                        View changes
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+            
+            {scanDiff && (
+              <div style={styles.complianceItem}>
+                <strong>Changes from v{scanDiff.from.version} to v{scanDiff.to.version}:</strong>
+                {scanDiff.regressions.length === 0 && scanDiff.improvements.length === 0 && (
+                  <div>No changes</div>
+                )}
+                <ul style={styles.subList}>
+                  {scanDiff.regressions.map((change, index) => (
+                    <li key={`regression-${index}`} style={{...styles.subItem, ...styles.statusFail}}>
+                      ▼ {change.message}
+                    </li>
+                  ))}
+                  {scanDiff.improvements.map((change, index) => (
+                    <li key={`improvement-${index}`} style={{...styles.subItem, ...styles.statusPass}}>
+                      ▲ {change.message}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        )}
+        
+        {/* Fix History */}
+        {fixHistory && (
+          <div style={styles.section}>
+            <div style={styles.sectionHeader}>
+              <h2 style={styles.sectionTitle}>Fix History</h2>
+            </div>
+            
+            {fixHistory.length === 0 ? (
+              <p>No fixes recorded yet</p>
+            ) : (
+              <ul style={styles.complianceList}>
+                {fixHistory.map(snapshot => (
+                  <li key={snapshot.fixId} style={styles.timelineItem}>
+                    <span>
+                      {new Date(snapshot.createdAt).toLocaleString()} • {snapshot.checks.join(', ')}
+                      {snapshot.rollbackStatus && (
+                        <>
+                          {' '}• <span style={snapshot.rollbackStatus === 'rolled_back' ? {} : styles.statusFail}>
+                            {snapshot.rollbackStatus.replace(/_/g, ' ')} {new Date(snapshot.rolledBackAt).toLocaleString()}
+                          </span>
+                        </>
+                      )}
+                    </span>
+                    {!snapshot.rollbackStatus && (
+                      <button style={styles.toggleButton} onClick={() => rollbackFix(snapshot.fixId)} disabled={loading}>
+                        Roll back
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+        
+        {/* Evidence Browser */}
+        {showEvidence && (
+          <div style={styles.section}>
+            <div style={styles.sectionHeader}>
+              <h2 style={styles.sectionTitle}>Evidence</h2>
+              <span>{evidenceLogs.length}{evidenceCursor ? '+' : ''} matching entries</span>
+            </div>
+            
+            <div style={styles.filterRow}>
+              <input
+                style={styles.filterInput}
+                type="text"
+                placeholder="Action (e.g. rls_*, compliance_fix_completed)"
+                value={evidenceFilters.action}
+                onChange={(e) => updateEvidenceFilter('action', e.target.value)}
+              />
+              <select
+                style={styles.filterInput}
+                value={evidenceFilters.status}
+                onChange={(e) => updateEvidenceFilter('status', e.target.value)}
+              >
+                <option value="">Any status</option>
+                <option value="success">success</option>
+                <option value="info">info</option>
+                <option value="warning">warning</option>
+                <option value="partial_success">partial_success</option>
+                <option value="failure">failure</option>
+                <option value="error">error</option>
+              </select>
+              <input
+                style={styles.filterInput}
+                type="date"
+                value={evidenceFilters.from}
+                onChange={(e) => updateEvidenceFilter('from', e.target.value)}
+              />
+              <input
+                style={styles.filterInput}
+                type="date"
+                value={evidenceFilters.to}
+                onChange={(e) => updateEvidenceFilter('to', e.target.value)}
+              />
+              <input
+                style={styles.filterInput}
+                type="text"
+                placeholder="Search"
+                value={evidenceFilters.search}
+                onChange={(e) => updateEvidenceFilter('search', e.target.value)}
+                onKeyPress={(e) => e.key === 'Enter' && fetchEvidence()}
+              />
+              <label>
+                <input
+                  type="checkbox"
+                  checked={evidenceFilters.allProjects}
+                  onChange={(e) => updateEvidenceFilter('allProjects', e.target.checked)}
+                />
+                {' '}All projects
+              </label>
+              <button style={styles.button} onClick={() => fetchEvidence()} disabled={loading}>
+                Apply
+              </button>
+            </div>
+            
+            {evidenceLogs.length === 0 ? (
+              <p>No evidence matches these filters</p>
+            ) : (
+              <ul style={styles.complianceList}>
+                {evidenceLogs.map(log => {
+                  const key = `${log.projectRef || 'global'}-${log.sequence ?? log.id}`;
+                  return (
+                    <li key={key} style={styles.complianceItem}>
+                      <div style={styles.evidenceRow}>
+                        <span>
+                          {new Date(log.timestamp).toLocaleString()} • <strong>{log.action}</strong> •{' '}
+                          <span style={['error', 'failure'].includes(log.status) ? styles.statusFail : log.status === 'success' ? styles.statusPass : {}}>
+                            {log.status}
+                          </span>
+                          {evidenceFilters.allProjects && ` • ${log.projectRef || 'global'}`}
+                        </span>
+                        <button style={styles.toggleButton} onClick={() => setExpandedLog(expandedLog === key ? null : key)}>
+                          {expandedLog === key ? 'Hide' : 'Details'}
+                        </button>
+                      </div>
+                      {expandedLog === key && (
+                        <pre style={styles.planCode}>{JSON.stringify(log, null, 2)}</pre>
+                      )}
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+            
+            {evidenceCursor && (
+              <button style={styles.button} onClick={() => fetchEvidence(evidenceCursor)} disabled={loading}>
+                {loading ? 'Loading...' : 'Load more'}
+              </button>
+            )}
+          </div>
+        )}
+        
+        {/* Recurring Scan Schedule */}
+        {showSchedule && (
+          <div style={styles.section}>
+            <div style={styles.sectionHeader}>
+              <h2 style={styles.sectionTitle}>Scheduled Scans</h2>
+            </div>
+            
+            {schedule ? (
+              <ul style={styles.complianceList}>
+                <li style={styles.complianceItem}>
+                  <strong>Cron (UTC):</strong> {schedule.cron}
+                  {!schedule.enabled && ' (disabled)'}
+                </li>
+                <li style={styles.complianceItem}>
+                  <strong>Next run:</strong>{' '}
+                  {schedule.nextRunAt ? new Date(schedule.nextRunAt).toLocaleString() : 'Not scheduled'}
+                </li>
+                <li style={styles.complianceItem}>
+                  <strong>Last run:</strong>{' '}
+                  {schedule.lastRunAt ? (
+                    <>
+                      {new Date(schedule.lastRunAt).toLocaleString()} •{' '}
+                      <span style={schedule.lastRunStatus === 'pass' ? styles.statusPass : styles.statusFail}>
+                        {schedule.lastRunStatus === 'error' ? 'ERROR' : schedule.lastRunStatus === 'pass' ? 'PASS' : 'FAIL'}
+                      </span>
+                      {schedule.lastScanVersion && ` • v${schedule.lastScanVersion}`}
+                      {schedule.lastError && <div style={styles.statusFail}>{schedule.lastError}</div>}
+                    </>
+                  ) : 'Never'}
+                </li>
+              </ul>
+            ) : (
+              <p>No recurring scan for this project</p>
+            )}
+            
+            <div style={styles.inputGroup}>
+              <input
+                style={styles.input}
+                type="text"
+                placeholder="Cron expression in UTC, e.g. 0 6 * * * or @daily"
+                value={scheduleCron}
+                onChange={(e) => setScheduleCron(e.target.value)}
+              />
+              <div style={styles.actionButtons}>
+                <button 
+                  style={{...styles.button, ...(loading ? {} : styles.buttonAction)}}
+                  onClick={saveSchedule}
+                  disabled={loading || !scheduleCron.trim()}
+                >
+                  {schedule ? 'Update Schedule' : 'Create Schedule'}
+                </button>
+                {schedule && (
+                  <button style={styles.button} onClick={removeSchedule} disabled={loading}>
+                    Remove
+                  </button>
+                )}
+              </div>
+            </div>
+          </div>
+        )}
+        
+        {/* Fix Plan Confirmation */}
+        {fixPlan && (
+          <div style={styles.section}>
+            <div style={styles.sectionHeader}>
+              <h2 style={styles.sectionTitle}>Fix Plan</h2>
+            </div>
+            
+            <ul style={styles.complianceList}>
+              {Object.entries(fixPlan.details).map(([checkId, fix]) => {
+                const check = complianceData?.checks?.find(c => c.id === checkId);
+                return (
+                  <li key={checkId} style={styles.complianceItem}>
+                    <strong>{check?.title || checkId}:</strong>{' '}
+                    {!fix.needed ? 'No action needed' : fix.error ? (
+                      <span style={styles.statusFail}>{fix.error}</span>
+                    ) : !fix.plan ? 'Will be fixed (no preview available)' : (
+                      <ul style={styles.subList}>
+                        {fix.manual && (
+                          <li style={{...styles.planAction, ...styles.statusFail}}>Manual action required</li>
+                        )}
+                        {(fix.plan.warnings || []).map((warning, index) => (
+                          <li key={`warning-${index}`} style={{...styles.planAction, ...styles.statusFail}}>
+                            {warning}
+                          </li>
+                        ))}
+                        {fix.plan.actions.map((action, index) => (
+                          <li key={index} style={styles.planAction}>
+                            {action.description}
+                            <pre style={styles.planCode}>
+                              {action.type === 'sql'
+                                ? action.query
+                                : `${action.method} ${action.path}\n${JSON.stringify(action.payload, null, 2)}`}
+                            </pre>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+            
+            <div style={styles.actionButtons}>
+              <button 
+                style={{...styles.button, ...(loading ? {} : styles.buttonAction)}}
+                onClick={fixCompliance}
+                disabled={loading || Object.values(fixPlan.summary).every(s => ['no_action_needed', 'manual_action_required'].includes(s))}
+              >
+                {loading ? 'Loading...' : 'Apply Fixes'}
+              </button>
+              <button 
+                style={styles.button}
+                onClick={() => setFixPlan(null)}
+                disabled={loading}
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        )}
+        
         {/* Chat Section */}
         {showChat && complianceData && (
           <div style={styles.chatContainer}>